@@ -0,0 +1,110 @@
+// Return reminder notifications - imported into the generated service worker.
+// The app writes the schedule to IndexedDB (meta store, key 'returnReminders'); this worker
+// shows any reminder that is due and remembers which deadlines it already notified about.
+
+const REMINDER_DB_NAME = 'reselltracker';
+
+function openReminderDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(REMINDER_DB_NAME);
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let the app upgrade the schema instead of being blocked by this connection
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getMeta(db, key) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction('meta', 'readonly').objectStore('meta').get(key);
+        request.onsuccess = () => resolve(request.result?.value);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function putMeta(db, key, value) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key, value });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function checkReturnReminders() {
+    const db = await openReminderDatabase();
+    try {
+        await showDueReminders(db);
+    } finally {
+        db.close();
+    }
+}
+
+async function showDueReminders(db) {
+    if (!db.objectStoreNames.contains('meta')) return;
+
+    const reminders = (await getMeta(db, 'returnReminders')) || [];
+    const sent = (await getMeta(db, 'returnRemindersSent')) || {};
+    const now = new Date().toISOString();
+    const nextSent = {};
+
+    for (const reminder of reminders) {
+        // Keyed by deadline so a changed deadline notifies again
+        if (sent[reminder.lotId] === reminder.deadline) {
+            nextSent[reminder.lotId] = reminder.deadline;
+            continue;
+        }
+        if (reminder.notifyAt > now || reminder.deadline < now) continue;
+
+        const deadlineStr = new Date(reminder.deadline).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        await self.registration.showNotification('Return window closing', {
+            body: `${reminder.name} • ${reminder.remaining} unit${reminder.remaining > 1 ? 's' : ''} • Return by ${deadlineStr}`,
+            tag: `return-${reminder.lotId}`,
+            icon: 'pwa-192x192.png',
+            data: { lotId: reminder.lotId },
+            actions: [
+                { action: 'returned', title: 'Returned' },
+                { action: 'keep', title: 'Keeping' }
+            ]
+        });
+        nextSent[reminder.lotId] = reminder.deadline;
+    }
+
+    await putMeta(db, 'returnRemindersSent', nextSent);
+}
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === 'return-reminders') {
+        event.waitUntil(checkReturnReminders());
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'check-return-reminders') {
+        event.waitUntil(checkReturnReminders());
+    }
+});
+
+// Open (or focus) the app on the lot; the app performs the Keeping/Returned action itself
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const lotId = event.notification.data?.lotId;
+    if (!lotId) return;
+
+    const action = event.action || 'open';
+    const url = `${self.registration.scope}?reminder=${action}&lot=${encodeURIComponent(lotId)}#/inventory`;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(w => w.url.startsWith(self.registration.scope));
+        if (client) {
+            await client.focus();
+            client.postMessage({ type: 'return-reminder', action, lotId });
+        } else {
+            await self.clients.openWindow(url);
+        }
+    })());
+});
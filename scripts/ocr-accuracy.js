@@ -0,0 +1,138 @@
+// OCR Accuracy Harness - Run recorded OCR text through parseReceiptText and report per-field accuracy
+//
+// Usage: node scripts/ocr-accuracy.js [fixtures-dir] [--verbose] [--strict]
+//
+// Each fixture is <name>.txt (OCR output as recorded from tesseract) with <name>.expected.json:
+//   { "name": "...", "cost": 0, "quantity": 1 }                       - the main item only, or
+//   { "retailer": "...", "order": { orderNumber, orderDate, subtotal, tax, shipping, total },
+//     "items": [{ "name": "...", "unitPrice": 0, "quantity": 1 }] }   - every line item
+// Fields missing from the expected file aren't scored.
+
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join, resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseReceiptText } from '../src/services/ocr.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_FIXTURES_DIR = join(ROOT, 'src/services/receiptParsers/fixtures');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const strict = args.includes('--strict');
+const fixturesDir = resolve(args.find(arg => !arg.startsWith('--')) || DEFAULT_FIXTURES_DIR);
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function sameAmount(actual, expected) {
+    if (expected === null) return actual === null || actual === undefined;
+    return typeof actual === 'number' && Math.abs(actual - expected) < 0.005;
+}
+
+function sameValue(field, actual, expected) {
+    if (field.endsWith('name')) return normalizeName(actual) === normalizeName(expected);
+    if (typeof expected === 'number' || expected === null) return sameAmount(actual, expected);
+    return actual === expected;
+}
+
+/**
+ * Compare a parse result with a fixture's expectations
+ * @param {Object} result - parseReceiptText output
+ * @param {Object} expected - Parsed .expected.json
+ * @returns {Array} { field, expected, actual, pass }
+ */
+function scoreFixture(result, expected) {
+    const checks = [];
+    const check = (field, actual, expectedValue) => {
+        if (expectedValue === undefined) return;
+        checks.push({ field, expected: expectedValue, actual, pass: sameValue(field, actual, expectedValue) });
+    };
+
+    check('name', result.name, expected.name);
+    check('cost', result.cost, expected.cost);
+    check('quantity', result.quantity, expected.quantity);
+    check('retailer', result.retailer, expected.retailer);
+
+    for (const [field, value] of Object.entries(expected.order || {})) {
+        check(`order.${field}`, result[field] ?? null, value);
+    }
+
+    if (expected.items) {
+        check('items.count', result.items.length, expected.items.length);
+        expected.items.forEach((item, index) => {
+            const actual = result.items[index] || {};
+            check('items.name', actual.name, item.name);
+            check('items.unitPrice', actual.unitPrice, item.unitPrice);
+            check('items.quantity', actual.quantity, item.quantity);
+        });
+    }
+
+    return checks;
+}
+
+function formatPercent(passed, total) {
+    return `${((passed / total) * 100).toFixed(1)}%`.padStart(7);
+}
+
+function main() {
+    if (!existsSync(fixturesDir)) {
+        console.error(`Fixtures directory not found: ${fixturesDir}`);
+        process.exit(2);
+    }
+
+    const fixtures = readdirSync(fixturesDir)
+        .filter(file => file.endsWith('.txt'))
+        .map(file => file.replace(/\.txt$/, ''))
+        .filter(name => existsSync(join(fixturesDir, `${name}.expected.json`)))
+        .sort();
+
+    if (fixtures.length === 0) {
+        console.error(`No fixtures (<name>.txt with <name>.expected.json) in ${fixturesDir}`);
+        process.exit(2);
+    }
+
+    const totals = {}; // field -> { passed, total }
+    let failedFixtures = 0;
+
+    for (const name of fixtures) {
+        const text = readFileSync(join(fixturesDir, `${name}.txt`), 'utf8');
+        const expected = JSON.parse(readFileSync(join(fixturesDir, `${name}.expected.json`), 'utf8'));
+        const result = parseReceiptText(text);
+        const checks = scoreFixture(result, expected);
+        const failures = checks.filter(c => !c.pass);
+
+        for (const { field, pass } of checks) {
+            totals[field] = totals[field] || { passed: 0, total: 0 };
+            totals[field].total++;
+            if (pass) totals[field].passed++;
+        }
+
+        if (failures.length > 0) failedFixtures++;
+        console.log(`${failures.length === 0 ? 'PASS' : 'FAIL'}  ${name}  (${result.parser}, ${checks.length - failures.length}/${checks.length} fields)`);
+
+        for (const failure of failures) {
+            console.log(`        ${failure.field}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+        }
+        if (verbose) {
+            console.log(`        name score: ${result.nameScore ?? 'n/a'}`);
+            result.items.forEach(item => console.log(`        item: ${JSON.stringify(item)}`));
+        }
+    }
+
+    console.log('\nField accuracy');
+    let passed = 0;
+    let total = 0;
+    for (const [field, counts] of Object.entries(totals)) {
+        console.log(`  ${field.padEnd(18)} ${formatPercent(counts.passed, counts.total)}  (${counts.passed}/${counts.total})`);
+        passed += counts.passed;
+        total += counts.total;
+    }
+    console.log(`  ${'overall'.padEnd(18)} ${formatPercent(passed, total)}  (${passed}/${total})`);
+    console.log(`\n${fixtures.length - failedFixtures}/${fixtures.length} fixtures fully correct`);
+
+    // --strict makes any regression fail the run, for CI
+    if (strict && failedFixtures > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,361 @@
+// Batch Review Component - Queue of uploaded receipts with a swipeable review list of extracted lots
+
+import { enqueueFiles, getQueue, clearQueue, cancelEntry, isQueueBusy, setQueueListener } from '../services/ocrQueue.js';
+import { saveLot, beginChangeGroup, endChangeGroup, recordNameCorrections } from '../services/storage.js';
+import { getReturnPolicies } from '../services/returnPolicies.js';
+import { allocateOrderCosts } from '../services/calculations.js';
+import { navigate } from '../router.js';
+import { getDocumentType, RECEIPT_FILE_ACCEPT } from '../services/documentImport.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Swipes shorter than this are treated as scrolling
+const SWIPE_THRESHOLD = 80;
+
+let receipts = {}; // Queue entry ID -> { retailer, order } taken from the OCR result
+let drafts = []; // { id, entryId, name, suggestedName, unitPrice, quantity, status: 'pending'|'approved'|'skipped' }
+let nextDraftId = 1;
+
+export function resetBatchReview() {
+  clearQueue();
+  receipts = {};
+  drafts = [];
+}
+
+/**
+ * Check whether a batch is in progress or awaiting review
+ * @returns {boolean}
+ */
+export function hasBatch() {
+  return getQueue().length > 0;
+}
+
+/**
+ * Queue receipts for background OCR
+ * @param {Array<File>} files - Images, PDFs or order emails
+ */
+export function startBatch(files) {
+  setQueueListener(handleQueueUpdate);
+  enqueueFiles(files);
+}
+
+// Turn a finished OCR result into one pending draft per line item
+function addReceiptDrafts(entry) {
+  const result = entry.result;
+  receipts[entry.id] = {
+    retailer: result.retailer || '',
+    order: {
+      number: result.orderNumber || null,
+      date: result.orderDate || new Date().toISOString().split('T')[0],
+      subtotal: result.subtotal ?? null,
+      tax: result.tax ?? null,
+      shipping: result.shipping ?? null
+    }
+  };
+
+  (result.items || []).forEach(item => {
+    drafts.push({
+      id: `d${nextDraftId++}`,
+      entryId: entry.id,
+      name: item.name === 'Unnamed Item' ? '' : item.name,
+      suggestedName: item.name === 'Unnamed Item' ? '' : item.name,
+      unitPrice: item.unitPrice || '',
+      quantity: item.quantity || 1,
+      status: 'pending'
+    });
+  });
+}
+
+function handleQueueUpdate(entry, type) {
+  if (type === 'complete' && entry.status === 'done') {
+    addReceiptDrafts(entry);
+  }
+
+  // Patch only the affected receipt so edits in other cards keep focus
+  const el = document.querySelector(`.batch-receipt[data-entry-id="${entry.id}"]`);
+  if (!el) return;
+
+  if (type === 'progress') {
+    const fill = el.querySelector('.batch-progress-fill');
+    const text = el.querySelector('.batch-receipt-status');
+    if (fill) fill.style.width = `${entry.progress}%`;
+    if (text) text.textContent = renderEntryStatus(entry);
+    return;
+  }
+
+  el.outerHTML = renderReceipt(entry);
+  bindReceiptEvents(document.querySelector(`.batch-receipt[data-entry-id="${entry.id}"]`));
+  updateBatchFooter();
+}
+
+function renderEntryStatus(entry) {
+  if (entry.status === 'queued') return 'Waiting…';
+  if (entry.status === 'processing') return `Scanning… ${entry.progress}%`;
+  if (entry.status === 'error') return entry.error || 'Could not read this image';
+  if (entry.status === 'cancelled') return 'Cancelled';
+
+  const count = drafts.filter(d => d.entryId === entry.id).length;
+  return count === 0 ? 'No items found' : `${count} item${count !== 1 ? 's' : ''} found`;
+}
+
+function renderDraftCard(draft) {
+  return `
+    <div class="batch-draft ${draft.status}" data-draft-id="${draft.id}">
+      <input type="text" class="form-input batch-draft-input" data-field="name" value="${escapeHtml(draft.name)}" placeholder="Item name" />
+      <div class="batch-draft-numbers">
+        <label>
+          <span class="order-summary-label">Unit $</span>
+          <input type="number" class="form-input batch-draft-input" data-field="unitPrice" value="${draft.unitPrice}" placeholder="0.00" step="0.01" min="0" inputmode="decimal" />
+        </label>
+        <label>
+          <span class="order-summary-label">Qty</span>
+          <input type="number" class="form-input batch-draft-input" data-field="quantity" value="${draft.quantity}" placeholder="1" min="1" inputmode="numeric" />
+        </label>
+      </div>
+      <div class="batch-draft-actions">
+        <button type="button" class="btn btn-secondary btn-sm batch-skip-btn">${draft.status === 'skipped' ? 'Skipped' : 'Skip'}</button>
+        <button type="button" class="btn btn-sm ${draft.status === 'approved' ? 'btn-success' : 'btn-secondary'} batch-approve-btn">${draft.status === 'approved' ? '✓ Approved' : 'Approve'}</button>
+      </div>
+    </div>
+  `;
+}
+
+function renderReceipt(entry) {
+  const receipt = receipts[entry.id];
+  const policies = getReturnPolicies();
+  const finished = !isEntryRunning(entry);
+
+  return `
+    <div class="batch-receipt ${entry.status}" data-entry-id="${entry.id}">
+      <div class="batch-receipt-header">
+        ${entry.thumbnail ? `<img src="${entry.thumbnail}" class="batch-thumb" alt="" />` : '<div class="batch-thumb">📄</div>'}
+        <div class="batch-receipt-info">
+          <div class="batch-receipt-name">${escapeHtml(entry.fileName)}</div>
+          <div class="batch-receipt-status">${renderEntryStatus(entry)}</div>
+          ${!finished ? `<div class="lot-progress"><div class="lot-progress-bar batch-progress-fill" style="width: ${entry.progress}%"></div></div>` : ''}
+        </div>
+        ${!finished ? '<button type="button" class="btn btn-secondary btn-sm batch-cancel-btn">Cancel</button>' : ''}
+      </div>
+      ${receipt ? `
+        <div class="batch-receipt-fields">
+          <input type="date" class="form-input batch-receipt-input" data-field="date" value="${receipt.order.date}" />
+          <select class="form-input batch-receipt-input" data-field="retailer">
+            <option value="">Unknown retailer</option>
+            ${Object.entries(policies).map(([key, policy]) => `
+              <option value="${key}" ${receipt.retailer === key ? 'selected' : ''}>${policy.name}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="batch-drafts">
+          ${drafts.filter(d => d.entryId === entry.id).map(renderDraftCard).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function isEntryRunning(entry) {
+  return entry.status === 'queued' || entry.status === 'processing';
+}
+
+function getApprovedCount() {
+  return drafts.filter(d => d.status === 'approved').length;
+}
+
+function renderFooterText() {
+  const queue = getQueue();
+  const scanned = queue.filter(e => !isEntryRunning(e)).length;
+  const pending = drafts.filter(d => d.status === 'pending').length;
+  return `${scanned} of ${queue.length} scanned • ${pending} to review • swipe right to approve, left to skip`;
+}
+
+function updateBatchFooter() {
+  const text = document.getElementById('batch-footer-text');
+  if (text) text.textContent = renderFooterText();
+  const saveBtn = document.getElementById('batch-save-btn');
+  if (saveBtn) {
+    const count = getApprovedCount();
+    saveBtn.textContent = `Save ${count} Approved`;
+    saveBtn.disabled = count === 0;
+  }
+}
+
+export function BatchReview() {
+  const count = getApprovedCount();
+
+  return `
+    <div class="page">
+      <div class="container">
+        <h1 class="page-title">Add Lots</h1>
+
+        <div class="batch-list">
+          ${getQueue().map(renderReceipt).join('')}
+        </div>
+
+        <input type="file" id="batch-file-input" accept="${RECEIPT_FILE_ACCEPT}" multiple style="display: none;" />
+
+        <div class="batch-footer">
+          <div class="text-muted batch-footer-text" id="batch-footer-text">${renderFooterText()}</div>
+          <button class="btn btn-primary btn-full" id="batch-save-btn" ${count === 0 ? 'disabled' : ''}>Save ${count} Approved</button>
+          <div class="batch-footer-buttons">
+            <button class="btn btn-secondary" id="batch-add-btn">Add More</button>
+            <button class="btn btn-secondary" id="batch-discard-btn">Discard</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function setDraftStatus(card, status) {
+  const draft = drafts.find(d => d.id === card.dataset.draftId);
+  if (!draft) return;
+  draft.status = draft.status === status ? 'pending' : status;
+
+  card.outerHTML = renderDraftCard(draft);
+  bindDraftEvents(document.querySelector(`.batch-draft[data-draft-id="${draft.id}"]`));
+  updateBatchFooter();
+}
+
+function bindDraftEvents(card) {
+  if (!card) return;
+  const draft = drafts.find(d => d.id === card.dataset.draftId);
+
+  card.querySelectorAll('.batch-draft-input').forEach(input => {
+    input.addEventListener('input', () => {
+      draft[input.dataset.field] = input.value;
+    });
+  });
+
+  card.querySelector('.batch-approve-btn')?.addEventListener('click', () => setDraftStatus(card, 'approved'));
+  card.querySelector('.batch-skip-btn')?.addEventListener('click', () => setDraftStatus(card, 'skipped'));
+
+  // Swipe right to approve, left to skip
+  let startX = null;
+  let startY = null;
+  card.addEventListener('touchstart', (e) => {
+    if (e.target.closest('input, select, button')) return;
+    startX = e.touches[0].clientX;
+    startY = e.touches[0].clientY;
+  }, { passive: true });
+
+  card.addEventListener('touchmove', (e) => {
+    if (startX === null) return;
+    const dx = e.touches[0].clientX - startX;
+    if (Math.abs(dx) > Math.abs(e.touches[0].clientY - startY)) {
+      card.style.transform = `translateX(${dx}px)`;
+    }
+  }, { passive: true });
+
+  card.addEventListener('touchend', (e) => {
+    if (startX === null) return;
+    const dx = e.changedTouches[0].clientX - startX;
+    const dy = e.changedTouches[0].clientY - startY;
+    startX = null;
+    card.style.transform = '';
+    if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+    setDraftStatus(card, dx > 0 ? 'approved' : 'skipped');
+  });
+}
+
+function bindReceiptEvents(el) {
+  if (!el) return;
+  const receipt = receipts[el.dataset.entryId];
+
+  el.querySelectorAll('.batch-receipt-input').forEach(input => {
+    input.addEventListener('change', () => {
+      if (input.dataset.field === 'retailer') {
+        receipt.retailer = input.value;
+      } else {
+        receipt.order.date = input.value;
+      }
+    });
+  });
+
+  el.querySelector('.batch-cancel-btn')?.addEventListener('click', () => cancelEntry(el.dataset.entryId));
+
+  el.querySelectorAll('.batch-draft').forEach(bindDraftEvents);
+}
+
+function saveApprovedAndNavigate() {
+  const approved = drafts.filter(d => d.status === 'approved');
+  if (approved.length === 0) return;
+
+  const lots = approved.map(draft => ({
+    draft,
+    name: String(draft.name).trim() || 'Unnamed Item',
+    unitPrice: parseFloat(draft.unitPrice) || 0,
+    quantity: parseInt(draft.quantity) || 1
+  }));
+
+  if (lots.some(lot => lot.unitPrice <= 0)) {
+    alert('Please enter a valid cost for every approved item');
+    return;
+  }
+
+  if (isQueueBusy() && !confirm('Some receipts are still being scanned. Save the approved items now and discard the rest?')) {
+    return;
+  }
+
+  // Tax and shipping are split across every item on the receipt, so skipped items keep their share
+  const allocations = {};
+  for (const [entryId, receipt] of Object.entries(receipts)) {
+    const receiptDrafts = drafts.filter(d => d.entryId === entryId);
+    const totals = receiptDrafts.map(d => Math.round((parseFloat(d.unitPrice) || 0) * (parseInt(d.quantity) || 1) * 100));
+    allocateOrderCosts(totals, Math.round((receipt.order.tax || 0) * 100), Math.round((receipt.order.shipping || 0) * 100))
+      .forEach((allocation, index) => { allocations[receiptDrafts[index].id] = allocation; });
+  }
+
+  const queue = getQueue();
+  beginChangeGroup('add-lots', `Added ${lots.length} lot${lots.length !== 1 ? 's' : ''}`);
+
+  try {
+    lots.forEach(({ draft, name, unitPrice, quantity }) => {
+      const receipt = receipts[draft.entryId];
+      const allocation = allocations[draft.id];
+      saveLot({
+        name,
+        cost: Math.round(unitPrice * quantity * 100) / 100,
+        quantity,
+        purchaseDate: receipt.order.date || new Date().toISOString().split('T')[0],
+        retailer: receipt.retailer || null,
+        order: receipt.order,
+        allocatedTax: allocation.tax / 100,
+        allocatedShipping: allocation.shipping / 100,
+        imageData: queue.find(e => e.id === draft.entryId)?.thumbnail || null
+      });
+    });
+  } finally {
+    endChangeGroup();
+  }
+
+  recordNameCorrections(lots
+    .filter(({ draft }) => draft.suggestedName)
+    .map(({ draft, name }) => ({ suggestedName: draft.suggestedName, finalName: name })));
+
+  resetBatchReview();
+  navigate('/inventory');
+}
+
+export function initBatchReviewEvents() {
+  setQueueListener(handleQueueUpdate);
+
+  document.querySelectorAll('.batch-receipt').forEach(bindReceiptEvents);
+
+  const fileInput = document.getElementById('batch-file-input');
+  document.getElementById('batch-add-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', (e) => {
+    const files = Array.from(e.target.files || []).filter(file => getDocumentType(file));
+    if (files.length === 0) return;
+    enqueueFiles(files);
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.getElementById('batch-save-btn')?.addEventListener('click', saveApprovedAndNavigate);
+
+  document.getElementById('batch-discard-btn')?.addEventListener('click', () => {
+    if (drafts.length > 0 && !confirm('Discard every scanned receipt in this batch?')) return;
+    resetBatchReview();
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+}
+
@@ -0,0 +1,524 @@
+// Import Wizard Component - Map CSV columns to lot and sale fields, preview the rows and import on confirm
+
+import {
+  IMPORT_FIELDS, normalizeHeader, readCSVFile, guessColumnMapping, getMappingProfiles, saveMappingProfile,
+  deleteMappingProfile, findMappingProfile, prepareImportRows, commitImportRows, generateCSVTemplate,
+  DEFAULT_DUPLICATE_ACTION
+} from '../services/csvImport.js';
+import { formatDate } from '../services/calculations.js';
+import { showUndoToast } from './UndoToast.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Rows shown in the preview table; every row is still validated
+const PREVIEW_ROWS = 10;
+
+// Duplicate rows listed one by one; the rest follow the choice for all
+const DUPLICATE_ROWS = 20;
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab' };
+
+const DUPLICATE_ACTIONS = {
+  skip: 'Skip',
+  update: 'Update existing',
+  create: 'Create anyway'
+};
+
+let wizardOpen = false;
+let fileName = '';
+let loadProgress = null; // Percentage of the file read while it's being parsed
+let table = null; // { headers, rows } once a file is read
+let mapping = {}; // Field key -> normalized header
+let profileName = ''; // Saved mapping in use, if any
+let duplicateAction = DEFAULT_DUPLICATE_ACTION; // Applied to every row matching an existing lot or earlier row...
+let rowActions = {}; // ...unless chosen for the row: row number -> action
+let result = null; // Import result once committed
+
+export function openImportWizard() {
+  wizardOpen = true;
+  resetWizard();
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function resetWizard() {
+  fileName = '';
+  loadProgress = null;
+  table = null;
+  mapping = {};
+  profileName = '';
+  duplicateAction = DEFAULT_DUPLICATE_ACTION;
+  rowActions = {};
+  result = null;
+}
+
+function closeImportWizard() {
+  wizardOpen = false;
+  resetWizard();
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function renderUploadStep() {
+  return `
+    <div class="import-drop-zone" id="import-drop-zone">
+      <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" style="color: var(--text-muted); margin-bottom: var(--spacing-md);">
+        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+        <polyline points="17 8 12 3 7 8"></polyline>
+        <line x1="12" y1="3" x2="12" y2="15"></line>
+      </svg>
+      <p style="margin: 0; color: var(--text-secondary);">Drop CSV file here or click to browse</p>
+      <p style="margin: var(--spacing-sm) 0 0 0; font-size: var(--font-size-sm); color: var(--text-muted);">You can match the columns to fields before anything is imported</p>
+      <input type="file" id="csv-file-input" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" style="display: none;">
+    </div>
+
+    <div style="margin-top: var(--spacing-lg); text-align: center;">
+      <button class="btn btn-secondary btn-sm" id="download-template">Download Template</button>
+    </div>
+  `;
+}
+
+function renderLoadingStep() {
+  return `
+    <div class="ocr-progress">
+      <div class="progress-spinner"></div>
+      <div class="progress-text" id="import-load-text">Reading ${escapeHtml(fileName)}… ${loadProgress}%</div>
+      <div class="lot-progress"><div class="lot-progress-bar" id="import-load-bar" style="width: ${loadProgress}%"></div></div>
+    </div>
+  `;
+}
+
+function renderColumnOptions(fieldKey) {
+  const sample = table.rows[0] || [];
+  return `
+    <option value="">Not imported</option>
+    ${table.headers.map((header, index) => {
+      const value = normalizeHeader(header);
+      const example = (sample[index] || '').slice(0, 24);
+      return `<option value="${escapeHtml(value)}" ${mapping[fieldKey] === value ? 'selected' : ''}>${escapeHtml(header)}${example ? ` (e.g. ${escapeHtml(example)})` : ''}</option>`;
+    }).join('')}
+  `;
+}
+
+function renderMappingGroup(group, title) {
+  return `
+    <div class="import-map-group">
+      <div class="import-map-title">${title}</div>
+      ${IMPORT_FIELDS.filter(field => field.group === group).map(field => `
+        <div class="import-map-row">
+          <label class="import-map-label">${field.label}${field.required ? ' *' : ''}</label>
+          <select class="form-input import-map-select" data-field="${field.key}">
+            ${renderColumnOptions(field.key)}
+          </select>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderProfiles() {
+  const names = Object.keys(getMappingProfiles());
+  return `
+    <div class="import-profile-row">
+      <select class="form-input" id="import-profile">
+        <option value="">${names.length > 0 ? 'Saved mappings…' : 'No saved mappings yet'}</option>
+        ${names.map(name => `<option value="${escapeHtml(name)}" ${name === profileName ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+      </select>
+      ${profileName && names.includes(profileName) ? `<button class="btn btn-secondary btn-sm" id="import-delete-profile">Delete</button>` : ''}
+    </div>
+    <div class="import-profile-row">
+      <input type="text" class="form-input" id="import-profile-name" value="${escapeHtml(profileName)}" placeholder="Source name, e.g. eBay export" />
+      <button class="btn btn-secondary btn-sm" id="import-save-profile">Save Mapping</button>
+    </div>
+  `;
+}
+
+function renderPreviewCell(row, key) {
+  const message = row.errors[key] || row.warnings[key];
+  const level = row.errors[key] ? 'error' : row.warnings[key] ? 'warning' : '';
+  return `<td class="${level}" ${message ? `title="${escapeHtml(message)}"` : ''}>${escapeHtml(row.cells[key])}</td>`;
+}
+
+function getRowAction(row) {
+  if (!row.duplicate) return 'create';
+  return rowActions[row.rowNumber] || duplicateAction;
+}
+
+function renderActionOptions(selected) {
+  return Object.entries(DUPLICATE_ACTIONS)
+    .map(([action, label]) => `<option value="${action}" ${action === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+function renderDuplicates(duplicates) {
+  if (duplicates.length === 0) return '';
+
+  return `
+    <div class="import-duplicates">
+      <div class="import-duplicate-row">
+        <strong class="import-duplicate-info">🔁 ${duplicates.length} row${duplicates.length !== 1 ? 's' : ''} already in inventory or earlier in the file</strong>
+        <select class="form-input import-duplicate-select" id="import-duplicate-all">
+          ${renderActionOptions(duplicateAction)}
+        </select>
+      </div>
+      ${duplicates.slice(0, DUPLICATE_ROWS).map(row => `
+        <div class="import-duplicate-row">
+          <span class="import-duplicate-info">
+            Row ${row.rowNumber}: ${escapeHtml(row.duplicate.name)}
+            <span class="text-muted">• ${row.duplicate.importRow ? `same as row ${row.duplicate.importRow}` : `bought ${formatDate(`${row.duplicate.purchaseDate}T12:00:00`)}`}</span>
+          </span>
+          <select class="form-input import-duplicate-select" data-row="${row.rowNumber}">
+            ${renderActionOptions(getRowAction(row))}
+          </select>
+        </div>
+      `).join('')}
+      ${duplicates.length > DUPLICATE_ROWS ? `<p class="text-muted import-preview-more">…and ${duplicates.length - DUPLICATE_ROWS} more, following the choice above</p>` : ''}
+    </div>
+  `;
+}
+
+function renderPreview(prepared) {
+  const fields = IMPORT_FIELDS.filter(field => mapping[field.key]);
+  const invalid = prepared.filter(row => Object.keys(row.errors).length > 0);
+  const warned = prepared.filter(row => Object.keys(row.warnings).length > 0);
+  const duplicates = prepared.filter(row => row.duplicate);
+  const ready = prepared.length - invalid.length - duplicates.length;
+
+  if (fields.length === 0) {
+    return '<p class="text-muted">Choose at least the product name column to see a preview.</p>';
+  }
+
+  return `
+    <div class="import-preview-summary">
+      <span class="text-success">${ready} new row${ready !== 1 ? 's' : ''} ready</span>
+      ${duplicates.length > 0 ? ` • ${duplicates.length} already imported` : ''}
+      ${invalid.length > 0 ? ` • <span class="text-danger">${invalid.length} with errors will be skipped</span>` : ''}
+      ${warned.length > 0 ? ` • <span class="import-warning-text">${warned.length} with warnings</span>` : ''}
+    </div>
+
+    <div class="import-preview-table-wrap">
+      <table class="import-preview-table">
+        <thead>
+          <tr>
+            <th>Row</th>
+            ${fields.map(field => `<th>${field.label}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${prepared.slice(0, PREVIEW_ROWS).map(row => `
+            <tr class="${Object.keys(row.errors).length > 0 ? 'has-error' : row.duplicate ? 'is-duplicate' : ''}">
+              <td class="text-muted" ${row.duplicate ? `title="Matches ${escapeHtml(row.duplicate.name)}: ${DUPLICATE_ACTIONS[getRowAction(row)]}"` : ''}>${row.duplicate ? '🔁 ' : ''}${row.rowNumber}</td>
+              ${fields.map(field => renderPreviewCell(row, field.key)).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${prepared.length > PREVIEW_ROWS ? `<p class="text-muted import-preview-more">…and ${prepared.length - PREVIEW_ROWS} more rows</p>` : ''}
+
+    ${renderDuplicates(duplicates)}
+
+    ${invalid.length > 0 ? `
+      <div class="import-errors" style="margin-top: var(--spacing-md); color: var(--accent-warning);">
+        <strong>⚠️ ${invalid.length} row${invalid.length !== 1 ? 's' : ''} won't be imported:</strong>
+        <ul style="margin: var(--spacing-sm) 0 0 var(--spacing-lg); padding: 0; font-size: var(--font-size-sm);">
+          ${invalid.slice(0, 5).map(row => `<li>Row ${row.rowNumber}: ${escapeHtml(Object.values(row.errors).join(', '))}</li>`).join('')}
+          ${invalid.length > 5 ? `<li>...and ${invalid.length - 5} more</li>` : ''}
+        </ul>
+      </div>
+    ` : ''}
+  `;
+}
+
+function getActionCounts(prepared) {
+  const counts = { create: 0, update: 0 };
+  if (!mapping.name) return counts;
+
+  prepared
+    .filter(row => Object.keys(row.errors).length === 0)
+    .forEach(row => {
+      const action = getRowAction(row);
+      if (action in counts) counts[action]++;
+    });
+  return counts;
+}
+
+function renderConfirmLabel({ create, update }) {
+  if (create > 0 && update > 0) return `Import ${create} & Update ${update}`;
+  if (update > 0) return `Update ${update} Lot${update !== 1 ? 's' : ''}`;
+  if (create > 0) return `Import ${create} Lot${create !== 1 ? 's' : ''}`;
+  return 'Nothing to Import';
+}
+
+function hasWork({ create, update }) {
+  return create + update > 0;
+}
+
+function renderReviewStep() {
+  const prepared = prepareImportRows(table, mapping);
+  const counts = getActionCounts(prepared);
+
+  return `
+    <div class="import-file-info">
+      <span>📄 ${escapeHtml(fileName)} • ${table.rows.length} row${table.rows.length !== 1 ? 's' : ''}, ${table.headers.length} ${DELIMITER_NAMES[table.delimiter]}-separated columns</span>
+      <button class="btn btn-secondary btn-sm" id="import-change-file">Change File</button>
+    </div>
+
+    <div class="form-group">
+      <label class="form-label">Column Mapping</label>
+      ${renderProfiles()}
+      ${profileName ? `<p class="text-muted import-profile-hint">Using the saved mapping for ${escapeHtml(profileName)}</p>` : ''}
+    </div>
+
+    ${renderMappingGroup('lot', 'Lot')}
+    ${renderMappingGroup('sale', 'Sale (optional)')}
+
+    <div class="form-group">
+      <label class="form-label">Preview</label>
+      <div id="import-preview">${renderPreview(prepared)}</div>
+    </div>
+
+    <button class="btn btn-primary btn-full" id="confirm-import" ${!hasWork(counts) ? 'disabled' : ''}>
+      ${renderConfirmLabel(counts)}
+    </button>
+  `;
+}
+
+function renderResultStep() {
+  const { success, updated, skipped, salesImported, errors } = result;
+
+  let html = `<div class="import-success">✅ Imported ${success} lot${success !== 1 ? 's' : ''}`;
+  if (updated > 0) {
+    html += `, updated ${updated}`;
+  }
+  if (salesImported > 0) {
+    html += ` with ${salesImported} sale${salesImported !== 1 ? 's' : ''}`;
+  }
+  html += `</div>`;
+
+  if (skipped > 0) {
+    html += `<p class="text-muted" style="text-align: center; margin: var(--spacing-sm) 0 0;">${skipped} row${skipped !== 1 ? 's were' : ' was'} already in inventory and skipped</p>`;
+  }
+
+  if (errors.length > 0) {
+    html += `<div class="import-errors" style="margin-top: var(--spacing-md); color: var(--accent-warning);">
+      <strong>⚠️ ${errors.length} row${errors.length !== 1 ? 's' : ''} skipped:</strong>
+      <ul style="margin: var(--spacing-sm) 0 0 var(--spacing-lg); padding: 0; font-size: var(--font-size-sm);">
+        ${errors.slice(0, 5).map(e => `<li>${escapeHtml(e)}</li>`).join('')}
+        ${errors.length > 5 ? `<li>...and ${errors.length - 5} more</li>` : ''}
+      </ul>
+    </div>`;
+  }
+
+  html += `<button class="btn btn-success btn-full" style="margin-top: var(--spacing-lg);" id="import-done">Done</button>`;
+  return html;
+}
+
+export function ImportWizard() {
+  if (!wizardOpen) return '';
+
+  let body = renderUploadStep();
+  if (result) body = renderResultStep();
+  else if (table) body = renderReviewStep();
+  else if (loadProgress !== null) body = renderLoadingStep();
+
+  return `
+    <div class="modal-overlay" id="import-modal">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2 class="modal-title">Import from CSV</h2>
+          <button class="modal-close" id="close-import-modal">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        ${body}
+      </div>
+    </div>
+  `;
+}
+
+// Update just the preview and confirm button so the mapping selects keep their place
+function updatePreview() {
+  const prepared = prepareImportRows(table, mapping);
+  const preview = document.getElementById('import-preview');
+  if (preview) preview.innerHTML = renderPreview(prepared);
+
+  const counts = getActionCounts(prepared);
+  const confirmBtn = document.getElementById('confirm-import');
+  if (confirmBtn) {
+    confirmBtn.disabled = !hasWork(counts);
+    confirmBtn.textContent = renderConfirmLabel(counts);
+  }
+}
+
+async function loadFile(file) {
+  if (!/\.(csv|tsv|txt)$/i.test(file.name)) {
+    alert('Please select a .csv or .tsv file');
+    return;
+  }
+
+  fileName = file.name;
+  loadProgress = 0;
+  window.dispatchEvent(new CustomEvent('viewchange'));
+
+  try {
+    // Patch the progress bar in place while the file is read in chunks
+    const loaded = await readCSVFile(file, (progress) => {
+      loadProgress = progress;
+      const bar = document.getElementById('import-load-bar');
+      const text = document.getElementById('import-load-text');
+      if (bar) bar.style.width = `${progress}%`;
+      if (text) text.textContent = `Reading ${file.name}… ${progress}%`;
+    });
+    // Closed while reading
+    if (!wizardOpen || fileName !== file.name) return;
+
+    loadProgress = null;
+    if (loaded.rows.length === 0) {
+      resetWizard();
+      window.dispatchEvent(new CustomEvent('viewchange'));
+      alert('No rows found in this file. The first row should be the column names.');
+      return;
+    }
+
+    const profile = findMappingProfile(loaded.headers);
+    table = loaded;
+    profileName = profile || '';
+    mapping = profile ? { ...getMappingProfiles()[profile].mapping } : guessColumnMapping(loaded.headers);
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  } catch (err) {
+    console.error('Failed to read CSV:', err);
+    resetWizard();
+    window.dispatchEvent(new CustomEvent('viewchange'));
+    alert('Could not read this file: ' + err.message);
+  }
+}
+
+function initUploadEvents() {
+  document.getElementById('import-drop-zone')?.addEventListener('click', () => {
+    document.getElementById('csv-file-input')?.click();
+  });
+
+  document.getElementById('csv-file-input')?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (file) await loadFile(file);
+  });
+
+  const dropZone = document.getElementById('import-drop-zone');
+  if (dropZone) {
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drag-over');
+      const file = e.dataTransfer.files?.[0];
+      if (file) await loadFile(file);
+    });
+  }
+
+  document.getElementById('download-template')?.addEventListener('click', () => {
+    const template = generateCSVTemplate();
+    const blob = new Blob([template], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'inventory_template.csv';
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+}
+
+function initReviewEvents() {
+  document.getElementById('import-change-file')?.addEventListener('click', () => {
+    resetWizard();
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.querySelectorAll('.import-map-select').forEach(select => {
+    select.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (e.target.value) {
+        mapping[field] = e.target.value;
+      } else {
+        delete mapping[field];
+      }
+      updatePreview();
+    });
+  });
+
+  // The duplicate choices are re-rendered with the preview, so listen on the container
+  document.getElementById('import-preview')?.addEventListener('change', (e) => {
+    if (e.target.id === 'import-duplicate-all') {
+      duplicateAction = e.target.value;
+      rowActions = {};
+      updatePreview();
+    } else if (e.target.dataset.row) {
+      rowActions[e.target.dataset.row] = e.target.value;
+      updatePreview();
+    }
+  });
+
+  document.getElementById('import-profile')?.addEventListener('change', (e) => {
+    const profile = getMappingProfiles()[e.target.value];
+    if (!profile) return;
+    profileName = e.target.value;
+    mapping = { ...profile.mapping };
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.getElementById('import-save-profile')?.addEventListener('click', () => {
+    const name = document.getElementById('import-profile-name')?.value.trim();
+    if (!name) {
+      alert('Enter a name for this source, e.g. "eBay export"');
+      return;
+    }
+    saveMappingProfile(name, mapping);
+    profileName = name;
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.getElementById('import-delete-profile')?.addEventListener('click', () => {
+    if (!confirm(`Delete the saved mapping "${profileName}"?`)) return;
+    deleteMappingProfile(profileName);
+    profileName = '';
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.getElementById('confirm-import')?.addEventListener('click', () => {
+    const prepared = prepareImportRows(table, mapping);
+    const actions = {};
+    prepared.filter(row => row.duplicate).forEach(row => {
+      actions[row.rowNumber] = getRowAction(row);
+    });
+
+    result = commitImportRows(prepared, fileName, actions);
+    showUndoToast(result.change);
+    window.dispatchEvent(new CustomEvent('viewchange'));
+
+    if (result.success > 0 && result.errors.length === 0) {
+      setTimeout(() => {
+        if (result) closeImportWizard();
+      }, 1500);
+    }
+  });
+}
+
+export function initImportWizardEvents() {
+  if (!wizardOpen) return;
+
+  document.getElementById('close-import-modal')?.addEventListener('click', closeImportWizard);
+  document.getElementById('import-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'import-modal') closeImportWizard();
+  });
+  document.getElementById('import-done')?.addEventListener('click', closeImportWizard);
+
+  if (result || loadProgress !== null) return;
+  if (table) initReviewEvents();
+  else initUploadEvents();
+}
@@ -1,7 +1,7 @@
 // Login Modal Component
 import { signInWithGoogle, logout, auth, onUserChanged } from '../services/firebase.js';
-import { uploadLocalData, syncLots } from '../services/firebaseSync.js';
-import { getLots, setLots } from '../services/storage.js';
+import { uploadLocalData, syncLots, syncOcrDictionary } from '../services/firebaseSync.js';
+import { getLots, setLots, mergeCloudOcrDictionary } from '../services/storage.js';
 
 let isOpen = false;
 
@@ -125,6 +125,9 @@ export function initLoginModalEvents() {
           uploadLocalData(localLots);
         }
       });
+
+      // Names learned from OCR corrections are merged rather than replaced
+      syncOcrDictionary(mergeCloudOcrDictionary);
     } else if (!user) {
       syncInitialized = false;
     }
@@ -0,0 +1,37 @@
+// Offline OCR Status Component - Whether receipts can be scanned without a connection
+
+import { getOfflineOcrStatus, onOcrAssetsCached } from '../services/ocrAssets.js';
+
+let status = null; // Last known status; null until first checked
+
+const LABELS = {
+  ready: '✓ Offline scanning ready',
+  downloading: 'Downloading scanner for offline use…',
+  unsupported: 'Scanning needs an internet connection'
+};
+
+export function OfflineOcrStatus() {
+  return `<span class="offline-ocr-status ${status || ''}">${status ? LABELS[status] : 'Checking offline scanning…'}</span>`;
+}
+
+function renderStatus() {
+  document.querySelectorAll('.offline-ocr-status').forEach(el => {
+    el.className = `offline-ocr-status ${status}`;
+    el.textContent = LABELS[status];
+  });
+}
+
+// The check is async, so the badge is filled in after render
+export function initOfflineOcrStatus() {
+  if (!document.querySelector('.offline-ocr-status')) return;
+
+  getOfflineOcrStatus().then(result => {
+    status = result;
+    renderStatus();
+    if (status === 'downloading') {
+      onOcrAssetsCached(initOfflineOcrStatus);
+    }
+  }).catch(error => {
+    console.error('Failed to check offline OCR status:', error);
+  });
+}
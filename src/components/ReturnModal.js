@@ -0,0 +1,172 @@
+// Return Modal Component - Send some or all unsold units of a lot back to the retailer
+
+import { getLotById, returnToRetailer, getLastChange } from '../services/storage.js';
+import { formatCurrency, getRetailerReturnCost } from '../services/calculations.js';
+import { showUndoToast } from './UndoToast.js';
+
+let returnLotId = null;
+let returnUnits = '1';
+let returnRefund = '';
+let refundEdited = false;
+let returnDate = new Date().toISOString().split('T')[0];
+
+/**
+ * Open the retailer return modal for a lot, defaulting to all remaining units at full cost
+ * @param {string} lotId - Lot ID
+ */
+export function openReturnModal(lotId) {
+  const lot = getLotById(lotId);
+  if (!lot || lot.remaining === 0) return;
+
+  returnLotId = lotId;
+  returnUnits = String(lot.remaining);
+  returnRefund = (getRetailerReturnCost(lot, lot.remaining) / 100).toFixed(2);
+  refundEdited = false;
+  returnDate = new Date().toISOString().split('T')[0];
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function closeReturnModal() {
+  returnLotId = null;
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function getFormValues(lot) {
+  const units = parseInt(returnUnits) || 0;
+  const refundCents = Math.round((parseFloat(returnRefund) || 0) * 100);
+  const isValid = units >= 1 && units <= lot.remaining && refundCents >= 0 && refundCents <= getRetailerReturnCost(lot, units);
+  return { units, refundCents, isValid };
+}
+
+function renderReturnSummary(lot) {
+  const { units, refundCents } = getFormValues(lot);
+  const costReturned = getRetailerReturnCost(lot, units);
+  const loss = costReturned - refundCents;
+
+  return `
+    <div class="summary-row">
+      <span class="text-secondary">Cost of Returned Units</span>
+      <span>${formatCurrency(costReturned)}</span>
+    </div>
+    <div class="summary-row">
+      <span class="text-secondary">Refunded by Retailer</span>
+      <span>${formatCurrency(refundCents)}</span>
+    </div>
+    ${loss > 0 ? `
+    <div class="summary-row">
+      <span class="text-secondary">Not Refunded (restocking fees, etc.)</span>
+      <span class="text-danger">-${formatCurrency(loss)}</span>
+    </div>
+    ` : ''}
+    <div class="summary-row">
+      <span>Units Left in Inventory</span>
+      <span class="summary-value">${Math.max(0, lot.remaining - units)}</span>
+    </div>
+  `;
+}
+
+export function ReturnModal() {
+  if (!returnLotId) return '';
+  const lot = getLotById(returnLotId);
+  if (!lot) return '';
+
+  const { isValid } = getFormValues(lot);
+
+  return `
+    <div class="modal-overlay" id="return-modal">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2 class="modal-title">Return to Retailer</h2>
+          <button class="modal-close" id="close-return-modal">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+
+        <p class="text-secondary" style="margin-bottom: var(--spacing-sm);">${lot.name}</p>
+        <p class="text-muted" style="margin-bottom: var(--spacing-lg);">
+          ${lot.remaining} of ${lot.quantity} unsold • ${formatCurrency(lot.unitCost)}/unit cost
+        </p>
+
+        <div class="form-group">
+          <label class="form-label">Units Returned (max ${lot.remaining})</label>
+          <input type="number" class="form-input" id="return-units" min="1" max="${lot.remaining}" value="${returnUnits}" inputmode="numeric" />
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Amount Refunded ($)</label>
+          <input type="number" class="form-input" id="return-refund" placeholder="0.00" step="0.01" min="0" value="${returnRefund}" inputmode="decimal" />
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Return Date</label>
+          <input type="date" class="form-input" id="return-date" value="${returnDate}" />
+        </div>
+
+        <div class="summary-box" id="return-summary">
+          ${renderReturnSummary(lot)}
+        </div>
+
+        <button class="btn btn-danger btn-full" id="confirm-return" ${!isValid ? 'disabled' : ''}>
+          Record Return
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+// Update just the summary and confirm button without re-rendering
+function updateReturnSummary() {
+  const lot = getLotById(returnLotId);
+  if (!lot) return;
+
+  const summary = document.getElementById('return-summary');
+  if (summary) summary.innerHTML = renderReturnSummary(lot);
+
+  const confirmBtn = document.getElementById('confirm-return');
+  if (confirmBtn) confirmBtn.disabled = !getFormValues(lot).isValid;
+}
+
+export function initReturnModalEvents() {
+  document.getElementById('close-return-modal')?.addEventListener('click', closeReturnModal);
+  document.getElementById('return-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'return-modal') closeReturnModal();
+  });
+
+  document.getElementById('return-units')?.addEventListener('input', (e) => {
+    returnUnits = e.target.value;
+    // Keep the refund in step with the units until the user sets it themselves
+    const lot = getLotById(returnLotId);
+    if (lot && !refundEdited) {
+      returnRefund = (getRetailerReturnCost(lot, parseInt(returnUnits) || 0) / 100).toFixed(2);
+      const refundInput = document.getElementById('return-refund');
+      if (refundInput) refundInput.value = returnRefund;
+    }
+    updateReturnSummary();
+  });
+
+  document.getElementById('return-refund')?.addEventListener('input', (e) => {
+    returnRefund = e.target.value;
+    refundEdited = true;
+    updateReturnSummary();
+  });
+
+  document.getElementById('return-date')?.addEventListener('change', (e) => {
+    returnDate = e.target.value;
+  });
+
+  document.getElementById('confirm-return')?.addEventListener('click', () => {
+    const lot = getLotById(returnLotId);
+    if (!lot) return;
+
+    const { units, refundCents, isValid } = getFormValues(lot);
+    if (!isValid) return;
+
+    if (returnToRetailer(returnLotId, units, refundCents / 100, returnDate)) {
+      showUndoToast(getLastChange());
+    }
+    closeReturnModal();
+  });
+}
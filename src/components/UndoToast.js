@@ -0,0 +1,47 @@
+// Undo Toast Component - Offers to undo the last destructive change
+
+import { undoChange } from '../services/storage.js';
+
+const TOAST_DURATION = 6000;
+
+let toastEntry = null;
+let hideTimer = null;
+
+/**
+ * Show the undo toast for a change log entry (rendered on the next view change)
+ * @param {Object|null} entry - Change log entry from storage
+ */
+export function showUndoToast(entry) {
+  if (!entry) return;
+  toastEntry = entry;
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(hideUndoToast, TOAST_DURATION);
+}
+
+function hideUndoToast() {
+  toastEntry = null;
+  clearTimeout(hideTimer);
+  document.getElementById('undo-toast')?.remove();
+}
+
+export function UndoToast() {
+  if (!toastEntry) return '';
+
+  return `
+    <div class="undo-toast" id="undo-toast">
+      <span class="undo-toast-text">${toastEntry.summary}</span>
+      <button class="undo-toast-btn" id="undo-toast-btn">Undo</button>
+    </div>
+  `;
+}
+
+export function initUndoToastEvents() {
+  document.getElementById('undo-toast-btn')?.addEventListener('click', () => {
+    const entry = toastEntry;
+    hideUndoToast();
+    if (!undoChange(entry.id)) {
+      alert('This change can no longer be undone because the item was changed afterwards.');
+    }
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+}
@@ -1,14 +1,20 @@
 // ResellTracker - Main Application Entry Point
 
 import './styles/main.css';
-import { route, initRouter } from './router.js';
+import { route, initRouter, navigate } from './router.js';
 import { DashboardView, initDashboardEvents } from './views/DashboardView.js';
-import { InventoryView, initInventoryEvents } from './views/InventoryView.js';
+import { InventoryView, initInventoryEvents, openSaleModal } from './views/InventoryView.js';
 import { AddLotView, initAddLotEvents } from './views/AddLotView.js';
+import { HistoryView, initHistoryEvents } from './views/HistoryView.js';
+import { SettingsView, initSettingsEvents } from './views/SettingsView.js';
 import { BottomNav, initBottomNavEvents } from './components/BottomNav.js';
 import { LoginModal, initLoginModalEvents } from './components/LoginModal.js';
+import { UndoToast, initUndoToastEvents } from './components/UndoToast.js';
+import { ReturnModal, initReturnModalEvents, openReturnModal } from './components/ReturnModal.js';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from './services/firebase.js';
+import { initStorage, getUndoableChange, getRedoableChange, undoChange, redoChange, getLotById, dismissReturnAlert } from './services/storage.js';
+import { scheduleReturnReminders } from './services/notifications.js';
 
 // Get current route from hash
 function getCurrentRoute() {
@@ -18,7 +24,7 @@ function getCurrentRoute() {
 
 // Render the full app layout
 function renderApp(viewContent, activeRoute) {
-  return viewContent + BottomNav(activeRoute) + LoginModal();
+  return viewContent + BottomNav(activeRoute) + LoginModal() + ReturnModal() + UndoToast();
 }
 
 // Initialize event handlers for current view
@@ -28,6 +34,8 @@ function initEvents() {
   // Always init global components
   initBottomNavEvents();
   initLoginModalEvents();
+  initReturnModalEvents();
+  initUndoToastEvents();
 
   // Route-specific events
   switch (currentRoute) {
@@ -40,6 +48,12 @@ function initEvents() {
     case '/add':
       initAddLotEvents();
       break;
+    case '/history':
+      initHistoryEvents();
+      break;
+    case '/settings':
+      initSettingsEvents();
+      break;
   }
 }
 
@@ -47,9 +61,76 @@ function initEvents() {
 route('/', () => renderApp(DashboardView(), '/'));
 route('/inventory', () => renderApp(InventoryView(), '/inventory'));
 route('/add', () => renderApp(AddLotView(), '/add'));
+route('/history', () => renderApp(HistoryView(), '/history'));
+route('/settings', () => renderApp(SettingsView(), '/settings'));
+
+// Surface storage failures instead of silently losing changes
+window.addEventListener('storage-error', (e) => {
+  alert(e.detail.message);
+});
+
+// Undo/redo keyboard shortcuts (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl+Y)
+window.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey)) return;
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+  const key = e.key.toLowerCase();
+  const entry = (key === 'z' && !e.shiftKey) ? getUndoableChange()
+    : (key === 'y' || (key === 'z' && e.shiftKey)) ? getRedoableChange()
+      : undefined;
+  if (entry === undefined) return;
+
+  e.preventDefault();
+  if (!entry) return;
+  if (entry.undone) {
+    redoChange(entry.id);
+  } else {
+    undoChange(entry.id);
+  }
+  window.dispatchEvent(new CustomEvent('viewchange'));
+});
+
+/**
+ * Act on a return reminder notification: 'keep' dismisses the alert,
+ * 'returned' opens the return modal and anything else opens the lot
+ * @param {string} action - Notification action
+ * @param {string} lotId - Lot ID
+ */
+function handleReturnReminder(action, lotId) {
+  const lot = getLotById(lotId);
+  if (!lot) return;
+
+  navigate('/inventory');
+  if (action === 'keep') {
+    dismissReturnAlert(lotId);
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  } else if (action === 'returned' && lot.remaining > 0) {
+    openReturnModal(lotId);
+  } else {
+    openSaleModal(lotId);
+  }
+}
+
+// Load local data, then initialize router with event callback
+initStorage().then(() => {
+  // Notification opened the app: ?reminder=<action>&lot=<id>
+  const params = new URLSearchParams(window.location.search);
+  const reminderLotId = params.get('lot');
+  const reminderAction = params.get('reminder');
+  if (reminderLotId) {
+    window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+  }
+
+  initRouter(initEvents);
+
+  if (reminderLotId) handleReturnReminder(reminderAction, reminderLotId);
+  scheduleReturnReminders();
+});
 
-// Initialize router with event callback
-initRouter(initEvents);
+// Refresh the reminder schedule whenever the app is backgrounded
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') scheduleReturnReminders();
+});
 
 // Handle custom view change events (for modals, state updates, etc.)
 window.addEventListener('viewchange', () => {
@@ -67,6 +148,12 @@ window.addEventListener('viewchange', () => {
     case '/add':
       content = AddLotView();
       break;
+    case '/history':
+      content = HistoryView();
+      break;
+    case '/settings':
+      content = SettingsView();
+      break;
     default:
       content = DashboardView();
   }
@@ -84,6 +171,13 @@ onAuthStateChanged(auth, () => {
 
 // Register service worker (handled by vite-plugin-pwa)
 if ('serviceWorker' in navigator) {
+  // Notification clicked while the app was already open
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type === 'return-reminder') {
+      handleReturnReminder(e.data.action, e.data.lotId);
+    }
+  });
+
   window.addEventListener('load', () => {
     navigator.serviceWorker.register('/sw.js').catch(() => {
       // Service worker registration failed, but app still works
@@ -0,0 +1,70 @@
+// Barcode Service - UPC/EAN scanning from a photo or the camera
+
+// Loaded on first scan so the decoder isn't part of the main bundle.
+// Returns the reader and a function turning its results into { code, format }.
+async function createReader() {
+    const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+        import('@zxing/browser'),
+        import('@zxing/library')
+    ]);
+
+    const hints = new Map();
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+        BarcodeFormat.UPC_A,
+        BarcodeFormat.UPC_E,
+        BarcodeFormat.EAN_13,
+        BarcodeFormat.EAN_8
+    ]);
+    hints.set(DecodeHintType.TRY_HARDER, true);
+
+    const toScan = (result) => ({ code: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] });
+    return { reader: new BrowserMultiFormatReader(hints), toScan };
+}
+
+/**
+ * Check whether the camera can be used for live scanning
+ * @returns {boolean}
+ */
+export function isCameraScanSupported() {
+    return !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * Read a UPC/EAN barcode from a photo
+ * @param {File|Blob} file - Photo of the barcode
+ * @returns {Promise<Object|null>} { code: digits, format: 'UPC_A'|'UPC_E'|'EAN_13'|'EAN_8' },
+ *   or null when no barcode was found
+ */
+export async function scanBarcodeFromImage(file) {
+    const { reader, toScan } = await createReader();
+    const url = URL.createObjectURL(file);
+
+    try {
+        const result = await reader.decodeFromImageUrl(url);
+        return toScan(result);
+    } catch (error) {
+        // The decoder throws when the photo has no readable barcode
+        console.warn('[Barcode] No barcode found:', error);
+        return null;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Scan continuously from the rear camera until a barcode is read
+ * @param {HTMLVideoElement} video - Element showing the camera preview
+ * @param {Function} onDetected - Called once with { code, format } as from scanBarcodeFromImage
+ * @returns {Promise<Object>} Controls with stop() to release the camera
+ */
+export async function startCameraScan(video, onDetected) {
+    const { reader, toScan } = await createReader();
+    let detected = false;
+
+    return reader.decodeFromConstraints({ video: { facingMode: 'environment' } }, video, (result, error, controls) => {
+        if (!result || detected) return;
+        detected = true;
+        controls.stop();
+        onDetected(toScan(result));
+    });
+}
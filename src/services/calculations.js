@@ -1,45 +1,301 @@
 // Calculations Service - Financial calculations and aggregations
 
 /**
- * Platform fee rates
+ * Platform registry
+ *
+ * Each platform describes its fee formula, all amounts in cents:
+ * - percent: commission rate on the sale price
+ * - minFee / maxFee: floor and cap applied to the commission
+ * - fixed: flat fee charged per order
+ * - processingPercent / processingFixed: payment processing charged per order
+ * - hasShipping: whether the seller pays shipping on this platform
  */
-export const PLATFORM_FEES = {
-    facebook: { name: 'Facebook Marketplace', rate: 0, label: '0% fees' },
-    ebay: { name: 'eBay', rate: 0.135, label: '13.5% fees' }
+export const PLATFORMS = {
+    facebook: {
+        name: 'Facebook Marketplace',
+        label: '0% fees',
+        hasShipping: false,
+        fees: { percent: 0 }
+    },
+    ebay: {
+        name: 'eBay',
+        label: '13.5% fees',
+        hasShipping: true,
+        fees: { percent: 0.135 }
+    },
+    mercari: {
+        name: 'Mercari',
+        label: '10% + 2.9% + $0.50',
+        hasShipping: true,
+        fees: { percent: 0.10, processingPercent: 0.029, processingFixed: 50 }
+    },
+    poshmark: {
+        name: 'Poshmark',
+        label: '20% ($2.95 min)',
+        hasShipping: true,
+        fees: { percent: 0.20, minFee: 295 }
+    },
+    offerup: {
+        name: 'OfferUp',
+        label: '12.9% ($1.99 min)',
+        hasShipping: true,
+        fees: { percent: 0.129, minFee: 199 }
+    },
+    etsy: {
+        name: 'Etsy',
+        label: '6.5% + 3% + $0.45',
+        hasShipping: true,
+        fees: { percent: 0.065, fixed: 20, processingPercent: 0.03, processingFixed: 25 }
+    },
+    amazon: {
+        name: 'Amazon',
+        label: '15% + $0.99',
+        hasShipping: true,
+        fees: { percent: 0.15, minFee: 30, fixed: 99 }
+    }
 };
 
+/**
+ * Get a platform definition from the registry
+ * @param {string} platform - Platform key
+ * @returns {Object|null} Platform definition or null if unknown
+ */
+export function getPlatform(platform) {
+    return PLATFORMS[platform] || null;
+}
+
+/**
+ * Get a display name for a platform key
+ * @param {string} platform - Platform key
+ * @returns {string} Platform name (falls back to the key for unknown platforms)
+ */
+export function getPlatformName(platform) {
+    return PLATFORMS[platform]?.name || platform;
+}
+
+/**
+ * Check whether the seller pays shipping on a platform
+ * @param {string} platform - Platform key
+ * @returns {boolean}
+ */
+export function platformHasShipping(platform) {
+    return !!PLATFORMS[platform]?.hasShipping;
+}
+
+/**
+ * Calculate the itemized fee lines for a sale
+ * @param {number} priceInCents - Sale price in cents
+ * @param {string} platform - Platform key from PLATFORMS
+ * @returns {Array} Array of { type, label, amount } with amounts in cents
+ */
+export function calculateFeeLines(priceInCents, platform) {
+    const fees = PLATFORMS[platform]?.fees;
+    if (!fees || priceInCents <= 0) return [];
+
+    const lines = [];
+
+    let commission = priceInCents * (fees.percent || 0);
+    if (fees.minFee !== undefined) commission = Math.max(commission, fees.minFee);
+    if (fees.maxFee !== undefined) commission = Math.min(commission, fees.maxFee);
+    if (commission > 0) {
+        lines.push({ type: 'commission', label: 'Selling Fee', amount: Math.round(commission) });
+    }
+
+    if (fees.fixed) {
+        lines.push({ type: 'fixed', label: 'Order Fee', amount: fees.fixed });
+    }
+
+    const processing = priceInCents * (fees.processingPercent || 0) + (fees.processingFixed || 0);
+    if (processing > 0) {
+        lines.push({ type: 'processing', label: 'Payment Processing', amount: Math.round(processing) });
+    }
+
+    return lines;
+}
+
 /**
  * Calculate fees for a sale
  * @param {number} priceInCents - Sale price in cents
- * @param {string} platform - 'facebook' or 'ebay'
+ * @param {string} platform - Platform key from PLATFORMS
  * @returns {number} Fee amount in cents
  */
 export function calculateFees(priceInCents, platform) {
-    const rate = PLATFORM_FEES[platform]?.rate || 0;
-    return Math.round(priceInCents * rate);
+    return calculateFeeLines(priceInCents, platform).reduce((sum, line) => sum + line.amount, 0);
 }
 
 /**
- * Calculate profit for a partial lot sale
+ * Price a partial lot sale - the single source of truth for sale profit math,
+ * used by both the Record Sale preview and the stored sale record
  * @param {number} unitCostCents - Cost per unit in cents
  * @param {number} unitsSold - Number of units being sold
  * @param {number} pricePerUnitCents - Sale price per unit in cents
- * @param {string} platform - 'facebook' or 'ebay'
- * @param {number} shippingCostCents - Shipping cost in cents (for eBay)
- * @returns {Object} { costBasis, totalSalePrice, fees, shippingCost, profit } in cents
+ * @param {string} platform - Platform key from PLATFORMS
+ * @param {number} shippingCostCents - Shipping cost in cents (ignored on platforms without shipping)
+ * @returns {Object} { unitsSold, pricePerUnit, gross, feeLines, fees, shippingCost, costBasis, profit } in cents
  */
-export function calculateSaleProfit(unitCostCents, unitsSold, pricePerUnitCents, platform, shippingCostCents = 0) {
+export function calculateSaleBreakdown(unitCostCents, unitsSold, pricePerUnitCents, platform, shippingCostCents = 0) {
+    const gross = pricePerUnitCents * unitsSold;
+    const feeLines = calculateFeeLines(gross, platform);
+    const fees = feeLines.reduce((sum, line) => sum + line.amount, 0);
+    const shippingCost = platformHasShipping(platform) ? shippingCostCents : 0;
     const costBasis = unitCostCents * unitsSold;
-    const totalSalePrice = pricePerUnitCents * unitsSold;
-    const fees = calculateFees(totalSalePrice, platform);
-    const profit = totalSalePrice - costBasis - fees - shippingCostCents;
+    const profit = gross - fees - shippingCost - costBasis;
+
+    return { unitsSold, pricePerUnit: pricePerUnitCents, gross, feeLines, fees, shippingCost, costBasis, profit };
+}
+
+/**
+ * Get the itemized breakdown for a stored sale record. Sales recorded before
+ * breakdowns were stored are rebuilt from their totals with a single fee line.
+ * @param {Object} sale - Sale record
+ * @returns {Object} Breakdown in the shape returned by calculateSaleBreakdown
+ */
+export function getSaleBreakdown(sale) {
+    if (sale.breakdown) return sale.breakdown;
+
+    return {
+        unitsSold: sale.unitsSold,
+        pricePerUnit: sale.pricePerUnit,
+        gross: sale.totalPrice,
+        feeLines: sale.fees ? [{ type: 'commission', label: 'Platform Fees', amount: sale.fees }] : [],
+        fees: sale.fees || 0,
+        shippingCost: sale.shippingCost || 0,
+        costBasis: sale.costBasis,
+        profit: sale.profit
+    };
+}
+
+/**
+ * Price a buyer refund/return against a recorded sale
+ * @param {Object} sale - Sale record
+ * @param {number} unitCostCents - Cost per unit of the lot in cents
+ * @param {Object} refund - { amount, unitsReturned, restocked, nonRefundableFees, returnShipping } in cents
+ * @returns {Object} The refund plus { feeCredit, costBasisReturned, profitImpact } in cents
+ */
+export function calculateRefund(sale, unitCostCents, refund) {
+    const amount = refund.amount || 0;
+    const unitsReturned = refund.unitsReturned || 0;
+    const nonRefundableFees = refund.nonRefundableFees || 0;
+    const returnShipping = refund.returnShipping || 0;
+
+    // Platforms credit back fees in proportion to the refund, minus whatever they keep
+    const refundShare = sale.totalPrice > 0 ? Math.min(amount / sale.totalPrice, 1) : 0;
+    const feeCredit = Math.max(0, Math.round((sale.fees || 0) * refundShare) - nonRefundableFees);
 
-    return { costBasis, totalSalePrice, fees, shippingCost: shippingCostCents, profit };
+    // Restocked units go back into inventory, so their cost leaves this sale
+    const costBasisReturned = refund.restocked ? unitCostCents * unitsReturned : 0;
+
+    const profitImpact = -amount + feeCredit - returnShipping + costBasisReturned;
+
+    return {
+        ...refund,
+        amount,
+        unitsReturned,
+        restocked: !!refund.restocked,
+        nonRefundableFees,
+        returnShipping,
+        feeCredit,
+        costBasisReturned,
+        profitImpact
+    };
 }
 
+/**
+ * Count the units of a sale the buyer can still return. Every earlier return counts,
+ * whether or not its units were restocked.
+ * @param {Object} sale - Sale record
+ * @returns {number}
+ */
+export function getReturnableUnits(sale) {
+    const returned = (sale.refunds || []).reduce((sum, refund) => sum + (refund.unitsReturned || 0), 0);
+    return Math.max(0, sale.unitsSold - returned);
+}
+
+/**
+ * Get the purchase cost of units sent back to the retailer, the most the retailer can refund.
+ * Units cost unitCost each (allocated tax and shipping included); the last units on a lot also
+ * take the cents unitCost rounded away, but not what earlier returns went unrefunded.
+ * @param {Object} lot - Lot object
+ * @param {number} units - Units being returned
+ * @returns {number} Cost in cents
+ */
+export function getRetailerReturnCost(lot, units) {
+    if (units < lot.quantity) return lot.unitCost * units;
+    const unrefunded = (lot.retailerReturns || []).reduce((sum, r) => sum + r.costReturned - r.refundAmount, 0);
+    return lot.totalCost - unrefunded;
+}
+
+/**
+ * Get a sale's figures net of any buyer refunds
+ * @param {Object} sale - Sale record
+ * @returns {Object} { totalPrice, fees, shippingCost, costBasis, profit, unitsSold, refunded } in cents
+ */
+export function getNetSale(sale) {
+    const refunds = sale.refunds || [];
+    const net = {
+        totalPrice: sale.totalPrice,
+        fees: sale.fees || 0,
+        shippingCost: sale.shippingCost || 0,
+        costBasis: sale.costBasis,
+        profit: sale.profit,
+        unitsSold: sale.unitsSold,
+        refunded: 0
+    };
+
+    for (const refund of refunds) {
+        net.totalPrice -= refund.amount;
+        net.refunded += refund.amount;
+        net.fees -= refund.feeCredit;
+        net.shippingCost += refund.returnShipping;
+        net.costBasis -= refund.costBasisReturned;
+        net.profit += refund.profitImpact;
+        if (refund.restocked) net.unitsSold -= refund.unitsReturned;
+    }
+
+    return net;
+}
+
+/**
+ * Split order-level tax and shipping across items in proportion to their price
+ * (largest remainder, so the shares always add up to the order amounts)
+ * @param {Array<number>} itemTotalsCents - Each item's price for all units, in cents
+ * @param {number} taxCents - Order sales tax in cents
+ * @param {number} shippingCents - Order shipping in cents
+ * @returns {Array} { tax, shipping } in cents per item
+ */
+export function allocateOrderCosts(itemTotalsCents, taxCents, shippingCents) {
+    const base = itemTotalsCents.reduce((sum, total) => sum + total, 0);
+
+    const split = (amountCents) => {
+        if (!amountCents) return itemTotalsCents.map(() => 0);
+        // With no prices to weigh by, split evenly
+        const weights = base > 0 ? itemTotalsCents : itemTotalsCents.map(() => 1);
+        const weightTotal = base > 0 ? base : itemTotalsCents.length;
+
+        const exact = weights.map(weight => (amountCents * weight) / weightTotal);
+        const shares = exact.map(Math.floor);
+        let remainder = amountCents - shares.reduce((sum, share) => sum + share, 0);
+
+        exact
+            .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .forEach(({ index }) => {
+                if (remainder > 0) {
+                    shares[index]++;
+                    remainder--;
+                }
+            });
+
+        return shares;
+    };
+
+    const taxShares = split(taxCents);
+    const shippingShares = split(shippingCents);
+    return itemTotalsCents.map((_, index) => ({ tax: taxShares[index], shipping: shippingShares[index] }));
+}
 
 /**
- * Calculate monthly stats from sales
+ * Calculate monthly stats from sales, net of buyer refunds
  * @param {Array} salesData - Array of { lot, sale } objects
  * @returns {Object} Monthly statistics
  */
@@ -48,6 +304,7 @@ export function calculateMonthlyStats(salesData) {
         totalRevenue: 0,
         totalCosts: 0,
         totalFees: 0,
+        totalRefunds: 0,
         totalProfit: 0,
         unitsSold: 0,
         transactionCount: 0,
@@ -55,11 +312,13 @@ export function calculateMonthlyStats(salesData) {
     };
 
     for (const { sale } of salesData) {
-        stats.totalRevenue += sale.totalPrice;
-        stats.totalCosts += sale.costBasis;
-        stats.totalFees += sale.fees;
-        stats.totalProfit += sale.profit;
-        stats.unitsSold += sale.unitsSold;
+        const net = getNetSale(sale);
+        stats.totalRevenue += net.totalPrice;
+        stats.totalCosts += net.costBasis;
+        stats.totalFees += net.fees;
+        stats.totalRefunds += net.refunded;
+        stats.totalProfit += net.profit;
+        stats.unitsSold += net.unitsSold;
         stats.transactionCount++;
     }
 
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { PLATFORMS, calculateFeeLines, calculateFees, calculateSaleBreakdown, platformHasShipping } from './calculations.js';
+
+function feeAmounts(priceInCents, platform) {
+    return Object.fromEntries(calculateFeeLines(priceInCents, platform).map(line => [line.type, line.amount]));
+}
+
+describe('calculateFeeLines', () => {
+    it('charges nothing on Facebook Marketplace', () => {
+        expect(calculateFeeLines(10000, 'facebook')).toEqual([]);
+    });
+
+    it('charges eBay a flat commission', () => {
+        expect(feeAmounts(10000, 'ebay')).toEqual({ commission: 1350 });
+    });
+
+    it('adds payment processing on Mercari', () => {
+        expect(feeAmounts(2000, 'mercari')).toEqual({ commission: 200, processing: 108 });
+    });
+
+    it('applies the Poshmark and OfferUp minimum fees', () => {
+        expect(feeAmounts(1000, 'poshmark')).toEqual({ commission: 295 });
+        expect(feeAmounts(2000, 'poshmark')).toEqual({ commission: 400 });
+        expect(feeAmounts(1000, 'offerup')).toEqual({ commission: 199 });
+        expect(feeAmounts(5000, 'offerup')).toEqual({ commission: 645 });
+    });
+
+    it('adds the order fee and processing on Etsy', () => {
+        expect(feeAmounts(2000, 'etsy')).toEqual({ commission: 130, fixed: 20, processing: 85 });
+    });
+
+    it('applies the Amazon referral minimum and closing fee', () => {
+        expect(feeAmounts(100, 'amazon')).toEqual({ commission: 30, fixed: 99 });
+        expect(feeAmounts(2000, 'amazon')).toEqual({ commission: 300, fixed: 99 });
+    });
+
+    it('caps the commission at maxFee', () => {
+        PLATFORMS.capped = { name: 'Capped', hasShipping: false, fees: { percent: 0.1, maxFee: 500 } };
+        try {
+            expect(feeAmounts(2000, 'capped')).toEqual({ commission: 200 });
+            expect(feeAmounts(100000, 'capped')).toEqual({ commission: 500 });
+        } finally {
+            delete PLATFORMS.capped;
+        }
+    });
+
+    it('rounds each fee line to whole cents', () => {
+        // 13.5% of $9.99 is 134.865 cents
+        expect(feeAmounts(999, 'ebay')).toEqual({ commission: 135 });
+        // 10% of $19.99 is 199.9 cents; 2.9% + 50 is 107.971 cents
+        expect(feeAmounts(1999, 'mercari')).toEqual({ commission: 200, processing: 108 });
+        expect(calculateFees(1999, 'mercari')).toBe(308);
+    });
+
+    it('charges nothing for unknown platforms or free items', () => {
+        expect(calculateFeeLines(1000, 'craigslist')).toEqual([]);
+        expect(calculateFeeLines(0, 'ebay')).toEqual([]);
+    });
+});
+
+describe('calculateSaleBreakdown', () => {
+    it('takes fees on the whole sale and subtracts shipping and cost', () => {
+        expect(calculateSaleBreakdown(500, 2, 1000, 'ebay', 300)).toEqual({
+            unitsSold: 2,
+            pricePerUnit: 1000,
+            gross: 2000,
+            feeLines: [{ type: 'commission', label: 'Selling Fee', amount: 270 }],
+            fees: 270,
+            shippingCost: 300,
+            costBasis: 1000,
+            profit: 430
+        });
+    });
+
+    it('applies a minimum fee once per sale, not per unit', () => {
+        expect(calculateSaleBreakdown(100, 2, 500, 'poshmark').fees).toBe(295);
+    });
+
+    it('ignores shipping on platforms where the buyer picks up', () => {
+        expect(platformHasShipping('facebook')).toBe(false);
+        const breakdown = calculateSaleBreakdown(500, 1, 1000, 'facebook', 300);
+
+        expect(breakdown.shippingCost).toBe(0);
+        expect(breakdown.profit).toBe(500);
+    });
+
+    it('can show a loss', () => {
+        expect(calculateSaleBreakdown(2000, 1, 1000, 'mercari', 500).profit).toBe(1000 - 179 - 500 - 2000);
+    });
+});
@@ -1,5 +1,7 @@
 // Chart Data Service - Aggregate sales data for charting
 
+import { getNetSale } from './calculations.js';
+
 /**
  * Aggregate sales data by day for charting
  * @param {Array} salesData - Array of { lot, sale } objects
@@ -51,8 +53,9 @@ export function aggregateSalesByDay(salesData, range) {
 
         if (salesByDay.has(dateKey)) {
             const dayData = salesByDay.get(dateKey);
-            dayData.revenue += sale.totalPrice;
-            dayData.profit += sale.profit;
+            const net = getNetSale(sale);
+            dayData.revenue += net.totalPrice;
+            dayData.profit += net.profit;
             dayData.sales.push({ lot, sale });
         }
     }
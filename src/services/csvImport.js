@@ -1,160 +1,408 @@
-// CSV Import Service - Parse and import lots from CSV files
+// CSV Import Service - Parse, map, validate and import lots from CSV files
 
-import { saveLot, recordSale, getLots } from './storage.js';
+import { saveLot, recordSale, getLots, updateLotDetails, beginChangeGroup, endChangeGroup } from './storage.js';
+import { detectRetailer } from './returnPolicies.js';
+import { normalizeUpc } from './productCatalog.js';
+import { getSettings, updateSettings } from './settings.js';
+import { detectDelimiter, parseCSVText, parseCSVFile } from './csvParser.js';
+
+/**
+ * Fields a CSV column can be mapped to. Aliases are normalized header names
+ * recognised automatically when no saved mapping matches the file.
+ */
+export const IMPORT_FIELDS = [
+    { key: 'name', label: 'Product name', group: 'lot', required: true, aliases: ['product_name', 'name', 'item', 'product', 'description'] },
+    { key: 'cost', label: 'Total cost', group: 'lot', aliases: ['cost_price', 'cost', 'price', 'total', 'amount'] },
+    { key: 'quantity', label: 'Quantity', group: 'lot', aliases: ['quantity_purchased', 'quantity', 'qty', 'units'] },
+    { key: 'purchaseDate', label: 'Purchase date', group: 'lot', aliases: ['date_purchased', 'purchase_date', 'date', 'purchased'] },
+    { key: 'retailer', label: 'Retailer', group: 'lot', aliases: ['retailer', 'store', 'vendor', 'source'] },
+    { key: 'upc', label: 'Barcode (UPC/EAN)', group: 'lot', aliases: ['upc', 'ean', 'barcode', 'gtin'] },
+    { key: 'externalId', label: 'External ID', group: 'lot', aliases: ['external_id', 'id', 'row_id', 'lot_id'] },
+    { key: 'cashPrice', label: 'Facebook sale price', group: 'sale', aliases: ['cash'] },
+    { key: 'ebayPrice', label: 'eBay sale price', group: 'sale', aliases: ['sale_price'] },
+    { key: 'shipping', label: 'Shipping fees', group: 'sale', aliases: ['shipping_fees', 'shipping'] },
+    { key: 'qtySold', label: 'Units sold', group: 'sale', aliases: ['qty_sold', 'quantity_sold'] },
+    { key: 'dateSold', label: 'Sale date', group: 'sale', aliases: ['date_sold'] }
+];
+
+/**
+ * Normalize a header so "Date Purchased" and "date_purchased" match
+ * @param {string} header - Header as written in the file
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return String(header || '').toLowerCase().trim().replace(/\s+/g, '_');
+}
 
 /**
  * Parse CSV text into array of objects
  * @param {string} csvText - Raw CSV content
- * @returns {Array} Array of row objects with headers as keys
+ * @returns {Array} Array of row objects with normalized headers as keys
  */
 export function parseCSV(csvText) {
-    const lines = csvText.trim().split(/\r?\n/);
-    if (lines.length < 2) return [];
+    const { headers, rows } = parseCSVTable(csvText);
+    const keys = headers.map(normalizeHeader);
+
+    return rows.map(values => {
+        const row = {};
+        keys.forEach((key, index) => {
+            row[key] = values[index] || '';
+        });
+        return row;
+    });
+}
+
+/**
+ * Parse CSV text into its header row and data rows
+ * @param {string} csvText - Raw CSV content
+ * @returns {Object} { headers: Array<string>, rows: Array<Array<string>>, rowNumbers: Array<number>, delimiter }
+ */
+export function parseCSVTable(csvText) {
+    const delimiter = detectDelimiter(csvText);
+    return toTable(parseCSVText(csvText, delimiter), delimiter);
+}
 
-    // Parse header row
-    const headers = parseCSVRow(lines[0]).map(h => h.toLowerCase().trim().replace(/\s+/g, '_'));
+/**
+ * Read a CSV file in chunks into its header row and data rows
+ * @param {File} file - CSV file
+ * @param {Function} onProgress - Called with the percentage of the file read (0-100)
+ * @returns {Promise<Object>} { headers, rows, rowNumbers, delimiter }
+ */
+export async function readCSVFile(file, onProgress) {
+    const { rows, delimiter } = await parseCSVFile(file, onProgress);
+    return toTable(rows, delimiter);
+}
 
-    // Parse data rows
+// Values are trimmed and blank rows skipped; rowNumbers keeps each row's place in the
+// file (the header is row 1) so messages point at the row a spreadsheet shows
+function toTable(records, delimiter) {
+    const [headerRow = [], ...dataRows] = records;
     const rows = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVRow(lines[i]);
-        if (values.length === 0 || values.every(v => !v.trim())) continue;
+    const rowNumbers = [];
+    dataRows.forEach((values, i) => {
+        const trimmed = values.map(value => value.trim());
+        if (!trimmed.some(Boolean)) return;
+        rows.push(trimmed);
+        rowNumbers.push(i + 2);
+    });
+
+    return { headers: headerRow.map(header => header.trim()), rows, rowNumbers, delimiter };
+}
 
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header] = values[index]?.trim() || '';
-        });
-        rows.push(row);
+/**
+ * Guess which column holds each field from the known header aliases
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} Field key -> normalized header, for the fields that were found
+ */
+export function guessColumnMapping(headers) {
+    const available = headers.map(normalizeHeader);
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        const match = field.aliases.find(alias => available.includes(alias));
+        if (match) mapping[field.key] = match;
     }
+    return mapping;
+}
 
-    return rows;
+/**
+ * Get saved column mappings, one per source (e.g. "eBay export", "Master sheet")
+ * @returns {Object} Profile name -> { mapping }
+ */
+export function getMappingProfiles() {
+    return getSettings().csvMappingProfiles;
 }
 
 /**
- * Parse a single CSV row handling quoted values
+ * Save a column mapping under a source name, replacing any with the same name
+ * @param {string} name - Source name
+ * @param {Object} mapping - Field key -> normalized header
  */
-function parseCSVRow(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+export function saveMappingProfile(name, mapping) {
+    const profiles = { ...getMappingProfiles(), [name]: { mapping: { ...mapping } } };
+    updateSettings({ csvMappingProfiles: profiles });
+}
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+/**
+ * Delete a saved column mapping
+ * @param {string} name - Source name
+ */
+export function deleteMappingProfile(name) {
+    const { [name]: _removed, ...profiles } = getMappingProfiles();
+    updateSettings({ csvMappingProfiles: profiles });
+}
 
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+/**
+ * Find the saved mapping that fits a file: every column it maps must be present,
+ * and the one mapping the most fields wins
+ * @param {Array<string>} headers - Header row
+ * @returns {string|null} Profile name
+ */
+export function findMappingProfile(headers) {
+    const available = headers.map(normalizeHeader);
+    let best = null;
+    let bestCount = 0;
+
+    for (const [name, { mapping }] of Object.entries(getMappingProfiles())) {
+        const columns = Object.values(mapping);
+        if (columns.length > bestCount && columns.every(column => available.includes(column))) {
+            best = name;
+            bestCount = columns.length;
         }
     }
+    return best;
+}
+
+/**
+ * What to do with a row that matches a lot already in inventory
+ * skip: leave the lot alone, update: overwrite it with the row, create: add a second lot
+ */
+export const DEFAULT_DUPLICATE_ACTION = 'skip';
 
-    result.push(current.trim());
-    return result;
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
 }
 
 /**
- * Import lots (and optionally sales) from CSV file
- * Supports multiple formats:
- * - Simple: name, cost, quantity, purchase_date
- * - With sales: product_name, cost_price, quantity_purchased, date_purchased, 
- *               cash (FB sale), sale_price (eBay), shipping_fees, qty_sold, date_sold
- * @param {File} file - CSV file
- * @returns {Promise<{success: number, salesImported: number, errors: Array}>}
+ * Fingerprint purchase details so a re-imported row can be recognised
+ * @param {Object} lot - { name, cost (dollars), purchaseDate, quantity }
+ * @returns {string}
  */
-export async function importLotsFromCSV(file) {
-    const text = await file.text();
-    const rows = parseCSV(text);
+export function getImportFingerprint({ name, cost, purchaseDate, quantity }) {
+    return [normalizeName(name), Math.round(cost * 100), purchaseDate, quantity].join('|');
+}
+
+// Existing lots by external ID and by fingerprint (the one stored at import time, which
+// survives later edits, and the one their current details give)
+function buildDuplicateIndex() {
+    const index = { byExternalId: new Map(), byFingerprint: new Map() };
+
+    for (const lot of getLots()) {
+        if (lot.importFingerprint) index.byFingerprint.set(lot.importFingerprint, lot);
+
+        const cost = (lot.totalCost - (lot.allocatedTax || 0) - (lot.allocatedShipping || 0)) / 100;
+        addToDuplicateIndex(index, lot, getImportFingerprint({ name: lot.name, cost, purchaseDate: lot.purchaseDate, quantity: lot.quantity }));
+    }
+
+    return index;
+}
+
+function addToDuplicateIndex(index, lot, fingerprint) {
+    if (lot.externalId) index.byExternalId.set(lot.externalId, lot);
+    if (!index.byFingerprint.has(fingerprint)) index.byFingerprint.set(fingerprint, lot);
+}
+
+function findDuplicate(index, lot, fingerprint) {
+    if (lot.externalId && index.byExternalId.has(lot.externalId)) {
+        return index.byExternalId.get(lot.externalId);
+    }
+
+    // A lot imported under a different ID is a different lot, however alike
+    const match = index.byFingerprint.get(fingerprint);
+    if (match && lot.externalId && match.externalId && match.externalId !== lot.externalId) return null;
+    return match || null;
+}
+
+function parseAmount(value) {
+    return parseFloat(value.replace(/[$,]/g, ''));
+}
+
+/**
+ * Validate the data rows against a column mapping without saving anything
+ * @param {Object} table - { headers, rows, rowNumbers } from readCSVFile
+ * @param {Object} mapping - Field key -> normalized header
+ * @returns {Array} { rowNumber, cells, lot, sale, fingerprint, duplicate, errors, warnings } per row;
+ *   duplicate is the existing lot the row matches, or an earlier row's lot details with its
+ *   importRow number, errors and warnings map a field key to a message,
+ *   and rows with errors are skipped on import
+ */
+export function prepareImportRows({ headers, rows, rowNumbers = [] }, mapping) {
+    const available = headers.map(normalizeHeader);
+    const columns = {};
+    for (const [key, header] of Object.entries(mapping)) {
+        const index = available.indexOf(header);
+        if (index !== -1) columns[key] = index;
+    }
+
+    const index = buildDuplicateIndex();
+
+    return rows.map((values, i) => {
+        const cells = {};
+        for (const field of IMPORT_FIELDS) {
+            cells[field.key] = columns[field.key] === undefined ? '' : (values[columns[field.key]] || '').trim();
+        }
+
+        const row = { rowNumber: rowNumbers[i] ?? i + 2, cells, ...validateRow(cells) };
+        row.fingerprint = getImportFingerprint(row.lot);
+        if (Object.keys(row.errors).length > 0) {
+            row.duplicate = null;
+            return row;
+        }
+
+        row.duplicate = findDuplicate(index, row.lot, row.fingerprint);
+        // Later rows repeating this one match it like an existing lot
+        if (!row.duplicate) addToDuplicateIndex(index, { ...row.lot, importRow: row.rowNumber }, row.fingerprint);
+        return row;
+    });
+}
+
+function validateRow(cells) {
+    const errors = {};
+    const warnings = {};
+
+    const name = cells.name;
+    if (!name) errors.name = 'Missing product name';
+
+    const cost = cells.cost ? parseAmount(cells.cost) : 0;
+    if (isNaN(cost) || cost < 0) errors.cost = `Invalid cost "${cells.cost}"`;
+
+    const quantity = cells.quantity ? Number(cells.quantity) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1) errors.quantity = `Invalid quantity "${cells.quantity}"`;
+
+    let purchaseDate = new Date().toISOString().split('T')[0];
+    if (cells.purchaseDate) {
+        purchaseDate = parseDate(cells.purchaseDate);
+        if (!purchaseDate) errors.purchaseDate = `Unrecognised date "${cells.purchaseDate}"`;
+    }
+
+    // Known retailers are normalised to their policy key
+    const retailer = detectRetailer(cells.retailer) || cells.retailer || null;
+
+    const upc = normalizeUpc(cells.upc);
+    if (cells.upc && !upc) warnings.upc = `Invalid barcode "${cells.upc}" won't be saved`;
+
+    // A sale is either Cash (Facebook) or Sale Price (eBay)
+    const cashPrice = cells.cashPrice ? parseAmount(cells.cashPrice) || 0 : 0;
+    const ebayPrice = cells.ebayPrice ? parseAmount(cells.ebayPrice) || 0 : 0;
+    const qtySold = parseInt(cells.qtySold) || 0;
+    const shipping = cells.shipping ? parseAmount(cells.shipping) || 0 : 0;
+
+    let sale = null;
+    if (qtySold > 0 && (cashPrice > 0 || ebayPrice > 0)) {
+        const date = cells.dateSold ? parseDate(cells.dateSold) : null;
+        if (cells.dateSold && !date) warnings.dateSold = `Unrecognised sale date "${cells.dateSold}", today will be used`;
+        if (qtySold > quantity) errors.qtySold = `${qtySold} sold but only ${quantity} purchased`;
+
+        sale = cashPrice > 0
+            ? { price: cashPrice, units: qtySold, platform: 'facebook', shipping: 0, date }
+            : { price: ebayPrice, units: qtySold, platform: 'ebay', shipping, date };
+    } else if (cashPrice > 0 || ebayPrice > 0) {
+        warnings.qtySold = 'Sale price without units sold, no sale will be recorded';
+    }
+
+    return {
+        lot: { name, cost, quantity, purchaseDate, retailer, upc, externalId: cells.externalId || null },
+        sale,
+        errors,
+        warnings
+    };
+}
 
+// Only the lot details the file actually gives, so an update keeps what the row leaves out
+function getUpdateDetails(row) {
+    const details = { importFingerprint: row.fingerprint };
+    for (const field of IMPORT_FIELDS.filter(f => f.group === 'lot')) {
+        if (row.cells[field.key] && row.lot[field.key] !== null) details[field.key] = row.lot[field.key];
+    }
+    return details;
+}
+
+// A re-imported row's sale is already on the lot when units, price, platform and date agree
+function hasMatchingSale(lot, sale) {
+    return (lot.sales || []).some(existing =>
+        existing.unitsSold === sale.units &&
+        existing.pricePerUnit === Math.round(sale.price * 100) &&
+        existing.platform === sale.platform &&
+        (!sale.date || existing.dateSold.slice(0, 10) === sale.date)
+    );
+}
+
+/**
+ * Save prepared rows as lots (and sales), skipping rows with errors. Rows matching an
+ * existing lot (or an earlier row) are skipped, update that lot with the cells they fill in,
+ * or are added as a new lot, as chosen per row.
+ * All imported lots and sales are logged as a single change, so the import can be undone in one step.
+ * @param {Array} prepared - Rows from prepareImportRows
+ * @param {string} fileName - File name for the change log
+ * @param {Object} actions - Row number -> 'skip'|'update'|'create' for duplicate rows
+ *   (DEFAULT_DUPLICATE_ACTION when not given)
+ * @returns {{success: number, updated: number, skipped: number, salesImported: number, errors: Array, change: Object|null}}
+ */
+export function commitImportRows(prepared, fileName, actions = {}) {
     let lotsImported = 0;
+    let lotsUpdated = 0;
+    let skipped = 0;
     let salesImported = 0;
     const errors = [];
+    const lotIdsByRow = new Map(); // Row number -> lot it was saved to, for rows repeating it
 
-    for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
+    beginChangeGroup('import-csv', `Imported ${fileName}`);
 
-        try {
-            // Find name column (flexible naming)
-            const name = row.product_name || row.name || row.item || row.product || row.description || '';
-            if (!name) {
-                errors.push(`Row ${i + 2}: Missing product name`);
+    let change;
+    try {
+        for (const row of prepared) {
+            const rowErrors = Object.values(row.errors);
+            if (rowErrors.length > 0) {
+                errors.push(`Row ${row.rowNumber}: ${rowErrors.join(', ')}`);
                 continue;
             }
 
-            // Find cost column
-            const costStr = row.cost_price || row.cost || row.price || row.total || row.amount || '0';
-            const cost = parseFloat(costStr.replace(/[$,]/g, ''));
-            if (isNaN(cost) || cost < 0) {
-                errors.push(`Row ${i + 2}: Invalid cost "${costStr}"`);
+            const action = row.duplicate ? (actions[row.rowNumber] || DEFAULT_DUPLICATE_ACTION) : 'create';
+            if (action === 'skip') {
+                skipped++;
                 continue;
             }
 
-            // Find quantity column
-            const quantityStr = row.quantity_purchased || row.quantity || row.qty || row.units || '1';
-            const quantity = parseInt(quantityStr) || 1;
-
-            // Find purchase date column
-            const purchaseDateStr = row.date_purchased || row.purchase_date || row.date || row.purchased || '';
-            let purchaseDate = new Date().toISOString().split('T')[0];
-            if (purchaseDateStr) {
-                const parsed = parseDate(purchaseDateStr);
-                if (parsed) purchaseDate = parsed;
-            }
-
-            // Save the lot
-            const newLot = saveLot({
-                name,
-                cost,
-                quantity,
-                purchaseDate
-            });
-
-            lotsImported++;
-
-            // Check for sale data - either Cash (Facebook) or Sale Price (eBay)
-            const cashStr = row.cash || '';
-            const salePriceStr = row.sale_price || '';
-            const qtySoldStr = row.qty_sold || row.quantity_sold || '';
-            const dateSoldStr = row.date_sold || '';
-            const shippingStr = row.shipping_fees || row.shipping || '';
-
-            const cashPrice = parseFloat(cashStr.replace(/[$,]/g, '')) || 0;
-            const ebayPrice = parseFloat(salePriceStr.replace(/[$,]/g, '')) || 0;
-            const qtySold = parseInt(qtySoldStr) || 0;
-            const shippingFees = parseFloat(shippingStr.replace(/[$,]/g, '')) || 0;
-
-            // Parse sale date
-            let saleDate = null;
-            if (dateSoldStr) {
-                saleDate = parseDate(dateSoldStr);
-            }
+            try {
+                let lot;
+                if (action === 'update') {
+                    const id = row.duplicate.importRow ? lotIdsByRow.get(row.duplicate.importRow) : row.duplicate.id;
+                    if (!id) {
+                        errors.push(`Row ${row.rowNumber}: row ${row.duplicate.importRow} wasn't imported, so there is nothing to update`);
+                        continue;
+                    }
+                    lot = updateLotDetails(id, getUpdateDetails(row));
+                    if (!lot) {
+                        errors.push(`Row ${row.rowNumber}: "${row.duplicate.name}" already has more units sold or returned than ${row.lot.quantity}`);
+                        continue;
+                    }
+                    lotsUpdated++;
+                } else {
+                    lot = saveLot({ ...row.lot, importFingerprint: row.fingerprint });
+                    lotsImported++;
+                }
+                lotIdsByRow.set(row.rowNumber, lot.id);
 
-            // If there's a sale, record it
-            if (qtySold > 0 && (cashPrice > 0 || ebayPrice > 0)) {
-                if (cashPrice > 0) {
-                    // Facebook sale
-                    recordSale(newLot.id, cashPrice, qtySold, 'facebook', 0, saleDate);
-                    salesImported++;
-                } else if (ebayPrice > 0) {
-                    // eBay sale
-                    recordSale(newLot.id, ebayPrice, qtySold, 'ebay', shippingFees, saleDate);
-                    salesImported++;
+                if (row.sale && !hasMatchingSale(lot, row.sale)) {
+                    const { price, units, platform, shipping, date } = row.sale;
+                    if (recordSale(lot.id, price, units, platform, shipping, date)) salesImported++;
                 }
+            } catch (e) {
+                errors.push(`Row ${row.rowNumber}: ${e.message}`);
             }
-
-        } catch (e) {
-            errors.push(`Row ${i + 2}: ${e.message}`);
         }
+    } finally {
+        const parts = [`Imported ${lotsImported} lot${lotsImported !== 1 ? 's' : ''}`];
+        if (lotsUpdated > 0) parts.push(`updated ${lotsUpdated}`);
+        change = endChangeGroup(`${parts.join(', ')} from ${fileName}`);
     }
 
-    return { success: lotsImported, salesImported, errors };
+    return { success: lotsImported, updated: lotsUpdated, skipped, salesImported, errors, change };
+}
+
+/**
+ * Import lots (and optionally sales) from CSV file in one step, skipping rows already imported.
+ * Columns come from a saved mapping that fits the file or else the recognised column names:
+ * - Simple: name, cost, quantity, purchase_date, retailer, upc
+ * - With sales: product_name, cost_price, quantity_purchased, date_purchased,
+ *               cash (FB sale), sale_price (eBay), shipping_fees, qty_sold, date_sold
+ * @param {File} file - CSV file
+ * @returns {Promise<Object>} Result of commitImportRows
+ */
+export async function importLotsFromCSV(file) {
+    const table = await readCSVFile(file);
+    const profile = findMappingProfile(table.headers);
+    const mapping = profile ? getMappingProfiles()[profile].mapping : guessColumnMapping(table.headers);
+    return commitImportRows(prepareImportRows(table, mapping), file.name);
 }
 
 /**
@@ -191,12 +439,15 @@ function parseDate(dateStr) {
                     }
                 }
                 const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-                if (!isNaN(date.getTime())) {
+                // Date rolls 13/45 over into a real date; reject it instead
+                if (!isNaN(date.getTime()) && date.getMonth() === parseInt(month) - 1 && date.getDate() === parseInt(day)) {
                     return date.toISOString().split('T')[0];
                 }
             } catch (e) {
                 // Continue to next format
             }
+            // Numeric dates that don't exist aren't handed to native parsing, which also rolls them over
+            return null;
         }
     }
 
@@ -217,8 +468,8 @@ function parseDate(dateStr) {
  * Generate a sample CSV template
  */
 export function generateCSVTemplate() {
-    return `product_name,cost_price,quantity_purchased,date_purchased,cash,sale_price,shipping_fees,qty_sold,date_sold
-"Example Facebook Sale",25.99,5,1/15/2024,35.00,,0,2,1/20/2024
-"Example eBay Sale",10.50,10,1/20/2024,,18.99,3.50,3,1/25/2024
-"Unsold Item",45.00,3,2/1/2024,,,,,`;
+    return `product_name,cost_price,quantity_purchased,date_purchased,retailer,cash,sale_price,shipping_fees,qty_sold,date_sold
+"Example Facebook Sale",25.99,5,1/15/2024,Amazon,35.00,,0,2,1/20/2024
+"Example eBay Sale",10.50,10,1/20/2024,Walmart,,18.99,3.50,3,1/25/2024
+"Unsold Item",45.00,3,2/1/2024,Target,,,,,`;
 }
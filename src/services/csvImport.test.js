@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseCSVTable, prepareImportRows, commitImportRows, guessColumnMapping } from './csvImport.js';
+import { saveLot, updateLotDetails, getLots } from './storage.js';
+
+vi.mock('./storage.js', () => ({
+    saveLot: vi.fn(lot => ({ ...lot, id: `lot-${saveLot.mock.calls.length}`, sales: [] })),
+    updateLotDetails: vi.fn((id, details) => ({ id, ...details, sales: [] })),
+    recordSale: vi.fn(),
+    getLots: vi.fn(() => []),
+    beginChangeGroup: vi.fn(),
+    endChangeGroup: vi.fn(() => null)
+}));
+vi.mock('./settings.js', () => ({ getSettings: () => ({}), updateSettings: vi.fn() }));
+
+const existingLot = {
+    id: 'lot-existing',
+    name: 'Widget',
+    totalCost: 1000,
+    quantity: 2,
+    remaining: 2,
+    purchaseDate: '2024-01-15',
+    retailer: 'target',
+    upc: '036000291452',
+    externalId: 'A-1',
+    sales: []
+};
+
+function prepare(csv) {
+    const table = parseCSVTable(csv);
+    return prepareImportRows(table, guessColumnMapping(table.headers));
+}
+
+beforeEach(() => {
+    vi.clearAllMocks();
+    getLots.mockReturnValue([]);
+});
+
+describe('duplicate rows', () => {
+    it('match an earlier row in the same file', () => {
+        const prepared = prepare('name,cost,quantity,purchase_date\nWidget,10,2,2024-01-15\nWidget,10,2,2024-01-15');
+
+        expect(prepared[0].duplicate).toBeNull();
+        expect(prepared[1].duplicate).toMatchObject({ name: 'Widget', importRow: 2 });
+    });
+
+    it('match an earlier row with the same external ID', () => {
+        const prepared = prepare('name,external_id\nWidget,A-1\nWidget (renamed),A-1\nGadget,A-2');
+
+        expect(prepared[1].duplicate.importRow).toBe(2);
+        expect(prepared[2].duplicate).toBeNull();
+    });
+
+    it('are skipped by default, so a repeated row creates one lot', () => {
+        const result = commitImportRows(prepare('name,cost\nWidget,10\nWidget,10'), 'lots.csv');
+
+        expect(saveLot).toHaveBeenCalledTimes(1);
+        expect(result).toMatchObject({ success: 1, skipped: 1 });
+    });
+
+    it('update the lot an earlier row created', () => {
+        const prepared = prepare('name,external_id,quantity\nWidget,A-1,2\nWidget,A-1,3');
+        commitImportRows(prepared, 'lots.csv', { 3: 'update' });
+
+        expect(updateLotDetails).toHaveBeenCalledWith('lot-1', expect.objectContaining({ quantity: 3 }));
+    });
+});
+
+describe('updating an existing lot', () => {
+    beforeEach(() => {
+        getLots.mockReturnValue([existingLot]);
+    });
+
+    it('only changes the cells the file fills in', () => {
+        const prepared = prepare('name,external_id,retailer,upc\nWidget v2,A-1,,');
+        commitImportRows(prepared, 'lots.csv', { 2: 'update' });
+
+        const [id, details] = updateLotDetails.mock.calls[0];
+        expect(id).toBe('lot-existing');
+        expect(details).toEqual({ name: 'Widget v2', externalId: 'A-1', importFingerprint: prepared[0].fingerprint });
+    });
+
+    it('changes cost, quantity and date when they are given', () => {
+        const prepared = prepare('name,external_id,cost,quantity,purchase_date\nWidget,A-1,12.50,3,2024-02-01');
+        commitImportRows(prepared, 'lots.csv', { 2: 'update' });
+
+        expect(updateLotDetails.mock.calls[0][1]).toMatchObject({ cost: 12.5, quantity: 3, purchaseDate: '2024-02-01' });
+    });
+
+    it('keeps the stored barcode when the row has an invalid one', () => {
+        const prepared = prepare('name,external_id,upc\nWidget,A-1,12345');
+        commitImportRows(prepared, 'lots.csv', { 2: 'update' });
+
+        expect(updateLotDetails.mock.calls[0][1]).not.toHaveProperty('upc');
+    });
+});
+
+describe('row numbers', () => {
+    it('count blank lines so they match the spreadsheet row', () => {
+        const prepared = prepare('name,cost\nWidget,10\n\n,,\nGadget,abc');
+
+        expect(prepared.map(row => row.rowNumber)).toEqual([2, 5]);
+        expect(prepared[1].errors.cost).toBeDefined();
+    });
+
+    it('count a quoted line break as part of one row', () => {
+        const prepared = prepare('name,cost\n"Widget\nblue",10\n\nGadget,5');
+
+        expect(prepared.map(row => row.rowNumber)).toEqual([2, 4]);
+    });
+});
@@ -0,0 +1,167 @@
+// CSV Parser Service - RFC 4180 tokenizer that reads files in chunks
+//
+// Quoted fields may contain delimiters, doubled quotes and line breaks. Rows end at
+// LF, CRLF or CR, and a leading byte order mark is dropped.
+
+// Large exports are decoded and tokenized this much at a time
+const CHUNK_SIZE = 1024 * 1024;
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the header row: whichever of comma, semicolon or tab
+ * appears most often outside quotes (Excel uses ";" in locales with decimal commas)
+ * @param {string} sample - Start of the file
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(sample) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+
+    for (const char of sample.replace(/^\uFEFF/, '')) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char in counts) {
+            counts[char]++;
+        }
+    }
+
+    return DELIMITERS.reduce((best, delimiter) => counts[delimiter] > counts[best] ? delimiter : best, ',');
+}
+
+/**
+ * Create a tokenizer that can be fed text in pieces; a field or row split across
+ * pieces is carried over to the next one
+ * @param {string} delimiter - Field delimiter
+ * @returns {Object} { push(text) => completed rows, end() => the final row if unterminated }
+ */
+export function createCSVTokenizer(delimiter = ',') {
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    let quotePending = false; // A quote inside a quoted field: escaped ("") or closing
+    let skipLineFeed = false; // Last piece ended with the CR of a CRLF
+    let started = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+
+    const endRow = (rows) => {
+        endField();
+        rows.push(row);
+        row = [];
+    };
+
+    return {
+        push(text) {
+            const rows = [];
+            if (!started && text) {
+                text = text.replace(/^\uFEFF/, '');
+                started = true;
+            }
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (skipLineFeed) {
+                    skipLineFeed = false;
+                    if (char === '\n') continue;
+                }
+
+                if (inQuotes) {
+                    if (quotePending) {
+                        quotePending = false;
+                        if (char === '"') {
+                            field += '"';
+                            continue;
+                        }
+                        inQuotes = false;
+                        // The quote closed the field; this character is handled below
+                    } else if (char === '"') {
+                        quotePending = true;
+                        continue;
+                    } else {
+                        field += char;
+                        continue;
+                    }
+                }
+
+                if (char === '"' && !field.trim()) {
+                    // Spaces before an opening quote are dropped
+                    field = '';
+                    inQuotes = true;
+                } else if (char === delimiter) {
+                    endField();
+                } else if (char === '\n') {
+                    endRow(rows);
+                } else if (char === '\r') {
+                    endRow(rows);
+                    skipLineFeed = true;
+                } else {
+                    field += char;
+                }
+            }
+
+            return rows;
+        },
+
+        end() {
+            // An unclosed quote runs to the end of the file, as spreadsheet apps read it
+            inQuotes = false;
+            quotePending = false;
+            if (field === '' && row.length === 0) return [];
+
+            const rows = [];
+            endRow(rows);
+            return rows;
+        }
+    };
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - Raw CSV content
+ * @param {string} delimiter - Field delimiter; detected when omitted
+ * @returns {Array<Array<string>>} Rows, including blank ones
+ */
+export function parseCSVText(text, delimiter = detectDelimiter(text.slice(0, CHUNK_SIZE))) {
+    const tokenizer = createCSVTokenizer(delimiter);
+    return [...tokenizer.push(text), ...tokenizer.end()];
+}
+
+/**
+ * Parse a CSV file a chunk at a time, so large exports don't have to be held as one string
+ * @param {File} file - CSV file
+ * @param {Function} onProgress - Called with the percentage of the file read (0-100)
+ * @returns {Promise<Object>} { rows: Array<Array<string>>, delimiter }
+ */
+export async function parseCSVFile(file, onProgress = () => { }) {
+    // Decoding in stream mode keeps multi-byte characters split across chunks intact
+    const decoder = new TextDecoder('utf-8');
+    let tokenizer = null;
+    let delimiter = ',';
+    const rows = [];
+
+    for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+        const buffer = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+        const text = decoder.decode(buffer, { stream: true });
+
+        if (!tokenizer) {
+            delimiter = detectDelimiter(text);
+            tokenizer = createCSVTokenizer(delimiter);
+        }
+        for (const row of tokenizer.push(text)) rows.push(row);
+
+        onProgress(Math.round((Math.min(offset + CHUNK_SIZE, file.size) / file.size) * 100));
+    }
+
+    if (!tokenizer) return { rows: [], delimiter };
+
+    for (const row of tokenizer.push(decoder.decode())) rows.push(row);
+    for (const row of tokenizer.end()) rows.push(row);
+    return { rows, delimiter };
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { createCSVTokenizer, detectDelimiter, parseCSVText, parseCSVFile } from './csvParser.js';
+
+// Feed the pieces to one tokenizer the way parseCSVFile feeds chunks
+function tokenize(pieces, delimiter = ',') {
+    const tokenizer = createCSVTokenizer(delimiter);
+    return [...pieces.flatMap(piece => tokenizer.push(piece)), ...tokenizer.end()];
+}
+
+describe('createCSVTokenizer', () => {
+    it('carries a quoted field over a chunk boundary', () => {
+        expect(tokenize(['name,note\nWidget,"blue, ', 'large"\n'])).toEqual([
+            ['name', 'note'],
+            ['Widget', 'blue, large']
+        ]);
+    });
+
+    it('reads doubled quotes as one quote, also when split between chunks', () => {
+        expect(tokenize(['"27"" Monitor",x\n'])).toEqual([['27" Monitor', 'x']]);
+        expect(tokenize(['"27"', '" Monitor",x\n'])).toEqual([['27" Monitor', 'x']]);
+    });
+
+    it('ends a row once at a CRLF split between chunks', () => {
+        expect(tokenize(['a,b\r', '\nc,d\r\n'])).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('drops a leading byte order mark', () => {
+        expect(tokenize(['\uFEFFname,cost\n'])).toEqual([['name', 'cost']]);
+        expect(tokenize(['', '\uFEFFname\n'])).toEqual([['name']]);
+    });
+
+    it('keeps line breaks inside quotes', () => {
+        expect(tokenize(['"line one\nline two",2\n'])).toEqual([['line one\nline two', '2']]);
+        expect(tokenize(['"line one\r\nline two",2\n'])).toEqual([['line one\r\nline two', '2']]);
+    });
+
+    it('returns a last row without a line break from end()', () => {
+        expect(tokenize(['a,b\nc,d'])).toEqual([['a', 'b'], ['c', 'd']]);
+        expect(tokenize(['a,b\n'])).toEqual([['a', 'b']]);
+    });
+
+    it('keeps blank rows and empty fields', () => {
+        expect(tokenize(['a,,c\n\n,\n'])).toEqual([['a', '', 'c'], [''], ['', '']]);
+    });
+});
+
+describe('detectDelimiter', () => {
+    it('picks the most common delimiter in the header row', () => {
+        expect(detectDelimiter('name;cost;quantity\n"a,b";1;2')).toBe(';');
+        expect(detectDelimiter('name\tcost\n')).toBe('\t');
+        expect(detectDelimiter('name,cost\n')).toBe(',');
+    });
+
+    it('ignores delimiters inside quotes and after the first row', () => {
+        expect(detectDelimiter('"a;b;c",d\n1;2;3;4')).toBe(',');
+    });
+
+    it('defaults to comma', () => {
+        expect(detectDelimiter('name\n')).toBe(',');
+    });
+});
+
+describe('parseCSVText', () => {
+    it('detects a semicolon delimiter', () => {
+        expect(parseCSVText('name;cost\nWidget;1,50')).toEqual([['name', 'cost'], ['Widget', '1,50']]);
+    });
+});
+
+describe('parseCSVFile', () => {
+    it('reads a file in chunks and reports progress', async () => {
+        const file = new Blob(['\uFEFFname,cost\r\n"Widget\nblue",10\r\nGadget,5']);
+        const progress = [];
+        const { rows, delimiter } = await parseCSVFile(file, value => progress.push(value));
+
+        expect(delimiter).toBe(',');
+        expect(rows).toEqual([['name', 'cost'], ['Widget\nblue', '10'], ['Gadget', '5']]);
+        expect(progress[progress.length - 1]).toBe(100);
+    });
+
+    it('returns no rows for an empty file', async () => {
+        expect(await parseCSVFile(new Blob([]))).toEqual({ rows: [], delimiter: ',' });
+    });
+});
@@ -0,0 +1,256 @@
+// Document Import Service - PDF invoices and order emails read as receipts alongside images
+
+import { extractOrderData, extractOrderDataFromText } from './ocr.js';
+
+// File input accept list for everything the add flow can read
+export const RECEIPT_FILE_ACCEPT = 'image/*,application/pdf,.pdf,message/rfc822,.eml,text/html,.html,.htm';
+
+// PDFs with less embedded text than this are scans and go through OCR
+const MIN_PDF_TEXT_LENGTH = 40;
+// Receipts rarely run longer; later pages are usually terms and conditions
+const MAX_PDF_PAGES = 3;
+const PDF_RENDER_SCALE = 2;
+
+// Elements that start a new line when an email's HTML is flattened to text
+const BLOCK_SELECTOR = 'p, div, br, tr, td, th, li, h1, h2, h3, h4, h5, h6, table, section, header, footer';
+
+/**
+ * Identify how an uploaded receipt file is read
+ * @param {File} file - Uploaded file
+ * @returns {string|null} 'image', 'pdf', 'email' or null when unsupported
+ */
+export function getDocumentType(file) {
+    const name = (file.name || '').toLowerCase();
+    if (file.type.startsWith('image/')) return 'image';
+    if (file.type === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+    if (file.type === 'message/rfc822' || file.type === 'text/html' || /\.(eml|html?)$/.test(name)) return 'email';
+    return null;
+}
+
+/**
+ * Read a receipt from an image, PDF or order email
+ * @param {File} file - Uploaded file
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Object} options - { signal: AbortSignal to cancel OCR }
+ * @returns {Promise<Object>} { result: parsed receipt as from extractOrderData, image: Blob to preview or null }
+ */
+export async function extractReceiptFromFile(file, onProgress = () => { }, options = {}) {
+    const type = getDocumentType(file);
+
+    if (type === 'image') {
+        return { result: await extractOrderData(file, onProgress, options), image: file };
+    }
+
+    if (type === 'pdf') {
+        const pdf = await loadPdf(file);
+        onProgress(5);
+        const text = await getPdfText(pdf);
+        const image = await renderPdfPages(pdf);
+
+        // Invoices generated by the retailer carry their text; only scans need OCR
+        if (text.replace(/\s/g, '').length >= MIN_PDF_TEXT_LENGTH) {
+            onProgress(100);
+            return { result: extractOrderDataFromText(text), image };
+        }
+        return { result: await extractOrderData(image, onProgress, options), image };
+    }
+
+    if (type === 'email') {
+        const text = await readEmailText(file);
+        if (!text) throw new Error('No order details found in this email');
+        onProgress(100);
+        return { result: extractOrderDataFromText(text), image: null };
+    }
+
+    throw new Error(`Unsupported file type: ${file.name}`);
+}
+
+async function loadPdf(file) {
+    const pdfjs = await import('pdfjs-dist');
+    const { default: workerSrc } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+    pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+    return pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+}
+
+// Rebuild text lines from positioned text runs (top to bottom, then left to right)
+async function getPdfText(pdf) {
+    const lines = [];
+
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, MAX_PDF_PAGES); pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const rows = [];
+
+        for (const item of content.items) {
+            if (!item.str?.trim()) continue;
+            const [, , , , x, y] = item.transform;
+            let row = rows.find(r => Math.abs(r.y - y) < Math.max(2, item.height / 2));
+            if (!row) {
+                row = { y, parts: [] };
+                rows.push(row);
+            }
+            row.parts.push({ x, text: item.str.trim() });
+        }
+
+        rows.sort((a, b) => b.y - a.y).forEach(row => {
+            lines.push(row.parts.sort((a, b) => a.x - b.x).map(part => part.text).join(' '));
+        });
+    }
+
+    return lines.join('\n');
+}
+
+// Stack the first pages into one image so the preview and OCR boxes work as for a screenshot
+async function renderPdfPages(pdf) {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, MAX_PDF_PAGES); pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        pages.push(canvas);
+    }
+
+    const output = document.createElement('canvas');
+    output.width = Math.max(...pages.map(canvas => canvas.width));
+    output.height = pages.reduce((sum, canvas) => sum + canvas.height, 0);
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, output.width, output.height);
+
+    let top = 0;
+    for (const canvas of pages) {
+        ctx.drawImage(canvas, 0, top);
+        top += canvas.height;
+    }
+
+    return new Promise((resolve, reject) => {
+        output.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render PDF'))), 'image/png');
+    });
+}
+
+/**
+ * Flatten an order email (.eml or saved HTML) into receipt text
+ * @param {File} file - Email file
+ * @returns {Promise<string>} One line per block of the message
+ */
+async function readEmailText(file) {
+    const raw = await file.text();
+    if (isHtmlFile(file)) return htmlToText(raw);
+
+    const message = parseMimePart(raw);
+    const parts = getLeafParts(message);
+    const html = parts.find(part => part.type === 'text/html');
+    const plain = parts.find(part => part.type === 'text/plain');
+    const body = html ? htmlToText(html.text) : (plain?.text || '');
+
+    // The sender and subject usually name the retailer and order number
+    const header = [message.headers.from, message.headers.subject]
+        .filter(Boolean)
+        .map(decodeHeader);
+
+    return [...header, body].join('\n').replace(/\r\n/g, '\n').trim();
+}
+
+function isHtmlFile(file) {
+    return file.type === 'text/html' || /\.html?$/i.test(file.name || '');
+}
+
+function parseMimePart(raw) {
+    const match = raw.match(/\r?\n\r?\n/);
+    const headerText = match ? raw.slice(0, match.index) : raw;
+    const body = match ? raw.slice(match.index + match[0].length) : '';
+
+    const headers = {};
+    headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+    return { headers, body };
+}
+
+function getHeaderParam(value, name) {
+    const match = (value || '').match(new RegExp(`${name}\\s*=\\s*"?([^";]+)"?`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+// Decoded text/* parts of a message, descending into multipart containers
+function getLeafParts(part) {
+    const contentType = part.headers['content-type'] || 'text/plain';
+    const type = contentType.split(';')[0].trim().toLowerCase();
+
+    if (type.startsWith('multipart/')) {
+        const boundary = getHeaderParam(contentType, 'boundary');
+        if (!boundary) return [];
+        return part.body
+            .split(`--${boundary}`)
+            .slice(1)
+            .filter(section => !section.startsWith('--'))
+            .flatMap(section => getLeafParts(parseMimePart(section.replace(/^\r?\n/, ''))));
+    }
+
+    if (!type.startsWith('text/')) return [];
+
+    const charset = getHeaderParam(contentType, 'charset');
+    const encoding = (part.headers['content-transfer-encoding'] || '').toLowerCase();
+    let text = part.body;
+    if (encoding === 'quoted-printable') text = decodeQuotedPrintable(text, charset);
+    if (encoding === 'base64') text = decodeBytes(base64ToBytes(text), charset);
+
+    return [{ type, text }];
+}
+
+function decodeBytes(bytes, charset) {
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch {
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+function base64ToBytes(data) {
+    const binary = atob(data.replace(/\s/g, ''));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function decodeQuotedPrintable(text, charset) {
+    const source = text.replace(/=\r?\n/g, '');
+    const bytes = [];
+
+    for (let i = 0; i < source.length; i++) {
+        const hex = source.slice(i + 1, i + 3);
+        if (source[i] === '=' && /^[0-9a-f]{2}$/i.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(...new TextEncoder().encode(source[i]));
+        }
+    }
+
+    return decodeBytes(new Uint8Array(bytes), charset);
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?...?= in subjects
+function decodeHeader(value) {
+    return value.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, encoding, data) => (
+        encoding.toLowerCase() === 'b'
+            ? decodeBytes(base64ToBytes(data), charset)
+            : decodeQuotedPrintable(data.replace(/_/g, ' '), charset)
+    ));
+}
+
+function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    // Drop markup that never shows, including hidden inbox preview text
+    doc.querySelectorAll('script, style, head, [style*="display:none"], [style*="display: none"]').forEach(el => el.remove());
+    doc.querySelectorAll(BLOCK_SELECTOR).forEach(el => el.after(doc.createTextNode('\n')));
+
+    return (doc.body?.textContent || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
@@ -11,9 +11,11 @@ import {
     writeBatch
 } from 'firebase/firestore';
 import { db, auth } from './firebase.js';
+import { CURRENT_VERSION, migrateLot } from './migrations.js';
 
 /**
- * Sync lots from Firestore for the current user
+ * Sync lots from Firestore for the current user.
+ * Documents written by older clients are upgraded to the current schema on read.
  */
 export function syncLots(onUpdate) {
     const user = auth.currentUser;
@@ -25,7 +27,15 @@ export function syncLots(onUpdate) {
     return onSnapshot(q, (snapshot) => {
         const lots = [];
         snapshot.forEach((doc) => {
-            lots.push({ id: doc.id, ...doc.data() });
+            // updatedAt is cloud bookkeeping only
+            const { updatedAt, ...data } = doc.data();
+            const lot = { id: doc.id, ...data };
+            try {
+                lots.push(migrateLot(lot));
+            } catch (e) {
+                console.error(`Failed to upgrade cloud lot ${doc.id}:`, e);
+                lots.push(lot);
+            }
         });
         onUpdate(lots);
     }, (error) => {
@@ -43,6 +53,7 @@ export async function saveLotToCloud(lot) {
     const lotRef = doc(db, 'users', user.uid, 'lots', lot.id);
     await setDoc(lotRef, {
         ...lot,
+        schemaVersion: CURRENT_VERSION,
         updatedAt: serverTimestamp()
     }, { merge: true });
 }
@@ -70,9 +81,45 @@ export async function uploadLocalData(lots) {
         const lotRef = doc(db, 'users', user.uid, 'lots', lot.id);
         batch.set(lotRef, {
             ...lot,
+            schemaVersion: CURRENT_VERSION,
             updatedAt: serverTimestamp()
         });
     });
 
     await batch.commit();
 }
+
+/**
+ * Listen for the learned OCR dictionary in Firestore
+ * @param {Function} onUpdate - Called with the cloud dictionary, or null when none is saved yet
+ */
+export function syncOcrDictionary(onUpdate) {
+    const user = auth.currentUser;
+    if (!user) return null;
+
+    const dictionaryRef = doc(db, 'users', user.uid, 'meta', 'ocrDictionary');
+    return onSnapshot(dictionaryRef, (snapshot) => {
+        if (!snapshot.exists()) {
+            onUpdate(null);
+            return;
+        }
+        const { updatedAt, ...dictionary } = snapshot.data();
+        onUpdate(dictionary);
+    }, (error) => {
+        console.error("Error syncing OCR dictionary:", error);
+    });
+}
+
+/**
+ * Save the learned OCR dictionary to Firestore
+ */
+export async function saveOcrDictionaryToCloud(dictionary) {
+    const user = auth.currentUser;
+    if (!user) return;
+
+    const dictionaryRef = doc(db, 'users', user.uid, 'meta', 'ocrDictionary');
+    await setDoc(dictionaryRef, {
+        ...dictionary,
+        updatedAt: serverTimestamp()
+    });
+}
@@ -0,0 +1,121 @@
+// IndexedDB Service - Promise wrapper around the app's local database
+
+const DB_NAME = 'reselltracker';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade) the database
+ * Object stores:
+ * - lots: lot records without sales or images, keyed by id
+ * - sales: sale records keyed by id, indexed by lotId
+ * - images: { lotId, imageData } thumbnails keyed by lotId
+ * - meta: { key, value } bookkeeping (schema version, etc.)
+ * - backups: { id, createdAt, fromVersion, data } snapshots taken before schema migrations
+ * - history: change log entries with before/after lot snapshots, keyed by id
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('lots')) {
+                db.createObjectStore('lots', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('sales')) {
+                const sales = db.createObjectStore('sales', { keyPath: 'id' });
+                sales.createIndex('lotId', 'lotId');
+            }
+            if (!db.objectStoreNames.contains('images')) {
+                db.createObjectStore('images', { keyPath: 'lotId' });
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains('backups')) {
+                db.createObjectStore('backups', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('history')) {
+                db.createObjectStore('history', { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database is open in another tab with an older version'));
+    });
+
+    // Allow a retry on the next call if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Read every record from a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>}
+ */
+export async function getAll(storeName) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read a single record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getRecord(storeName, key) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a read-write transaction across one or more stores
+ * @param {Array<string>} storeNames - Stores the transaction covers
+ * @param {Function} callback - Receives a map of store name -> IDBObjectStore
+ * @returns {Promise} Resolves once the transaction commits
+ */
+export async function writeTransaction(storeNames, callback) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, 'readwrite');
+        const stores = {};
+        storeNames.forEach(name => {
+            stores[name] = tx.objectStore(name);
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+        try {
+            callback(stores);
+        } catch (e) {
+            tx.abort();
+            reject(e);
+        }
+    });
+}
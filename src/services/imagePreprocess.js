@@ -0,0 +1,317 @@
+// Image Preprocessing Service - Canvas clean-up of receipt images before OCR
+
+// Images narrower than this are upscaled so small screenshot text is legible to tesseract
+const MIN_OCR_WIDTH = 1000;
+const MAX_UPSCALE = 2.5;
+
+// Mean luminance below this means light text on a dark background (dark mode)
+const DARK_LUMINANCE = 110;
+
+// Deskew search range and step, in degrees
+const MAX_SKEW = 5;
+const SKEW_STEP = 0.5;
+
+/**
+ * Preprocessing pipelines, tried in this order when retrying OCR
+ * - standard: grayscale, dark-mode inversion, contrast stretch, upscale, crop, deskew
+ * - high-contrast: like standard but binarized (faded or unevenly lit receipt photos)
+ * - original: the image as uploaded
+ */
+export const PREPROCESS_PIPELINES = {
+    standard: ['grayscale', 'invert-if-dark', 'normalize', 'upscale', 'crop', 'deskew'],
+    'high-contrast': ['grayscale', 'invert-if-dark', 'normalize', 'binarize', 'upscale', 'crop', 'deskew'],
+    original: []
+};
+
+/**
+ * Load an uploaded file, blob or data URL into an image element
+ * @param {File|Blob|string} source - Image source
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(source) {
+    return new Promise((resolve, reject) => {
+        const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+        const img = new Image();
+        img.onload = () => {
+            if (typeof source !== 'string') URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = () => reject(new Error('Could not load image'));
+        img.src = url;
+    });
+}
+
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+}
+
+function getPixels(canvas) {
+    return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Per-pixel luminance as a flat array (the canvas is grayscale after the first step)
+function getLuminance(imageData) {
+    const { data } = imageData;
+    const luminance = new Uint8ClampedArray(data.length / 4);
+    for (let i = 0; i < luminance.length; i++) {
+        luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return luminance;
+}
+
+function mapPixels(canvas, fn) {
+    const imageData = getPixels(canvas);
+    const { data } = imageData;
+    for (let i = 0; i < data.length; i += 4) {
+        const value = fn(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        data[i] = data[i + 1] = data[i + 2] = value;
+    }
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    return canvas;
+}
+
+function getHistogram(luminance) {
+    const histogram = new Array(256).fill(0);
+    for (const value of luminance) histogram[value]++;
+    return histogram;
+}
+
+// Otsu's method: the threshold that best separates text from background
+function getOtsuThreshold(histogram, total) {
+    let sum = 0;
+    for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let bestVariance = 0;
+    let threshold = 128;
+
+    for (let i = 0; i < 256; i++) {
+        weightBackground += histogram[i];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+
+        sumBackground += i * histogram[i];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sum - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = i;
+        }
+    }
+
+    return threshold;
+}
+
+/**
+ * Processing steps. Each receives a canvas and returns { canvas, applied, toSource? } where
+ * toSource maps a point in the new canvas back to the previous one (geometry-changing steps only)
+ */
+const STEPS = {
+    grayscale(canvas) {
+        return { canvas: mapPixels(canvas, value => value), applied: true };
+    },
+
+    'invert-if-dark'(canvas) {
+        const luminance = getLuminance(getPixels(canvas));
+        const mean = luminance.reduce((sum, value) => sum + value, 0) / luminance.length;
+        if (mean >= DARK_LUMINANCE) return { canvas, applied: false };
+        return { canvas: mapPixels(canvas, value => 255 - value), applied: true };
+    },
+
+    // Stretch the 1st-99th percentile range to full black-white
+    normalize(canvas) {
+        const luminance = getLuminance(getPixels(canvas));
+        const histogram = getHistogram(luminance);
+        const cutoff = luminance.length * 0.01;
+
+        let low = 0;
+        for (let count = 0; low < 255 && count + histogram[low] <= cutoff; low++) count += histogram[low];
+        let high = 255;
+        for (let count = 0; high > 0 && count + histogram[high] <= cutoff; high--) count += histogram[high];
+
+        if (high - low < 10 || (low === 0 && high === 255)) return { canvas, applied: false };
+        const range = high - low;
+        return { canvas: mapPixels(canvas, value => ((value - low) * 255) / range), applied: true };
+    },
+
+    binarize(canvas) {
+        const luminance = getLuminance(getPixels(canvas));
+        const threshold = getOtsuThreshold(getHistogram(luminance), luminance.length);
+        return { canvas: mapPixels(canvas, value => (value > threshold ? 255 : 0)), applied: true };
+    },
+
+    upscale(canvas) {
+        if (canvas.width >= MIN_OCR_WIDTH) return { canvas, applied: false };
+
+        const factor = Math.min(MAX_UPSCALE, MIN_OCR_WIDTH / canvas.width);
+        const scaled = createCanvas(canvas.width * factor, canvas.height * factor);
+        const ctx = scaled.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(canvas, 0, 0, scaled.width, scaled.height);
+
+        const scaleX = canvas.width / scaled.width;
+        const scaleY = canvas.height / scaled.height;
+        return { canvas: scaled, applied: true, toSource: (x, y) => [x * scaleX, y * scaleY] };
+    },
+
+    // Trim uniform borders (status bars, blank margins, the table around a receipt photo)
+    crop(canvas) {
+        const { width, height } = canvas;
+        const luminance = getLuminance(getPixels(canvas));
+        const background = (luminance[0] + luminance[width - 1] + luminance[(height - 1) * width] + luminance[height * width - 1]) / 4;
+        const isContent = (x, y) => Math.abs(luminance[y * width + x] - background) > 40;
+
+        let top = 0;
+        let bottom = height - 1;
+        let left = 0;
+        let right = width - 1;
+        const rowHasContent = y => { for (let x = 0; x < width; x++) if (isContent(x, y)) return true; return false; };
+        const colHasContent = x => { for (let y = top; y <= bottom; y++) if (isContent(x, y)) return true; return false; };
+
+        while (top < bottom && !rowHasContent(top)) top++;
+        while (bottom > top && !rowHasContent(bottom)) bottom--;
+        while (left < right && !colHasContent(left)) left++;
+        while (right > left && !colHasContent(right)) right--;
+
+        const margin = 10;
+        top = Math.max(0, top - margin);
+        left = Math.max(0, left - margin);
+        bottom = Math.min(height - 1, bottom + margin);
+        right = Math.min(width - 1, right + margin);
+
+        const croppedWidth = right - left + 1;
+        const croppedHeight = bottom - top + 1;
+        // Only worth it if it removes a meaningful border
+        if (croppedWidth * croppedHeight > width * height * 0.95 || croppedWidth < 50 || croppedHeight < 20) {
+            return { canvas, applied: false };
+        }
+
+        const cropped = createCanvas(croppedWidth, croppedHeight);
+        cropped.getContext('2d').drawImage(canvas, left, top, croppedWidth, croppedHeight, 0, 0, croppedWidth, croppedHeight);
+        return { canvas: cropped, applied: true, toSource: (x, y) => [x + left, y + top] };
+    },
+
+    deskew(canvas) {
+        const angle = detectSkew(canvas);
+        if (Math.abs(angle) < SKEW_STEP) return { canvas, applied: false };
+
+        const radians = (-angle * Math.PI) / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const rotatedWidth = Math.abs(canvas.width * cos) + Math.abs(canvas.height * sin);
+        const rotatedHeight = Math.abs(canvas.width * sin) + Math.abs(canvas.height * cos);
+
+        const rotated = createCanvas(rotatedWidth, rotatedHeight);
+        const ctx = rotated.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, rotated.width, rotated.height);
+        ctx.translate(rotated.width / 2, rotated.height / 2);
+        ctx.rotate(radians);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+
+        const sourceCenterX = canvas.width / 2;
+        const sourceCenterY = canvas.height / 2;
+        return {
+            canvas: rotated,
+            applied: true,
+            toSource: (x, y) => {
+                const dx = x - rotated.width / 2;
+                const dy = y - rotated.height / 2;
+                return [dx * cos + dy * sin + sourceCenterX, -dx * sin + dy * cos + sourceCenterY];
+            }
+        };
+    }
+};
+
+/**
+ * Estimate text skew with a projection profile: the angle at which dark pixels
+ * fall into the sharpest rows (text lines) wins
+ * @param {HTMLCanvasElement} canvas - Grayscale, dark-text-on-light canvas
+ * @returns {number} Skew in degrees (positive = clockwise)
+ */
+function detectSkew(canvas) {
+    // Work on a small copy; skew detection doesn't need full resolution
+    const scale = Math.min(1, 400 / canvas.width);
+    const small = createCanvas(canvas.width * scale, canvas.height * scale);
+    small.getContext('2d').drawImage(canvas, 0, 0, small.width, small.height);
+
+    const luminance = getLuminance(getPixels(small));
+    const threshold = getOtsuThreshold(getHistogram(luminance), luminance.length);
+    const points = [];
+    for (let i = 0; i < luminance.length; i++) {
+        if (luminance[i] < threshold) points.push([i % small.width, Math.floor(i / small.width)]);
+    }
+    if (points.length < 100) return 0;
+
+    let bestAngle = 0;
+    let bestScore = -1;
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+        const radians = (angle * Math.PI) / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Map();
+        for (const [x, y] of points) {
+            const row = Math.round(y * cos - x * sin);
+            rows.set(row, (rows.get(row) || 0) + 1);
+        }
+        let score = 0;
+        for (const count of rows.values()) score += count * count;
+        if (score > bestScore) {
+            bestScore = score;
+            bestAngle = angle;
+        }
+    }
+
+    return bestAngle;
+}
+
+/**
+ * Run an image through a preprocessing pipeline
+ * @param {File|Blob|string} source - Uploaded image
+ * @param {string} pipelineName - Key of PREPROCESS_PIPELINES
+ * @returns {Promise<Object>} { canvas, pipeline, steps, toSource } where steps lists the steps that changed
+ *   the image and toSource(bbox) maps an OCR bounding box back onto the original image
+ */
+export async function preprocessImage(source, pipelineName = 'standard') {
+    const img = await loadImage(source);
+    let canvas = createCanvas(img.naturalWidth, img.naturalHeight);
+    canvas.getContext('2d').drawImage(img, 0, 0);
+
+    const steps = [];
+    const mappings = [];
+
+    for (const stepName of PREPROCESS_PIPELINES[pipelineName]) {
+        const result = STEPS[stepName](canvas);
+        canvas = result.canvas;
+        if (result.applied) steps.push(stepName);
+        if (result.toSource) mappings.unshift(result.toSource);
+    }
+
+    const toSourcePoint = (x, y) => mappings.reduce(([px, py], map) => map(px, py), [x, y]);
+
+    return {
+        canvas,
+        pipeline: pipelineName,
+        steps,
+        toSource(bbox) {
+            const corners = [
+                toSourcePoint(bbox.x0, bbox.y0),
+                toSourcePoint(bbox.x1, bbox.y0),
+                toSourcePoint(bbox.x0, bbox.y1),
+                toSourcePoint(bbox.x1, bbox.y1)
+            ];
+            return {
+                x0: Math.round(Math.min(...corners.map(c => c[0]))),
+                y0: Math.round(Math.min(...corners.map(c => c[1]))),
+                x1: Math.round(Math.max(...corners.map(c => c[0]))),
+                y1: Math.round(Math.max(...corners.map(c => c[1])))
+            };
+        }
+    };
+}
@@ -0,0 +1,86 @@
+// Migrations Service - Ordered, pure schema migrations for stored data
+
+import { getSaleBreakdown } from './calculations.js';
+
+/**
+ * Schema migration registry, in ascending version order.
+ * Each `migrate` is a pure function: it receives storage data ({ version, lots })
+ * at the previous version and returns new data for `version` without mutating its input.
+ */
+export const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Per-unit cost, remaining units and multiple sales per lot',
+        migrate: (data) => ({
+            ...data,
+            lots: data.lots.map(lot => ({
+                ...lot,
+                unitCost: lot.unitCost || lot.cost, // v1 stored total cost as 'cost'
+                totalCost: lot.totalCost ?? lot.cost,
+                remaining: lot.remaining ?? (lot.sale ? 0 : (lot.quantity || 1)),
+                // The database keys sales by ID, which v1 sales never had
+                sales: lot.sales ?? (lot.sale ? [{
+                    id: `${lot.id}-sale`,
+                    ...lot.sale,
+                    unitsSold: lot.quantity || 1
+                }] : [])
+            }))
+        })
+    },
+    {
+        version: 3,
+        description: 'Itemized profit breakdown stored on every sale',
+        migrate: (data) => ({
+            ...data,
+            lots: data.lots.map(lot => ({
+                ...lot,
+                sales: (lot.sales || []).map(sale => sale.breakdown ? sale : { ...sale, breakdown: getSaleBreakdown(sale) })
+            }))
+        })
+    }
+];
+
+export const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Lots synced to the cloud before versions were stamped on them are v2
+const UNVERSIONED_LOT_VERSION = 2;
+
+/**
+ * Check whether data is behind the current schema
+ * @param {Object} data - Storage data ({ version, lots })
+ * @returns {boolean}
+ */
+export function needsMigration(data) {
+    return (data.version || 1) < CURRENT_VERSION;
+}
+
+/**
+ * Run every pending migration over storage data
+ * @param {Object} data - Storage data ({ version, lots })
+ * @returns {Object} New storage data at CURRENT_VERSION (input is not modified)
+ * @throws {Error} Naming the migration that failed
+ */
+export function migrateData(data) {
+    let current = data;
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= (current.version || 1)) continue;
+        try {
+            current = { ...migration.migrate(current), version: migration.version };
+        } catch (e) {
+            throw new Error(`Migration to v${migration.version} (${migration.description}) failed: ${e.message}`);
+        }
+    }
+
+    return current;
+}
+
+/**
+ * Upgrade a single lot, e.g. a cloud document written by an older client
+ * @param {Object} lot - Lot object, optionally carrying the schemaVersion it was written with
+ * @returns {Object} Lot at CURRENT_VERSION (without schemaVersion)
+ */
+export function migrateLot(lot) {
+    const { schemaVersion = UNVERSIONED_LOT_VERSION, ...rest } = lot;
+    return migrateData({ version: schemaVersion, lots: [rest] }).lots[0];
+}
@@ -0,0 +1,192 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { MIGRATIONS, CURRENT_VERSION, needsMigration, migrateData, migrateLot } from './migrations.js';
+
+const v1Lot = {
+    id: 'lot-1',
+    name: 'Sold Widget',
+    cost: 1000,
+    quantity: 2,
+    sale: { price: 1500, platform: 'ebay', date: '2024-01-20' }
+};
+
+const v2Sale = {
+    id: 'sale-1',
+    unitsSold: 1,
+    pricePerUnit: 2500,
+    totalPrice: 2500,
+    platform: 'ebay',
+    fees: 330,
+    shippingCost: 450,
+    costBasis: 1000,
+    profit: 720
+};
+
+function getMigration(version) {
+    return MIGRATIONS.find(migration => migration.version === version);
+}
+
+describe('MIGRATIONS', () => {
+    it('are listed in ascending version order', () => {
+        const versions = MIGRATIONS.map(migration => migration.version);
+        expect(versions).toEqual([...versions].sort((a, b) => a - b));
+        expect(CURRENT_VERSION).toBe(versions[versions.length - 1]);
+    });
+
+    describe('v2', () => {
+        const migrate = getMigration(2).migrate;
+
+        it('moves a single sale into the sales list and marks the lot sold out', () => {
+            const { lots: [lot] } = migrate({ version: 1, lots: [v1Lot] });
+
+            expect(lot.unitCost).toBe(1000);
+            expect(lot.totalCost).toBe(1000);
+            expect(lot.remaining).toBe(0);
+            expect(lot.sales).toEqual([{ id: 'lot-1-sale', ...v1Lot.sale, unitsSold: 2 }]);
+        });
+
+        it('gives an unsold lot all of its units and no sales', () => {
+            const { sale, ...unsold } = v1Lot;
+            const { lots: [lot] } = migrate({ version: 1, lots: [unsold] });
+
+            expect(lot.remaining).toBe(2);
+            expect(lot.sales).toEqual([]);
+        });
+
+        it('keeps fields that are already in the v2 shape', () => {
+            const current = { id: 'lot-2', unitCost: 500, totalCost: 1500, quantity: 3, remaining: 1, sales: [v2Sale] };
+            const { lots: [lot] } = migrate({ version: 1, lots: [current] });
+
+            expect(lot).toEqual(current);
+        });
+
+        it('does not modify its input', () => {
+            const input = { version: 1, lots: [structuredClone(v1Lot)] };
+            const snapshot = structuredClone(input);
+            migrate(input);
+
+            expect(input).toEqual(snapshot);
+        });
+    });
+
+    describe('v3', () => {
+        const migrate = getMigration(3).migrate;
+
+        it('stores an itemized breakdown on sales without one', () => {
+            const { lots: [lot] } = migrate({ version: 2, lots: [{ id: 'lot-1', sales: [v2Sale] }] });
+
+            expect(lot.sales[0].breakdown).toEqual({
+                unitsSold: 1,
+                pricePerUnit: 2500,
+                gross: 2500,
+                feeLines: [{ type: 'commission', label: 'Platform Fees', amount: 330 }],
+                fees: 330,
+                shippingCost: 450,
+                costBasis: 1000,
+                profit: 720
+            });
+        });
+
+        it('leaves existing breakdowns alone', () => {
+            const sale = { ...v2Sale, breakdown: { gross: 1 } };
+            const { lots: [lot] } = migrate({ version: 2, lots: [{ id: 'lot-1', sales: [sale] }] });
+
+            expect(lot.sales[0]).toBe(sale);
+        });
+
+        it('handles lots without a sales list', () => {
+            const { lots: [lot] } = migrate({ version: 2, lots: [{ id: 'lot-1' }] });
+
+            expect(lot.sales).toEqual([]);
+        });
+
+        it('does not modify its input', () => {
+            const input = { version: 2, lots: [{ id: 'lot-1', sales: [{ ...v2Sale }] }] };
+            const snapshot = structuredClone(input);
+            migrate(input);
+
+            expect(input).toEqual(snapshot);
+        });
+    });
+});
+
+describe('needsMigration', () => {
+    it('treats unversioned data as v1', () => {
+        expect(needsMigration({ lots: [] })).toBe(true);
+    });
+
+    it('is false at the current version', () => {
+        expect(needsMigration({ version: CURRENT_VERSION, lots: [] })).toBe(false);
+    });
+});
+
+describe('migrateData', () => {
+    afterEach(() => {
+        // Remove migrations added by a test
+        while (MIGRATIONS[MIGRATIONS.length - 1].version > CURRENT_VERSION) MIGRATIONS.pop();
+    });
+
+    it('runs every pending migration in order up to the current version', () => {
+        const { version, lots: [lot] } = migrateData({ version: 1, lots: [v1Lot] });
+
+        expect(version).toBe(CURRENT_VERSION);
+        // v3 only sees the sales list v2 created
+        expect(lot.sales).toHaveLength(1);
+        expect(lot.sales[0].breakdown).toBeDefined();
+    });
+
+    it('skips migrations at or below the data version', () => {
+        const data = { version: 2, lots: [{ id: 'lot-1', cost: 1000, sales: [] }] };
+        const { lots: [lot] } = migrateData(data);
+
+        // v2 would have added unitCost and totalCost
+        expect(lot.unitCost).toBeUndefined();
+        expect(lot.totalCost).toBeUndefined();
+    });
+
+    it('returns data already at the current version unchanged', () => {
+        const data = { version: CURRENT_VERSION, lots: [{ id: 'lot-1', sales: [v2Sale] }] };
+
+        expect(migrateData(data)).toBe(data);
+    });
+
+    it('names the migration that threw', () => {
+        MIGRATIONS.push({
+            version: CURRENT_VERSION + 1,
+            description: 'Broken test migration',
+            migrate: () => { throw new Error('boom'); }
+        });
+
+        expect(() => migrateData({ version: CURRENT_VERSION, lots: [] }))
+            .toThrow(`Migration to v${CURRENT_VERSION + 1} (Broken test migration) failed: boom`);
+    });
+
+    it('does not modify its input', () => {
+        const input = { version: 1, lots: [structuredClone(v1Lot)] };
+        const snapshot = structuredClone(input);
+        migrateData(input);
+
+        expect(input).toEqual(snapshot);
+    });
+});
+
+describe('migrateLot', () => {
+    it('upgrades an unversioned cloud document from v2', () => {
+        const lot = migrateLot({ id: 'lot-1', unitCost: 1000, remaining: 0, sales: [v2Sale] });
+
+        expect(lot.sales[0].breakdown.gross).toBe(2500);
+        expect(lot.unitCost).toBe(1000);
+    });
+
+    it('upgrades a v1 document stamped with its schema version', () => {
+        const lot = migrateLot({ ...v1Lot, schemaVersion: 1 });
+
+        expect(lot.remaining).toBe(0);
+        expect(lot.sales[0].breakdown).toBeDefined();
+    });
+
+    it('drops schemaVersion and leaves current documents as they are', () => {
+        const current = { id: 'lot-1', unitCost: 1000, remaining: 1, sales: [{ ...v2Sale, breakdown: { gross: 2500 } }] };
+
+        expect(migrateLot({ ...current, schemaVersion: CURRENT_VERSION })).toEqual(current);
+    });
+});
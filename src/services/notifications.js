@@ -0,0 +1,129 @@
+// Notifications Service - Opt-in return deadline reminders shown by the service worker
+
+import { getLots, getReturnDeadline } from './storage.js';
+import { writeTransaction } from './idb.js';
+import { getSettings, updateSettings } from './settings.js';
+
+const PERIODIC_SYNC_TAG = 'return-reminders';
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+/**
+ * Check whether this browser can show return reminders
+ * @returns {boolean}
+ */
+export function isNotificationSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Get the reminder state for display
+ * @returns {string} 'unsupported' | 'denied' | 'enabled' | 'disabled'
+ */
+export function getReminderStatus() {
+    if (!isNotificationSupported()) return 'unsupported';
+    if (Notification.permission === 'denied') return 'denied';
+    return getSettings().returnReminders && Notification.permission === 'granted' ? 'enabled' : 'disabled';
+}
+
+/**
+ * Ask for notification permission and turn reminders on
+ * @returns {Promise<boolean>} Whether reminders are now enabled
+ */
+export async function enableReturnReminders() {
+    if (!isNotificationSupported()) return false;
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') return false;
+
+    updateSettings({ returnReminders: true });
+
+    // Periodic sync only exists in some browsers (and only for installed apps); reminders
+    // are still checked whenever the app is opened without it
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.periodicSync) {
+            await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL });
+        }
+    } catch (e) {
+        console.warn('Periodic background sync unavailable:', e);
+    }
+
+    await scheduleReturnReminders();
+    return true;
+}
+
+/**
+ * Turn reminders off and clear the schedule
+ * @returns {Promise}
+ */
+export async function disableReturnReminders() {
+    updateSettings({ returnReminders: false });
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.periodicSync) {
+            await registration.periodicSync.unregister(PERIODIC_SYNC_TAG);
+        }
+    } catch (e) {
+        console.warn('Failed to unregister periodic sync:', e);
+    }
+
+    await writeReminders([]);
+}
+
+/**
+ * Build the reminder schedule for lots with unsold units
+ * @returns {Array} { lotId, name, remaining, deadline, notifyAt } with ISO date strings
+ */
+export function getReturnReminders() {
+    const { returnAlertDays } = getSettings();
+
+    return getLots()
+        .filter(lot => lot.remaining > 0 && !lot.returnDismissed)
+        .map(lot => {
+            const deadline = getReturnDeadline(lot);
+            deadline.setHours(23, 59, 59, 999);
+
+            const notifyAt = new Date(deadline);
+            notifyAt.setDate(notifyAt.getDate() - returnAlertDays);
+            notifyAt.setHours(9, 0, 0, 0);
+
+            // A snoozed alert shouldn't notify before the snooze ends
+            if (lot.returnSnoozedUntil) {
+                const snoozedUntil = new Date(lot.returnSnoozedUntil + 'T09:00:00');
+                if (snoozedUntil > notifyAt) notifyAt.setTime(snoozedUntil.getTime());
+            }
+
+            return {
+                lotId: lot.id,
+                name: lot.name,
+                remaining: lot.remaining,
+                deadline: deadline.toISOString(),
+                notifyAt: notifyAt.toISOString()
+            };
+        })
+        .filter(reminder => reminder.notifyAt <= reminder.deadline);
+}
+
+/**
+ * Hand the current reminder schedule to the service worker and have it check for due reminders.
+ * The schedule lives in IndexedDB so the worker can read it without the app open.
+ * @returns {Promise}
+ */
+export async function scheduleReturnReminders() {
+    if (getReminderStatus() !== 'enabled') return;
+
+    try {
+        await writeReminders(getReturnReminders());
+        const registration = await navigator.serviceWorker.ready;
+        registration.active?.postMessage({ type: 'check-return-reminders' });
+    } catch (e) {
+        console.error('Failed to schedule return reminders:', e);
+    }
+}
+
+function writeReminders(reminders) {
+    return writeTransaction(['meta'], (stores) => {
+        stores.meta.put({ key: 'returnReminders', value: reminders });
+    });
+}
@@ -1,8 +1,17 @@
 // OCR Service - Tesseract.js integration for Universal Receipt Parsing
 
-import Tesseract from 'tesseract.js';
-
-let worker = null;
+import { detectRetailer } from './returnPolicies.js';
+import { parseWithRetailerParser } from './receiptParsers/index.js';
+import { splitLines, parseQuantity, parseOrderSummary, parseDate, SUMMARY_LINE_PATTERN } from './receiptParsers/utils.js';
+import { preprocessImage, PREPROCESS_PIPELINES } from './imagePreprocess.js';
+import { getSettings } from './settings.js';
+import { runWithWorker, isAbortError } from './ocrWorkerPool.js';
+import { getOcrDictionary, normalizeDictionaryLine } from './ocrDictionary.js';
+
+// Receipts hold names, addresses and order numbers, so OCR internals are only logged in dev builds
+function debugLog(...args) {
+    if (import.meta.env?.DEV) console.log(...args);
+}
 
 // US State abbreviations for address detection
 const STATE_ABBREVS = [
@@ -36,50 +45,304 @@ const KNOWN_BRANDS = [
     'amazon basics', 'mainstays', 'better homes'
 ];
 
+// Learned dictionary weights: brands score like KNOWN_BRANDS once confirmed a few times,
+// terms add up to a cap, and each rejection of a suggested line pushes it down
+const LEARNED_BRAND_SCORE = 40;
+const LEARNED_BRAND_PER_COUNT = 10;
+const LEARNED_TERM_SCORE = 12;
+const MAX_LEARNED_TERM_SCORE = 60;
+const REJECTED_LINE_PENALTY = 100;
+
 // Minimum score required to accept a candidate (prevents garbage)
 const MIN_SCORE_THRESHOLD = 50;
 
-async function initWorker() {
-    if (worker) return worker;
-    worker = await Tesseract.createWorker('eng', 1, {
-        logger: () => { }
-    });
-    return worker;
+// Share of the progress bar spent loading the worker; recognition fills the rest
+const LOADING_PROGRESS = 20;
+
+/**
+ * Run OCR on one preprocessed version of the image and parse it
+ * @param {Object} w - Tesseract worker
+ * @param {File|Blob|string} image - Uploaded image
+ * @param {string} pipeline - Preprocessing pipeline name
+ * @returns {Promise<Object>} Parsed result with rawText, lines and preprocessing
+ */
+async function recognizeWithPipeline(w, image, pipeline) {
+    let input = image;
+    let toSource = bbox => bbox;
+    let steps = [];
+
+    if (pipeline !== 'original') {
+        const processed = await preprocessImage(image, pipeline);
+        input = processed.canvas;
+        toSource = processed.toSource;
+        steps = processed.steps;
+    }
+
+    // Block output carries line/word bounding boxes and confidences
+    const result = await w.recognize(input, {}, { text: true, blocks: true });
+    const text = result.data.text;
+
+    debugLog(`[OCR] Raw text extracted (${pipeline}):`, text);
+
+    // Boxes are reported on the processed image; map them back onto the upload
+    const ocrLines = getOcrLines(result.data).map(line => ({
+        ...line,
+        bbox: toSource(line.bbox),
+        words: line.words.map(word => ({ ...word, bbox: toSource(word.bbox) }))
+    }));
+
+    return {
+        rawText: text,
+        lines: ocrLines.map(({ text, confidence, bbox }) => ({ text, confidence, bbox })),
+        preprocessing: { pipeline, steps },
+        ...attachFieldSources(parseReceiptText(text), ocrLines)
+    };
 }
 
-export async function extractOrderData(image, onProgress = () => { }) {
-    try {
-        onProgress(10);
-        const w = await initWorker();
-        onProgress(30);
-        const result = await w.recognize(image);
-        onProgress(80);
-        const text = result.data.text;
+// A retailer parser match or a name above threshold is good enough to stop retrying
+function isConfidentResult(result) {
+    return result.nameScore === null || result.nameScore >= MIN_SCORE_THRESHOLD;
+}
 
-        // Debug: log raw OCR output to console
-        console.log('[OCR] Raw text extracted:', text);
+/**
+ * OCR an order screenshot or receipt photo
+ * @param {File|Blob|string} image - Uploaded image
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Object} options - { retry: retry with alternative preprocessing when no name scores
+ *   above MIN_SCORE_THRESHOLD (defaults to the ocrRetry setting), signal: AbortSignal to cancel }
+ * @returns {Promise<Object>} Parsed receipt; preprocessing records the pipeline used and every attempt.
+ *   Rejects with an AbortError when cancelled.
+ */
+export async function extractOrderData(image, onProgress = () => { }, options = {}) {
+    const retry = options.retry ?? getSettings().ocrRetry;
+    const pipelines = retry ? Object.keys(PREPROCESS_PIPELINES) : ['standard'];
+
+    // Tesseract reports loading and recognition progress (0-1) per stage; each pipeline
+    // attempt gets an equal slice of the bar and it never moves backwards
+    let attemptIndex = 0;
+    let reported = 0;
+    const onLog = ({ status, progress }) => {
+        if (typeof progress !== 'number') return;
+        const value = status === 'recognizing text'
+            ? LOADING_PROGRESS + ((100 - LOADING_PROGRESS) * (attemptIndex + progress)) / pipelines.length
+            : LOADING_PROGRESS * progress;
+        if (Math.round(value) > reported) {
+            reported = Math.round(value);
+            onProgress(reported);
+        }
+    };
 
-        const extractedData = parseReceiptText(text);
+    try {
+        const result = await runWithWorker(
+            w => recognizeBestPipeline(w, image, pipelines, (index) => { attemptIndex = index; }, options.signal),
+            { onLog, signal: options.signal }
+        );
         onProgress(100);
-
-        return {
-            success: true,
-            rawText: text,
-            ...extractedData
-        };
+        return result;
     } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error('OCR failed:', error);
         return {
             success: false,
             error: error.message,
             rawText: '',
+            lines: [],
+            fields: {},
+            preprocessing: null,
+            nameScore: 0,
+            items: [{ name: 'Unnamed Item', unitPrice: 0, quantity: 1, fields: {} }],
             name: 'Unnamed Item',
             cost: 0,
-            quantity: 1
+            quantity: 1,
+            retailer: null,
+            orderNumber: null,
+            orderDate: null,
+            subtotal: null,
+            tax: null,
+            shipping: null,
+            total: null
         };
     }
 }
 
+/**
+ * Try preprocessing pipelines in order until one gives a confident result
+ * @param {Object} w - Tesseract worker
+ * @param {File|Blob|string} image - Uploaded image
+ * @param {Array<string>} pipelines - Pipeline names to try
+ * @param {Function} onAttempt - Called with the index of each pipeline as it starts
+ * @param {AbortSignal} signal - Stops further attempts once the scan is cancelled
+ * @returns {Promise<Object>} Best result with every attempt recorded
+ */
+async function recognizeBestPipeline(w, image, pipelines, onAttempt, signal) {
+    const attempts = [];
+    let best = null;
+    for (const [index, pipeline] of pipelines.entries()) {
+        onAttempt(index);
+        let attempt;
+        try {
+            attempt = await recognizeWithPipeline(w, image, pipeline);
+        } catch (e) {
+            // The worker was terminated under us; don't retry on it
+            if (signal?.aborted) throw e;
+            // A pipeline that can't run (e.g. canvas unavailable) falls through to the next
+            console.warn(`[OCR] ${pipeline} preprocessing failed:`, e);
+            continue;
+        }
+        attempts.push({ pipeline, steps: attempt.preprocessing.steps, nameScore: attempt.nameScore });
+
+        if (!best || (attempt.nameScore ?? Infinity) > (best.nameScore ?? Infinity)) best = attempt;
+        if (isConfidentResult(attempt)) break;
+        debugLog(`[OCR] Name score ${attempt.nameScore} below threshold with ${pipeline} preprocessing, retrying`);
+    }
+
+    if (!best) throw new Error('OCR failed for every preprocessing pipeline');
+
+    return {
+        success: true,
+        ...best,
+        preprocessing: { ...best.preprocessing, attempts }
+    };
+}
+
+/**
+ * Parse receipt text that needs no OCR (a PDF's text layer, an order email)
+ * @param {string} text - Receipt text
+ * @returns {Object} Parsed receipt in the same shape as extractOrderData, without field sources
+ */
+export function extractOrderDataFromText(text) {
+    const result = parseReceiptText(text);
+    return {
+        success: true,
+        rawText: text,
+        lines: [],
+        preprocessing: null,
+        ...result,
+        items: result.items.map(item => ({ ...item, fields: {} })),
+        fields: {}
+    };
+}
+
+/**
+ * Flatten tesseract's block tree into text lines with their word boxes
+ * @param {Object} data - Tesseract result data (with blocks output)
+ * @returns {Array} { text, confidence, bbox, words: [{ text, confidence, bbox }] }
+ */
+function getOcrLines(data) {
+    const lines = (data.blocks || []).flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines));
+    return lines
+        .map(line => ({
+            text: line.text.trim(),
+            confidence: Math.round(line.confidence),
+            bbox: line.bbox,
+            words: line.words.map(word => ({ text: word.text, confidence: Math.round(word.confidence), bbox: word.bbox }))
+        }))
+        .filter(line => line.text.length > 0);
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function unionBbox(boxes) {
+    return {
+        x0: Math.min(...boxes.map(b => b.x0)),
+        y0: Math.min(...boxes.map(b => b.y0)),
+        x1: Math.max(...boxes.map(b => b.x1)),
+        y1: Math.max(...boxes.map(b => b.y1))
+    };
+}
+
+// Source of a value within one OCR line: the words it was read from, or the whole line
+function getLineSource(ocrLines, index, needle) {
+    const line = ocrLines[index];
+    const words = line.words.filter(word => {
+        const core = normalizeText(word.text).replace(/[^a-z0-9.'-]/g, '');
+        return core.length > 0 && (needle.includes(core) || core.includes(needle));
+    });
+
+    if (words.length === 0) {
+        return { confidence: line.confidence, bbox: line.bbox, line: index };
+    }
+    return {
+        confidence: Math.min(...words.map(word => word.confidence)),
+        bbox: unionBbox(words.map(word => word.bbox)),
+        line: index
+    };
+}
+
+/**
+ * Find the OCR line a value was read from, searching from a line onwards first
+ * @param {Array} ocrLines - Lines from getOcrLines
+ * @param {string} value - Extracted text or amount
+ * @param {number} fromLine - Line to start searching at
+ * @returns {Object|null} { confidence, bbox, line }
+ */
+function locateText(ocrLines, value, fromLine = 0) {
+    const needle = normalizeText(String(value));
+    if (!needle) return null;
+
+    const order = [...ocrLines.keys()].slice(fromLine).concat([...ocrLines.keys()].slice(0, fromLine));
+    const index = order.find(i => normalizeText(ocrLines[i].text).includes(needle));
+    return index === undefined ? null : getLineSource(ocrLines, index, needle);
+}
+
+function locateAmount(ocrLines, amount, fromLine) {
+    return typeof amount === 'number' && amount > 0 ? locateText(ocrLines, amount.toFixed(2), fromLine) : null;
+}
+
+/**
+ * Record where each extracted field came from (confidence and bounding box)
+ * @param {Object} result - Parsed receipt
+ * @param {Array} ocrLines - Lines from getOcrLines
+ * @returns {Object} Result with items[].fields and fields for order details
+ */
+function attachFieldSources(result, ocrLines) {
+    let cursor = 0;
+
+    const items = result.items.map(item => {
+        const name = locateText(ocrLines, item.name, cursor);
+        if (name) cursor = name.line;
+
+        // Unit prices derived from a line total are located by that total
+        const unitPrice = locateAmount(ocrLines, item.unitPrice, cursor)
+            || locateAmount(ocrLines, Math.round(item.unitPrice * item.quantity * 100) / 100, cursor);
+
+        const quantityIndex = ocrLines.findIndex((line, i) => i >= cursor && parseQuantity(line.text) === item.quantity);
+        const quantity = quantityIndex >= 0 ? getLineSource(ocrLines, quantityIndex, String(item.quantity)) : null;
+
+        return { ...item, fields: { name, unitPrice, quantity } };
+    });
+
+    const dateIndex = result.orderDate ? ocrLines.findIndex(line => parseDate(line.text) === result.orderDate) : -1;
+
+    return {
+        ...result,
+        items,
+        fields: {
+            orderNumber: result.orderNumber ? locateText(ocrLines, result.orderNumber) : null,
+            orderDate: dateIndex >= 0 ? { confidence: ocrLines[dateIndex].confidence, bbox: ocrLines[dateIndex].bbox, line: dateIndex } : null,
+            subtotal: locateAmount(ocrLines, result.subtotal),
+            tax: locateAmount(ocrLines, result.tax),
+            shipping: locateAmount(ocrLines, result.shipping)
+        }
+    };
+}
+
+/**
+ * Read an image's pixel size (OCR bounding boxes are in these pixels)
+ * @param {string} base64 - Image data URL
+ * @returns {Promise<Object>} { width, height }
+ */
+export function getImageSize(base64) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+        img.onerror = () => resolve(null);
+        img.src = base64;
+    });
+}
+
 function looksLikeAddress(line) {
     const upper = line.toUpperCase();
 
@@ -142,6 +405,23 @@ function getProductIndicatorScore(line) {
         }
     }
 
+    return score + getLearnedScore(line);
+}
+
+// Score from the user's own corrections (see ocrDictionary.js)
+function getLearnedScore(line) {
+    const { brands, terms, rejected } = getOcrDictionary();
+    const normalized = normalizeDictionaryLine(line);
+    let score = 0;
+    let termScore = 0;
+
+    for (const word of new Set(normalized.split(' '))) {
+        if (brands[word]) score += LEARNED_BRAND_SCORE + LEARNED_BRAND_PER_COUNT * brands[word];
+        if (terms[word]) termScore += LEARNED_TERM_SCORE;
+    }
+
+    score += Math.min(termScore, MAX_LEARNED_TERM_SCORE);
+    score -= REJECTED_LINE_PENALTY * (rejected[normalized] || 0);
     return score;
 }
 
@@ -163,44 +443,18 @@ function isValidProductName(line) {
     return true;
 }
 
-function parseReceiptText(text) {
-    const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+// Price on an item line, e.g. "$24.99"
+const ITEM_PRICE_PATTERN = /\$\s*(\d{1,4}[.,]\d{2})/;
 
-    // 1. Extract Price
-    const pricePatterns = [
-        /\$\s*(\d+[.,]\d{2})/,
-        /USD\s*(\d+[.,]\d{2})/i,
-        /Total[:\s]*\$?\s*(\d+[.,]\d{2})/i
-    ];
+// How many lines after a product name to look for its price and quantity
+const ITEM_DETAIL_LINES = 5;
 
-    let cost = 0;
-    for (const pattern of pricePatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            const price = parseFloat(match[1].replace(',', '.'));
-            if (price > cost && price < 5000) {
-                cost = price;
-            }
-        }
-    }
-
-    // 2. Extract Quantity
-    const qtyPatterns = [
-        /Qty[:\s]*(\d+)/i,
-        /Quantity[:\s]*(\d+)/i,
-        /(\d+)\s*@\s*\$/i
-    ];
-
-    let quantity = 1;
-    for (const pattern of qtyPatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            quantity = parseInt(match[1], 10);
-            break;
-        }
-    }
-
-    // 3. Extract Product Name
+/**
+ * Score every line that could be a product name
+ * @param {Array<string>} lines - Trimmed, non-empty receipt lines
+ * @returns {Array} { line, score, index } in document order
+ */
+function scoreCandidates(lines) {
     const uiExclusions = [
         'your orders', 'your account', 'buy again', 'cart', 'checkout',
         'subtotal', 'shipping', 'tax', 'total', 'payment',
@@ -262,33 +516,144 @@ function parseReceiptText(text) {
         candidates.push({ line: cleanLine, score, index });
     });
 
-    // Sort by score descending
-    candidates.sort((a, b) => b.score - a.score);
-
-    // Debug: log top candidates
-    console.log('[OCR] Top candidates:', candidates.slice(0, 5).map(c => `"${c.line}" (score: ${c.score})`));
+    return candidates;
+}
 
-    // Find best valid candidate above threshold
-    let bestName = 'Unnamed Item';
-    for (const candidate of candidates) {
-        if (candidate.score >= MIN_SCORE_THRESHOLD) {
-            bestName = candidate.line;
-            break;
+/**
+ * Pair each accepted product name with the price and quantity printed after it
+ * (up to the next product name)
+ * @param {Array<string>} lines - Receipt lines
+ * @param {Array} products - Accepted candidates in document order
+ * @returns {Array} { name, unitPrice, quantity }
+ */
+function extractLineItems(lines, products) {
+    return products.map((product, i) => {
+        const nextIndex = products[i + 1]?.index ?? lines.length;
+        const end = Math.min(nextIndex, product.index + ITEM_DETAIL_LINES + 1);
+        let unitPrice = 0;
+        let quantity = null;
+
+        for (let j = product.index; j < end; j++) {
+            const line = lines[j];
+            if (SUMMARY_LINE_PATTERN.test(line)) continue;
+
+            if (!unitPrice) {
+                const match = line.match(ITEM_PRICE_PATTERN);
+                if (match) unitPrice = parseFloat(match[1].replace(',', '.'));
+            }
+            if (quantity === null) quantity = parseQuantity(line);
         }
-    }
 
-    // If no good candidate found, log warning
-    if (bestName === 'Unnamed Item') {
-        console.warn('[OCR] No product name found above threshold. Please enter manually.');
+        return {
+            name: product.line.substring(0, 100).trim(),
+            unitPrice,
+            quantity: Math.max(1, quantity || 1)
+        };
+    });
+}
+
+/**
+ * Parse OCR text, using a retailer-specific parser when one recognises the layout
+ * and the generic heuristic otherwise
+ * @param {string} text - Raw OCR text
+ * @returns {Object} { items, name, cost, quantity, retailer, parser, nameScore, orderNumber, orderDate, subtotal, tax, shipping, total }
+ */
+export function parseReceiptText(text) {
+    const orderSummary = parseOrderSummary(splitLines(text));
+
+    const retailerResult = parseWithRetailerParser(text);
+    if (retailerResult) {
+        debugLog(`[OCR] Parsed with ${retailerResult.retailer} parser`);
+        const { items, retailer, ...details } = retailerResult;
+        // Layout-aware parsers don't score names; a match is trusted
+        return toReceiptResult(items, retailer, retailer, { nameScore: null, ...orderSummary, ...details });
     }
 
+    const { items, nameScore } = parseGenericReceipt(text);
+    return toReceiptResult(items, detectRetailer(text), 'generic', { nameScore, ...orderSummary });
+}
+
+// Shape line items into the OCR result; the first item is also exposed as name/cost/quantity
+function toReceiptResult(items, retailer, parser, orderSummary) {
+    const [first] = items;
     return {
-        name: bestName.substring(0, 100).trim(),
-        cost,
-        quantity: Math.max(1, quantity)
+        items,
+        name: first.name,
+        cost: Math.round(first.unitPrice * first.quantity * 100) / 100,
+        quantity: first.quantity,
+        retailer,
+        parser,
+        ...orderSummary
     };
 }
 
+/**
+ * Generic heuristic: score lines as product names and pair them with nearby prices
+ * @param {string} text - Raw OCR text
+ * @returns {Object} { items, nameScore }
+ */
+function parseGenericReceipt(text) {
+    const lines = splitLines(text);
+
+    // 1. Extract Price (largest amount, used when items can't be priced individually)
+    const pricePatterns = [
+        /\$\s*(\d+[.,]\d{2})/,
+        /USD\s*(\d+[.,]\d{2})/i,
+        /Total[:\s]*\$?\s*(\d+[.,]\d{2})/i
+    ];
+
+    let cost = 0;
+    for (const pattern of pricePatterns) {
+        const match = text.match(pattern);
+        if (match) {
+            const price = parseFloat(match[1].replace(',', '.'));
+            if (price > cost && price < 5000) {
+                cost = price;
+            }
+        }
+    }
+
+    // 2. Extract Quantity
+    const quantity = Math.max(1, parseQuantity(text) || 1);
+
+    // 3. Extract Product Names
+    const candidates = scoreCandidates(lines);
+
+    debugLog('[OCR] Top candidates:', [...candidates].sort((a, b) => b.score - a.score).slice(0, 5).map(c => `"${c.line}" (score: ${c.score})`));
+
+    // Every distinct candidate above threshold is a line item, in receipt order
+    const seen = new Set();
+    const products = candidates.filter(c => {
+        if (c.score < MIN_SCORE_THRESHOLD) return false;
+        const key = c.line.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    let items;
+    if (products.length > 1) {
+        items = extractLineItems(lines, products);
+    } else {
+        // Single item: keep the whole-receipt price and quantity when the item line has no price
+        const [item] = extractLineItems(lines, products.length ? products : []);
+        const name = item?.name || 'Unnamed Item';
+        const itemQuantity = item?.unitPrice ? item.quantity : quantity;
+        const unitPrice = item?.unitPrice || Math.round((cost / itemQuantity) * 100) / 100;
+        items = [{ name, unitPrice, quantity: itemQuantity }];
+
+        // If no good candidate found, log warning
+        if (!item) {
+            console.warn('[OCR] No product name found above threshold. Please enter manually.');
+        }
+    }
+
+    // Best name score, used to decide whether to retry OCR with other preprocessing
+    const nameScore = candidates.reduce((best, c) => Math.max(best, c.score), 0);
+
+    return { items, nameScore };
+}
+
 export function fileToBase64(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
@@ -0,0 +1,49 @@
+// OCR Assets Service - Self-hosted tesseract worker, engine and language data, and offline readiness
+
+// Served from /tesseract/ by the tesseract-assets plugin in vite.config.js
+const ASSET_DIR = 'tesseract/';
+
+// Files that must be in the service worker cache for scanning to work offline
+const REQUIRED_ASSETS = ['worker.min.js', 'tesseract-core-lstm.wasm.js', 'eng.traineddata.gz'];
+
+function getAssetUrl(path = '') {
+    const base = import.meta.env?.BASE_URL || '/';
+    return new URL(`${base}${ASSET_DIR}${path}`, globalThis.location?.href || 'http://localhost/').href;
+}
+
+/**
+ * Worker options pointing tesseract at our own origin instead of its CDN
+ * @returns {Object} { workerPath, corePath, langPath }
+ */
+export function getTesseractPaths() {
+    return {
+        workerPath: getAssetUrl('worker.min.js'),
+        // A directory: tesseract picks the engine build the browser supports
+        corePath: getAssetUrl(),
+        langPath: getAssetUrl()
+    };
+}
+
+/**
+ * Check whether OCR can run without a network connection
+ * @returns {Promise<string>} 'ready' when every asset is cached, 'downloading' while the
+ *   service worker is still caching them, 'unsupported' without a service worker (e.g. dev mode)
+ */
+export async function getOfflineOcrStatus() {
+    if (!('serviceWorker' in navigator) || !('caches' in window)) return 'unsupported';
+
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) return 'unsupported';
+
+    // Precached URLs carry a revision parameter
+    const cached = await Promise.all(REQUIRED_ASSETS.map(asset => caches.match(getAssetUrl(asset), { ignoreSearch: true })));
+    return cached.every(Boolean) ? 'ready' : 'downloading';
+}
+
+/**
+ * Call back once the service worker has finished caching, so the status can be refreshed
+ * @param {Function} callback - Called when a new service worker takes control
+ */
+export function onOcrAssetsCached(callback) {
+    navigator.serviceWorker?.addEventListener('controllerchange', callback, { once: true });
+}
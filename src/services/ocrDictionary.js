@@ -0,0 +1,95 @@
+// OCR Dictionary Service - Brands and product terms learned from the user's name corrections
+//
+// Held in memory so OCR scoring stays synchronous; storage.js loads, persists and syncs it.
+
+// Words that say nothing about the product
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'this', 'that', 'pack', 'size', 'item', 'new', 'of', 'in', 'by'
+]);
+
+// Counts stop growing here so one product bought often doesn't swamp every receipt
+const MAX_COUNT = 5;
+
+let dictionary = createEmptyDictionary();
+
+/**
+ * Create an empty dictionary
+ * @returns {Object} { brands, terms, rejected } each mapping a lowercase key to a count
+ */
+export function createEmptyDictionary() {
+    return { brands: {}, terms: {}, rejected: {} };
+}
+
+/**
+ * Get the learned dictionary
+ * @returns {Object} { brands, terms, rejected }
+ */
+export function getOcrDictionary() {
+    return dictionary;
+}
+
+/**
+ * Replace the learned dictionary (when loaded from storage)
+ * @param {Object|null} value - Stored dictionary
+ */
+export function setOcrDictionary(value) {
+    dictionary = { ...createEmptyDictionary(), ...(value || {}) };
+}
+
+/**
+ * Normalize a line for matching rejected suggestions
+ * @param {string} line - OCR line or item name
+ * @returns {string}
+ */
+export function normalizeDictionaryLine(line) {
+    return String(line || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function increment(map, key) {
+    map[key] = Math.min(MAX_COUNT, (map[key] || 0) + 1);
+}
+
+/**
+ * Learn from a name the user changed before saving: the brand (first word) and terms of
+ * the final name are boosted and the suggested line is down-weighted
+ * @param {string} suggestedName - Name suggested by OCR
+ * @param {string} finalName - Name the lot was saved with
+ * @returns {boolean} Whether anything was learned
+ */
+export function learnFromNameCorrection(suggestedName, finalName) {
+    const suggested = normalizeDictionaryLine(suggestedName);
+    const final = normalizeDictionaryLine(finalName);
+    if (!final || suggested === final || final === 'unnamed item') return false;
+
+    const words = final.split(' ').filter(word => /[a-z]/.test(word));
+    if (words.length === 0) return false;
+
+    const [brand, ...rest] = words;
+    if (!STOP_WORDS.has(brand)) increment(dictionary.brands, brand);
+
+    rest
+        .filter(word => word.length >= 3 && !STOP_WORDS.has(word) && !/\d/.test(word))
+        .forEach(word => increment(dictionary.terms, word));
+
+    if (suggested) increment(dictionary.rejected, suggested);
+    return true;
+}
+
+/**
+ * Combine two dictionaries (local and cloud), keeping the higher count for every key,
+ * so merging the same data twice changes nothing
+ * @param {Object} a - Dictionary
+ * @param {Object} b - Dictionary
+ * @returns {Object} Merged dictionary
+ */
+export function mergeDictionaries(a, b) {
+    const merged = createEmptyDictionary();
+    for (const section of Object.keys(merged)) {
+        for (const source of [a?.[section] || {}, b?.[section] || {}]) {
+            for (const [key, count] of Object.entries(source)) {
+                merged[section][key] = Math.max(merged[section][key] || 0, count);
+            }
+        }
+    }
+    return merged;
+}
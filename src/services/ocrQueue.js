@@ -0,0 +1,124 @@
+// OCR Queue Service - Background OCR of several uploaded receipts across the worker pool
+
+import { fileToBase64, createThumbnail } from './ocr.js';
+import { extractReceiptFromFile } from './documentImport.js';
+import { MAX_WORKERS, isAbortError } from './ocrWorkerPool.js';
+
+let queue = [];
+let running = 0;
+let listener = () => { };
+let nextId = 1;
+
+/**
+ * Set the function told about queue changes
+ * @param {Function} fn - Called with (entry, type) where type is 'progress' or 'complete'
+ */
+export function setQueueListener(fn) {
+    listener = fn;
+}
+
+/**
+ * Get every queued, running and finished entry
+ * @returns {Array} { id, fileName, status ('queued'|'processing'|'done'|'error'|'cancelled'),
+ *   progress, thumbnail, result, error }
+ */
+export function getQueue() {
+    return queue;
+}
+
+/**
+ * Check whether any entry is still waiting or running
+ * @returns {boolean}
+ */
+export function isQueueBusy() {
+    return queue.some(entry => entry.status === 'queued' || entry.status === 'processing');
+}
+
+/**
+ * Add files to the queue and start processing in the background
+ * @param {Array<File>} files - Uploaded receipt images, PDFs or emails
+ * @returns {Array} The new queue entries
+ */
+export function enqueueFiles(files) {
+    const entries = files.map(file => ({
+        id: `q${nextId++}`,
+        file,
+        fileName: file.name,
+        status: 'queued',
+        progress: 0,
+        thumbnail: null,
+        result: null,
+        error: null,
+        controller: null
+    }));
+
+    queue.push(...entries);
+    processQueue();
+    return entries;
+}
+
+/**
+ * Cancel one entry, stopping its OCR if it is running
+ * @param {string} id - Queue entry ID
+ */
+export function cancelEntry(id) {
+    const entry = queue.find(e => e.id === id);
+    if (!entry || entry.status === 'done' || entry.status === 'error') return;
+
+    entry.controller?.abort();
+    entry.status = 'cancelled';
+    listener(entry, 'complete');
+}
+
+/**
+ * Drop every entry, cancelling any OCR still running
+ */
+export function clearQueue() {
+    queue.forEach(entry => entry.controller?.abort());
+    queue = [];
+}
+
+// Start queued entries while pool workers are free
+function processQueue() {
+    let entry;
+    while (running < MAX_WORKERS && (entry = queue.find(e => e.status === 'queued'))) {
+        running++;
+        processEntry(entry).finally(() => {
+            running--;
+            processQueue();
+        });
+    }
+}
+
+async function processEntry(entry) {
+    entry.status = 'processing';
+    entry.controller = new AbortController();
+    listener(entry, 'progress');
+
+    try {
+        const { result, image } = await extractReceiptFromFile(entry.file, (progress) => {
+            entry.progress = progress;
+            listener(entry, 'progress');
+        }, { signal: entry.controller.signal });
+        // PDF text and emails skip OCR, so they finish normally even when cancelled
+        if (entry.controller.signal.aborted) return;
+
+        const thumbnail = image ? await createThumbnail(await fileToBase64(image), 200) : null;
+        if (entry.controller.signal.aborted) return;
+
+        entry.thumbnail = thumbnail;
+        entry.result = result;
+        entry.status = result.success ? 'done' : 'error';
+        entry.error = result.success ? null : result.error;
+    } catch (error) {
+        // Cancelled entries were already reported by cancelEntry
+        if (isAbortError(error) || entry.controller.signal.aborted) return;
+        console.error(`OCR failed for ${entry.fileName}:`, error);
+        entry.status = 'error';
+        entry.error = error.message;
+    }
+
+    entry.progress = 100;
+    // Skip notifying for entries cleared while they ran
+    if (queue.includes(entry)) listener(entry, 'complete');
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { enqueueFiles, cancelEntry, clearQueue, setQueueListener } from './ocrQueue.js';
+import { extractReceiptFromFile } from './documentImport.js';
+
+vi.mock('./documentImport.js', () => ({ extractReceiptFromFile: vi.fn() }));
+vi.mock('./ocr.js', () => ({
+    fileToBase64: vi.fn(async () => 'data:'),
+    createThumbnail: vi.fn(async () => 'thumbnail')
+}));
+vi.mock('./ocrWorkerPool.js', () => ({ MAX_WORKERS: 2, isAbortError: () => false }));
+
+let events;
+
+beforeEach(() => {
+    clearQueue();
+    events = [];
+    setQueueListener((entry, type) => events.push([entry.id, type, entry.status]));
+});
+
+describe('processing', () => {
+    it('stores the result and reports completion once', async () => {
+        extractReceiptFromFile.mockResolvedValueOnce({ result: { success: true }, image: null });
+        const [entry] = enqueueFiles([{ name: 'order.eml' }]);
+        await vi.waitFor(() => expect(entry.status).toBe('done'));
+
+        expect(events.filter(([, type]) => type === 'complete')).toHaveLength(1);
+    });
+});
+
+describe('cancelEntry', () => {
+    it('keeps a file that finishes without OCR cancelled', async () => {
+        let finish;
+        extractReceiptFromFile.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+        const [entry] = enqueueFiles([{ name: 'invoice.pdf' }]);
+
+        cancelEntry(entry.id);
+        // Text PDFs don't watch the abort signal and resolve anyway
+        finish({ result: { success: true }, image: new Blob() });
+        await vi.waitFor(() => expect(extractReceiptFromFile).toHaveBeenCalled());
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(entry.status).toBe('cancelled');
+        expect(entry.result).toBeNull();
+        expect(entry.thumbnail).toBeNull();
+        expect(events.filter(([, type]) => type === 'complete')).toEqual([[entry.id, 'complete', 'cancelled']]);
+    });
+});
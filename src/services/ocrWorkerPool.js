@@ -0,0 +1,120 @@
+// OCR Worker Pool - Tesseract workers shared by single and batch scans, cancellable and freed when idle
+
+import Tesseract from 'tesseract.js';
+import { getTesseractPaths } from './ocrAssets.js';
+
+// Idle workers are terminated after this long to give their memory back (matters on phones)
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+// Every worker loads its own copy of the language data, so the pool stays small
+export const MAX_WORKERS = Math.max(1, Math.min(3, (globalThis.navigator?.hardwareConcurrency || 2) - 1));
+
+let slots = []; // { worker: Promise<Worker>, busy, onLog, idleTimer }
+let waiting = []; // { resolve, reject } for tasks waiting on a free worker
+
+function createAbortError() {
+    return new DOMException('OCR cancelled', 'AbortError');
+}
+
+function createSlot() {
+    const slot = { busy: true, onLog: () => { }, idleTimer: null };
+    // The logger is fixed at creation, so it forwards to whichever task holds the worker
+    slot.worker = Tesseract.createWorker('eng', 1, {
+        ...getTesseractPaths(),
+        logger: (message) => slot.onLog(message)
+    });
+    slots.push(slot);
+    return slot;
+}
+
+function terminateSlot(slot) {
+    clearTimeout(slot.idleTimer);
+    slots = slots.filter(s => s !== slot);
+    slot.worker.then(w => w.terminate()).catch(() => { });
+
+    // A terminated worker frees room for a waiting task
+    if (waiting.length > 0 && slots.length < MAX_WORKERS) {
+        waiting.shift().resolve(createSlot());
+    }
+}
+
+function acquireSlot(signal) {
+    const idle = slots.find(s => !s.busy);
+    if (idle) {
+        clearTimeout(idle.idleTimer);
+        idle.busy = true;
+        return Promise.resolve(idle);
+    }
+
+    if (slots.length < MAX_WORKERS) {
+        return Promise.resolve(createSlot());
+    }
+
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        waiting.push(waiter);
+        signal?.addEventListener('abort', () => {
+            waiting = waiting.filter(w => w !== waiter);
+            reject(createAbortError());
+        }, { once: true });
+    });
+}
+
+function releaseSlot(slot) {
+    slot.onLog = () => { };
+
+    // Hand the worker straight to the next waiting task
+    const next = waiting.shift();
+    if (next) {
+        next.resolve(slot);
+        return;
+    }
+
+    slot.busy = false;
+    slot.idleTimer = setTimeout(() => terminateSlot(slot), IDLE_TIMEOUT_MS);
+}
+
+/**
+ * Run a task on a pooled worker, waiting for one to free up if all are busy
+ * @param {Function} task - async (worker) => result
+ * @param {Object} options - { onLog: receives Tesseract logger messages ({ status, progress })
+ *   for this task, signal: AbortSignal that stops the task by terminating its worker }
+ * @returns {Promise<*>} The task's result; rejects with an AbortError when cancelled
+ */
+export async function runWithWorker(task, { onLog = () => { }, signal } = {}) {
+    if (signal?.aborted) throw createAbortError();
+
+    const slot = await acquireSlot(signal);
+    slot.onLog = onLog;
+
+    let onAbort;
+    const aborted = new Promise((_, reject) => {
+        onAbort = () => reject(createAbortError());
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    try {
+        const worker = await Promise.race([slot.worker, aborted]);
+        const running = task(worker);
+        // A terminated worker rejects the running job after we've stopped waiting for it
+        running.catch(() => { });
+        const result = await Promise.race([running, aborted]);
+        releaseSlot(slot);
+        return result;
+    } catch (error) {
+        // Tesseract can't abort a recognition, so the worker running it is terminated
+        terminateSlot(slot);
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Check whether an error is a cancelled OCR
+ * @param {Error} error - Caught error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
@@ -0,0 +1,103 @@
+// Product Catalog Service - Products identified by UPC/EAN, built from past lots and their sales
+
+import { getLots } from './storage.js';
+
+// GTIN check digit: weights alternate 3 and 1 from the right, excluding the check digit
+function hasValidCheckDigit(digits) {
+    const body = digits.slice(0, -1);
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+        sum += parseInt(body[i]) * weight;
+    }
+    const check = (10 - (sum % 10)) % 10;
+    return check === parseInt(digits.slice(-1));
+}
+
+// UPC-E is a UPC-A with its zeros suppressed; the last body digit says where they went
+function expandUpcE(digits) {
+    if (!/^[01]/.test(digits)) return null;
+    const [system, d1, d2, d3, d4, d5, d6, check] = digits;
+    let manufacturerAndProduct;
+    if ('012'.includes(d6)) manufacturerAndProduct = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    else if (d6 === '3') manufacturerAndProduct = `${d1}${d2}${d3}00000${d4}${d5}`;
+    else if (d6 === '4') manufacturerAndProduct = `${d1}${d2}${d3}${d4}00000${d5}`;
+    else manufacturerAndProduct = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    return `${system}${manufacturerAndProduct}${check}`;
+}
+
+/**
+ * Strip a scanned or typed code down to its digits, expanding UPC-E to its UPC-A
+ * @param {string} code - UPC/EAN as scanned or typed
+ * @param {string} format - Format the scanner read ('UPC_A', 'UPC_E', 'EAN_13' or 'EAN_8');
+ *   for typed codes an 8-digit code is taken as UPC-E when its expansion checks out
+ * @returns {string|null} GTIN digits, or null when the code isn't a valid UPC-A, UPC-E, EAN-8 or EAN-13
+ */
+export function normalizeUpc(code, format = null) {
+    const digits = String(code || '').replace(/\D/g, '');
+    if (![8, 12, 13].includes(digits.length)) return null;
+
+    if (digits.length === 8 && format !== 'EAN_8') {
+        const upcA = expandUpcE(digits);
+        if (upcA && hasValidCheckDigit(upcA)) return upcA;
+        if (format === 'UPC_E') return null;
+    }
+
+    return hasValidCheckDigit(digits) ? digits : null;
+}
+
+// A UPC-A and the EAN-13 with a leading zero are the same product
+function toLookupKey(upc) {
+    return upc.length === 12 ? `0${upc}` : upc;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Build the catalog from every lot with a UPC
+ * @returns {Object} Lookup key -> { upc, name, lotCount, unitCost, resalePrice, salesCount, lastPurchased }
+ *   (unitCost and resalePrice are medians in cents; resalePrice is null until a unit sells)
+ */
+export function getProductCatalog() {
+    const groups = {};
+
+    for (const lot of getLots()) {
+        if (!lot.upc) continue;
+        const key = toLookupKey(lot.upc);
+        (groups[key] = groups[key] || []).push(lot);
+    }
+
+    const catalog = {};
+    for (const [key, lots] of Object.entries(groups)) {
+        // The most recently bought lot's name is the one the user last settled on
+        const latest = [...lots].sort((a, b) => (b.purchaseDate || '').localeCompare(a.purchaseDate || ''))[0];
+        const salePrices = lots.flatMap(lot => (lot.sales || []).map(sale => sale.pricePerUnit));
+
+        catalog[key] = {
+            upc: latest.upc,
+            name: latest.name,
+            lotCount: lots.length,
+            unitCost: median(lots.map(lot => lot.unitCost)),
+            resalePrice: median(salePrices),
+            salesCount: salePrices.length,
+            lastPurchased: latest.purchaseDate
+        };
+    }
+
+    return catalog;
+}
+
+/**
+ * Look up a product by UPC/EAN
+ * @param {string} upc - Code as returned by normalizeUpc, so a scanned EAN-8 isn't taken for a UPC-E
+ * @returns {Object|null} Catalog entry or null when the product hasn't been bought before
+ */
+export function lookupProduct(upc) {
+    if (!upc) return null;
+    return getProductCatalog()[toLookupKey(upc)] || null;
+}
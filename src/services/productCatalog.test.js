@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { normalizeUpc, lookupProduct, getProductCatalog } from './productCatalog.js';
+
+const lots = vi.hoisted(() => []);
+
+vi.mock('./storage.js', () => ({ getLots: () => lots }));
+
+describe('normalizeUpc', () => {
+    it('accepts UPC-A, EAN-13 and EAN-8 codes with a valid check digit', () => {
+        expect(normalizeUpc('0 36000 29145 2')).toBe('036000291452');
+        expect(normalizeUpc('4006381333931')).toBe('4006381333931');
+        expect(normalizeUpc('96385074')).toBe('96385074');
+    });
+
+    it('expands typed UPC-E codes to UPC-A by their UPC-A check digit', () => {
+        expect(normalizeUpc('06543217')).toBe('065100004327');
+        expect(normalizeUpc('00421001')).toBe('004000002101');
+        expect(normalizeUpc('09876547')).toBe('098760000057');
+        expect(normalizeUpc('01000039')).toBe('010000000009');
+        expect(normalizeUpc('03333347')).toBe('033330000037');
+    });
+
+    it('follows the scanner on codes that pass as both UPC-E and EAN-8', () => {
+        expect(normalizeUpc('01234565', 'UPC_E')).toBe('012345000065');
+        expect(normalizeUpc('01234565', 'EAN_8')).toBe('01234565');
+        // Typed, it is read as the far more common UPC-E
+        expect(normalizeUpc('01234565')).toBe('012345000065');
+    });
+
+    it('rejects a scanned UPC-E or EAN-8 whose own check digit is wrong', () => {
+        expect(normalizeUpc('96385074', 'UPC_E')).toBeNull();
+        expect(normalizeUpc('06543217', 'EAN_8')).toBeNull();
+    });
+
+    it('rejects codes with a wrong check digit or length', () => {
+        expect(normalizeUpc('036000291453')).toBeNull();
+        expect(normalizeUpc('06543218')).toBeNull();
+        expect(normalizeUpc('12345')).toBeNull();
+        expect(normalizeUpc('')).toBeNull();
+    });
+});
+
+describe('product lookup', () => {
+    beforeEach(() => {
+        lots.length = 0;
+    });
+
+    it('finds a lot bought by UPC-A from its scanned UPC-E', () => {
+        lots.push({ id: 'lot-1', name: 'Gum', upc: '065100004327', unitCost: 100, purchaseDate: '2024-01-01', sales: [] });
+
+        expect(Object.keys(getProductCatalog())).toEqual(['0065100004327']);
+        expect(lookupProduct(normalizeUpc('06543217', 'UPC_E')).name).toBe('Gum');
+        expect(lookupProduct(normalizeUpc('0065100004327', 'EAN_13')).name).toBe('Gum');
+    });
+
+    it('keeps an EAN-8 separate from the UPC-E with the same digits', () => {
+        lots.push({ id: 'lot-1', name: 'Chocolate', upc: '01234565', unitCost: 100, purchaseDate: '2024-01-01', sales: [] });
+
+        expect(Object.keys(getProductCatalog())).toEqual(['01234565']);
+        expect(lookupProduct(normalizeUpc('01234565', 'EAN_8')).name).toBe('Chocolate');
+        expect(lookupProduct(normalizeUpc('01234565', 'UPC_E'))).toBeNull();
+    });
+
+    it('finds nothing for a missing code', () => {
+        expect(lookupProduct(null)).toBeNull();
+    });
+});
@@ -0,0 +1,49 @@
+// Amazon Receipt Parser - "Order Details" pages and order confirmation screenshots
+
+import { parsePrice, parseQuantity, findNameAbove, SUMMARY_LINE_PATTERN } from './utils.js';
+
+const SOLD_BY_PATTERN = /^sold\s+by/i;
+
+export const amazonParser = {
+    retailer: 'amazon',
+
+    /**
+     * Amazon pages name the seller under every item and use 3-7-7 digit order numbers
+     * @param {string} text - Raw OCR text
+     * @returns {boolean}
+     */
+    detect(text) {
+        return /amazon/i.test(text) && (/^sold\s+by/im.test(text) || /\d{3}-\d{7}-\d{7}/.test(text));
+    },
+
+    /**
+     * Each item is "<name>", "Sold by: ...", then its price and optional quantity
+     * @param {Array<string>} lines - Receipt lines
+     * @returns {Object|null} { items } or null if no items were found
+     */
+    parse(lines) {
+        const items = [];
+        let lastAnchor = -1;
+
+        lines.forEach((line, index) => {
+            if (!SOLD_BY_PATTERN.test(line)) return;
+
+            const name = findNameAbove(lines, index, lastAnchor);
+            lastAnchor = index;
+            if (!name) return;
+
+            let unitPrice = 0;
+            let quantity = 1;
+            for (let i = index + 1; i < Math.min(lines.length, index + 6); i++) {
+                if (SOLD_BY_PATTERN.test(lines[i]) || SUMMARY_LINE_PATTERN.test(lines[i])) break;
+                const price = parsePrice(lines[i]);
+                if (price !== null && !unitPrice) unitPrice = price;
+                quantity = parseQuantity(lines[i]) || quantity;
+            }
+
+            items.push({ name, unitPrice, quantity });
+        });
+
+        return items.length ? { items } : null;
+    }
+};
@@ -0,0 +1,48 @@
+// Best Buy Receipt Parser - bestbuy.com order details
+
+import { parsePrice, parseQuantity, findNameAbove, SUMMARY_LINE_PATTERN } from './utils.js';
+
+const SKU_PATTERN = /\bSKU:?\s*\d{6,7}\b/i;
+
+export const bestBuyParser = {
+    retailer: 'bestbuy',
+
+    /**
+     * @param {string} text - Raw OCR text
+     * @returns {boolean}
+     */
+    detect(text) {
+        return /best\s*buy/i.test(text) && SKU_PATTERN.test(text);
+    },
+
+    /**
+     * Items are "<name>", "Model: ... SKU: 1234567", then quantity and price
+     * @param {Array<string>} lines - Receipt lines
+     * @returns {Object|null} { items } or null if no items were found
+     */
+    parse(lines) {
+        const items = [];
+        let lastAnchor = -1;
+
+        lines.forEach((line, index) => {
+            if (!SKU_PATTERN.test(line)) return;
+
+            const name = findNameAbove(lines, index, lastAnchor);
+            lastAnchor = index;
+            if (!name) return;
+
+            let unitPrice = 0;
+            let quantity = 1;
+            for (let i = index + 1; i < Math.min(lines.length, index + 5); i++) {
+                if (SKU_PATTERN.test(lines[i]) || SUMMARY_LINE_PATTERN.test(lines[i])) break;
+                const price = parsePrice(lines[i]);
+                if (price !== null && !unitPrice) unitPrice = price;
+                quantity = parseQuantity(lines[i]) || quantity;
+            }
+
+            items.push({ name, unitPrice, quantity });
+        });
+
+        return items.length ? { items } : null;
+    }
+};
@@ -0,0 +1,73 @@
+// Costco Receipt Parser - printed warehouse receipts
+
+import { cleanItemName } from './utils.js';
+
+// "E 1234567 KS PAPER TOWEL 29.99 Y" (E = member-exempt flag, trailing tax flag)
+const ITEM_LINE_PATTERN = /^(?:E\s+)?(\d{3,7})\s+(.+?)\s+(\d+\.\d{2})\s*[A-Z]?$/i;
+
+// "2 @ 4.99" under an item bought more than once
+const MULTIPLE_LINE_PATTERN = /^(\d+)\s*@\s*(\d+\.\d{2})/;
+
+// Instant savings: "0000351234 / 1234567 3.00-"
+const DISCOUNT_LINE_PATTERN = /^\d+\s*\/\s*(\d{3,7})\s+(\d+\.\d{2})-/;
+
+export const costcoParser = {
+    retailer: 'costco',
+
+    /**
+     * @param {string} text - Raw OCR text
+     * @returns {boolean}
+     */
+    detect(text) {
+        return /costco/i.test(text);
+    },
+
+    /**
+     * Items are keyed by item number; repeats and "N @ price" lines add units and
+     * instant-savings lines reduce the item's cost
+     * @param {Array<string>} lines - Receipt lines
+     * @returns {Object|null} { items } or null if no items were found
+     */
+    parse(lines) {
+        const itemsByNumber = new Map();
+        let lastItem = null;
+
+        for (const line of lines) {
+            const discount = line.match(DISCOUNT_LINE_PATTERN);
+            if (discount) {
+                const item = itemsByNumber.get(discount[1]);
+                if (item) item.discount += parseFloat(discount[2]);
+                continue;
+            }
+
+            const multiple = line.match(MULTIPLE_LINE_PATTERN);
+            if (multiple && lastItem) {
+                lastItem.quantity = parseInt(multiple[1], 10);
+                lastItem.lineTotal = lastItem.quantity * parseFloat(multiple[2]);
+                continue;
+            }
+
+            const match = line.match(ITEM_LINE_PATTERN);
+            if (!match || /total|tax/i.test(match[2])) continue;
+
+            const [, itemNumber, name, price] = match;
+            const existing = itemsByNumber.get(itemNumber);
+            if (existing) {
+                existing.quantity += 1;
+                existing.lineTotal += parseFloat(price);
+                lastItem = existing;
+            } else {
+                lastItem = { name: cleanItemName(name), quantity: 1, lineTotal: parseFloat(price), discount: 0 };
+                itemsByNumber.set(itemNumber, lastItem);
+            }
+        }
+
+        const items = [...itemsByNumber.values()].map(item => ({
+            name: item.name,
+            unitPrice: Math.round(((item.lineTotal - item.discount) / item.quantity) * 100) / 100,
+            quantity: item.quantity
+        }));
+
+        return items.length ? { items } : null;
+    }
+};
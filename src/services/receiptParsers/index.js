@@ -0,0 +1,48 @@
+// Receipt Parsers - Retailer-specific layout parsers tried before the generic heuristic
+//
+// A parser plugin is an object with:
+// - retailer: retailer key (see returnPolicies.js)
+// - detect(text): whether the OCR text looks like this retailer's layout
+// - parse(lines, text): { items: [{ name, unitPrice, quantity }] }, or null to fall back
+//
+// Each parser has OCR fixtures in ./fixtures (<name>.txt with <name>.expected.json);
+// `npm run test:ocr` scores every fixture, including the generic-* ones for the fallback heuristic.
+
+import { splitLines } from './utils.js';
+import { amazonParser } from './amazon.js';
+import { targetParser } from './target.js';
+import { walmartParser } from './walmart.js';
+import { costcoParser } from './costco.js';
+import { bestBuyParser } from './bestbuy.js';
+
+export const RECEIPT_PARSERS = [
+    amazonParser,
+    targetParser,
+    walmartParser,
+    costcoParser,
+    bestBuyParser
+];
+
+/**
+ * Parse OCR text with the first retailer parser that recognises it
+ * @param {string} text - Raw OCR text
+ * @returns {Object|null} { retailer, items } or null if no parser matched
+ */
+export function parseWithRetailerParser(text) {
+    const lines = splitLines(text);
+
+    for (const parser of RECEIPT_PARSERS) {
+        if (!parser.detect(text)) continue;
+
+        try {
+            const result = parser.parse(lines, text);
+            if (result?.items.length) {
+                return { retailer: parser.retailer, ...result };
+            }
+        } catch (e) {
+            console.error(`[OCR] ${parser.retailer} parser failed:`, e);
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,25 @@
+// Target Receipt Parser - target.com order details
+
+import { parseQuantityAnchoredItems } from './utils.js';
+
+export const targetParser = {
+    retailer: 'target',
+
+    /**
+     * @param {string} text - Raw OCR text
+     * @returns {boolean}
+     */
+    detect(text) {
+        return /\btarget\b/i.test(text) && /^qty\b/im.test(text);
+    },
+
+    /**
+     * Items are "<name>", "Qty 2 • $24.99 / ea", then the line total
+     * @param {Array<string>} lines - Receipt lines
+     * @returns {Object|null} { items } or null if no items were found
+     */
+    parse(lines) {
+        const items = parseQuantityAnchoredItems(lines, true);
+        return items.length ? { items } : null;
+    }
+};
@@ -0,0 +1,261 @@
+// Receipt Parser Utilities - Shared helpers for retailer-specific receipt parsers
+
+// Lines that carry order-level amounts rather than an item's price
+export const SUMMARY_LINE_PATTERN = /\b(sub\s*total|total|tax|shipping|delivery|discount|savings|saved|refund|payment|balance|gift\s*card)\b/i;
+
+const PRICE_PATTERN = /\$\s*(\d{1,3}(?:,\d{3})+\.\d{2}|\d+[.,]\d{2})/;
+
+const QTY_PATTERNS = [
+    /Qty[:\s]*(\d+)/i,
+    /Quantity[:\s]*(\d+)/i,
+    /(\d+)\s*@\s*\$/i
+];
+
+// Lines that describe an item (or the page) but are never its name
+const META_LINE_PATTERNS = [
+    /^sold\s+by/i,
+    /^ships?\s+from/i,
+    /^fulfilled\s+by/i,
+    /^return/i,
+    /^delivered/i,
+    /^arriving/i,
+    /^package/i,
+    /^condition/i,
+    /^color/i,
+    /^size/i,
+    /^model/i,
+    /^sku/i,
+    /^qty/i,
+    /^quantity/i,
+    /^buy\s+it\s+again/i,
+    /^view\b/i,
+    /^write\s+a/i,
+    /^track/i,
+    /^order/i,
+    /^placed/i,
+    /^get\s+product\s+support/i,
+    /^add\s+to\s+cart/i,
+    /^\$/
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "November 3, 2024", "Nov 3 2024"
+const LONG_DATE_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/i;
+
+// "11/03/2024", "11-03-24"
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})[\/-](\d{1,2})[\/-](\d{4}|\d{2})\b/;
+
+// Order-level amounts; the $ is optional because printed receipts often omit it
+const AMOUNT = '\\$?\\s*(\\d{1,3}(?:,\\d{3})+\\.\\d{2}|\\d+[.,]\\d{2})';
+const SUBTOTAL_PATTERN = new RegExp(`sub\\s*total[^\\d$]*${AMOUNT}`, 'i');
+const TAX_PATTERN = new RegExp(`\\btax\\b[^\\d$]*${AMOUNT}`, 'i');
+const SHIPPING_PATTERN = new RegExp(`(shipping|delivery)(\\s*(&|and)\\s*handling)?(\\s*fee)?[^\\d$]*${AMOUNT}`, 'i');
+const TOTAL_PATTERN = new RegExp(`(grand\\s*|order\\s*)?total[^\\d$]*${AMOUNT}`, 'i');
+const ORDER_NUMBER_PATTERN = /order\s*(?:#|number|no\.?)\s*:?\s*([A-Z0-9][A-Z0-9-]{5,})/i;
+
+/**
+ * Split OCR text into trimmed, non-empty lines
+ * @param {string} text - Raw OCR text
+ * @returns {Array<string>}
+ */
+export function splitLines(text) {
+    return text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+}
+
+/**
+ * Read the first dollar amount on a line
+ * @param {string} line - Receipt line
+ * @returns {number|null} Amount in dollars
+ */
+export function parsePrice(line) {
+    const match = line.match(PRICE_PATTERN);
+    if (!match) return null;
+    const value = match[1].includes(',') && /,\d{3}/.test(match[1])
+        ? match[1].replace(/,/g, '')
+        : match[1].replace(',', '.');
+    return parseFloat(value);
+}
+
+/**
+ * Read a quantity ("Qty: 2", "Quantity 2", "2 @ $4.99")
+ * @param {string} text - Line or whole receipt
+ * @returns {number|null}
+ */
+export function parseQuantity(text) {
+    for (const pattern of QTY_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) return parseInt(match[1], 10);
+    }
+    return null;
+}
+
+/**
+ * Check whether a line is item metadata rather than an item name
+ * @param {string} line - Receipt line
+ * @returns {boolean}
+ */
+export function isMetaLine(line) {
+    if (line.length < 4) return true;
+    if (SUMMARY_LINE_PATTERN.test(line)) return true;
+    return META_LINE_PATTERNS.some(pattern => pattern.test(line));
+}
+
+/**
+ * Find the item name printed above an anchor line (e.g. "Sold by", "Qty 1")
+ * @param {Array<string>} lines - Receipt lines
+ * @param {number} index - Anchor line index
+ * @param {number} stopIndex - Don't look at or above this line (previous item)
+ * @returns {string|null}
+ */
+export function findNameAbove(lines, index, stopIndex = -1) {
+    for (let i = index - 1; i > stopIndex; i--) {
+        if (!isMetaLine(lines[i])) return cleanItemName(lines[i]);
+    }
+    return null;
+}
+
+/**
+ * Tidy an OCR'd item name
+ * @param {string} line - Raw name line
+ * @returns {string}
+ */
+export function cleanItemName(line) {
+    return line.replace(/^[|=\-*#@%\s]+/, '').replace(/[|]+$/, '').trim().substring(0, 100);
+}
+
+/**
+ * Parse layouts where each item is a name line followed by a "Qty N" line and a price
+ * (Target, Walmart)
+ * @param {Array<string>} lines - Receipt lines
+ * @param {boolean} priceIsLineTotal - Whether the bare price is for all units of the item
+ * @returns {Array} { name, unitPrice, quantity }
+ */
+export function parseQuantityAnchoredItems(lines, priceIsLineTotal) {
+    const items = [];
+    let lastAnchor = -1;
+
+    lines.forEach((line, index) => {
+        if (!/^(qty|quantity)\b/i.test(line)) return;
+
+        const name = findNameAbove(lines, index, lastAnchor);
+        lastAnchor = index;
+        if (!name) return;
+
+        const quantity = Math.max(1, parseQuantity(line) || 1);
+        let unitPrice = 0;
+
+        // "$24.99 / ea" or "$24.99 each" is already a unit price
+        const eachMatch = /\$\s*\d+[.,]\d{2}\s*(\/\s*ea|each)/i.test(line);
+        if (eachMatch) {
+            unitPrice = parsePrice(line);
+        } else {
+            for (let i = index; i < Math.min(lines.length, index + 3); i++) {
+                if (SUMMARY_LINE_PATTERN.test(lines[i])) break;
+                const price = parsePrice(lines[i]);
+                if (price !== null) {
+                    unitPrice = priceIsLineTotal ? Math.round((price / quantity) * 100) / 100 : price;
+                    break;
+                }
+            }
+        }
+
+        items.push({ name, unitPrice, quantity });
+    });
+
+    return items;
+}
+
+function toAmount(value) {
+    return parseFloat(/,\d{3}/.test(value) ? value.replace(/,/g, '') : value.replace(',', '.'));
+}
+
+/**
+ * Read a date from a line as YYYY-MM-DD
+ * @param {string} line - Receipt line
+ * @returns {string|null}
+ */
+export function parseDate(line) {
+    let year, month, day;
+
+    const long = line.match(LONG_DATE_PATTERN);
+    if (long) {
+        month = MONTHS.indexOf(long[1].toLowerCase()) + 1;
+        day = parseInt(long[2], 10);
+        year = parseInt(long[3], 10);
+    } else {
+        const numeric = line.match(NUMERIC_DATE_PATTERN);
+        if (!numeric) return null;
+        month = parseInt(numeric[1], 10);
+        day = parseInt(numeric[2], 10);
+        year = parseInt(numeric[3], 10);
+        if (year < 100) year += 2000;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Read order-level details: order number, order date and the order summary amounts
+ * @param {Array<string>} lines - Receipt lines
+ * @returns {Object} { orderNumber, orderDate, subtotal, tax, shipping, total } (amounts in dollars, null when missing)
+ */
+export function parseOrderSummary(lines) {
+    const summary = { orderNumber: null, orderDate: null, subtotal: null, tax: null, shipping: null, total: null };
+    let firstDate = null;
+
+    for (const line of lines) {
+        if (!summary.orderNumber) {
+            const match = line.match(ORDER_NUMBER_PATTERN);
+            if (match && /\d/.test(match[1])) summary.orderNumber = match[1];
+        }
+
+        const date = parseDate(line);
+        if (date) {
+            firstDate = firstDate || date;
+            // Prefer the date labelled as the order date over delivery/return dates
+            if (!summary.orderDate && /order|placed|purchase|date/i.test(line)) summary.orderDate = date;
+        }
+
+        if (summary.subtotal === null) {
+            const match = line.match(SUBTOTAL_PATTERN);
+            if (match) {
+                summary.subtotal = toAmount(match[1]);
+                continue;
+            }
+        }
+
+        // "Total before tax" is neither the tax nor the order total
+        if (/before\s+tax/i.test(line)) continue;
+
+        if (summary.tax === null) {
+            const match = line.match(TAX_PATTERN);
+            if (match) {
+                summary.tax = toAmount(match[1]);
+                continue;
+            }
+        }
+
+        if (summary.shipping === null) {
+            if (/(shipping|delivery)[^\d$]*\bfree\b/i.test(line)) {
+                summary.shipping = 0;
+                continue;
+            }
+            const match = line.match(SHIPPING_PATTERN);
+            if (match) {
+                summary.shipping = toAmount(match[5]);
+                continue;
+            }
+        }
+
+        const total = line.match(TOTAL_PATTERN);
+        if (total && !/sub\s*total/i.test(line)) {
+            // The last total printed is the grand total
+            summary.total = toAmount(total[2]);
+        }
+    }
+
+    summary.orderDate = summary.orderDate || firstDate;
+    return summary;
+}
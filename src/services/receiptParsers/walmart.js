@@ -0,0 +1,25 @@
+// Walmart Receipt Parser - walmart.com order details
+
+import { parseQuantityAnchoredItems } from './utils.js';
+
+export const walmartParser = {
+    retailer: 'walmart',
+
+    /**
+     * @param {string} text - Raw OCR text
+     * @returns {boolean}
+     */
+    detect(text) {
+        return /wal-?mart/i.test(text) && /^(qty|quantity)\b/im.test(text);
+    },
+
+    /**
+     * Items are "<name>", "Qty 2", then the line total for all units
+     * @param {Array<string>} lines - Receipt lines
+     * @returns {Object|null} { items } or null if no items were found
+     */
+    parse(lines) {
+        const items = parseQuantityAnchoredItems(lines, true);
+        return items.length ? { items } : null;
+    }
+};
@@ -0,0 +1,161 @@
+// Return Policies Service - Retailer return windows used for return deadlines
+
+import { getSettings, updateSettings } from './settings.js';
+
+/**
+ * Built-in retailer return policies
+ * - days: standard return window from the purchase date
+ * - holiday: optional extended window; purchases between `from` and `to` (inclusive,
+ *   [month 0-11, day]) can be returned until `returnBy` of the following year
+ * - patterns: how the retailer is recognised in receipt/CSV text
+ */
+export const DEFAULT_RETURN_POLICIES = {
+    amazon: {
+        name: 'Amazon',
+        days: 30,
+        holiday: { from: [10, 1], to: [11, 31], returnBy: [0, 31] },
+        patterns: [/amazon/i, /\bamzn\b/i]
+    },
+    target: {
+        name: 'Target',
+        days: 90,
+        patterns: [/\btarget\b/i]
+    },
+    walmart: {
+        name: 'Walmart',
+        days: 90,
+        patterns: [/walmart/i, /wal-mart/i]
+    },
+    costco: {
+        name: 'Costco',
+        days: 90,
+        patterns: [/costco/i]
+    },
+    bestbuy: {
+        name: 'Best Buy',
+        days: 15,
+        holiday: { from: [10, 1], to: [11, 31], returnBy: [0, 14] },
+        patterns: [/best\s*buy/i]
+    },
+    homedepot: {
+        name: 'Home Depot',
+        days: 90,
+        patterns: [/home\s*depot/i]
+    },
+    lowes: {
+        name: "Lowe's",
+        days: 90,
+        patterns: [/lowe'?s\b/i]
+    },
+    kohls: {
+        name: "Kohl's",
+        days: 180,
+        patterns: [/kohl'?s\b/i]
+    },
+    other: {
+        name: 'Other',
+        days: 30,
+        patterns: []
+    }
+};
+
+/**
+ * Get the policy table with the user's configured windows applied
+ * @returns {Object} Retailer key -> policy
+ */
+export function getReturnPolicies() {
+    const { returnWindows } = getSettings();
+    const policies = {};
+
+    for (const [key, policy] of Object.entries(DEFAULT_RETURN_POLICIES)) {
+        const days = returnWindows[key];
+        policies[key] = Number.isInteger(days) && days >= 0 ? { ...policy, days } : policy;
+    }
+
+    return policies;
+}
+
+/**
+ * Get the policy for a retailer, falling back to 'other'
+ * @param {string|null} retailer - Retailer key
+ * @returns {Object} Policy
+ */
+export function getReturnPolicy(retailer) {
+    const policies = getReturnPolicies();
+    return policies[retailer] || policies.other;
+}
+
+/**
+ * Set the configured return window for a retailer
+ * @param {string} retailer - Retailer key
+ * @param {number|null} days - Window in days, or null to restore the default
+ */
+export function setReturnWindow(retailer, days) {
+    const returnWindows = { ...getSettings().returnWindows };
+    if (days === null || days === undefined) {
+        delete returnWindows[retailer];
+    } else {
+        returnWindows[retailer] = days;
+    }
+    updateSettings({ returnWindows });
+}
+
+/**
+ * Get a display name for a retailer key (unknown retailers are shown as stored)
+ * @param {string|null} retailer - Retailer key
+ * @returns {string}
+ */
+export function getRetailerName(retailer) {
+    if (!retailer) return '';
+    return DEFAULT_RETURN_POLICIES[retailer]?.name || retailer;
+}
+
+/**
+ * Recognise a retailer from free text (receipt OCR, CSV store column)
+ * @param {string} text - Text to search
+ * @returns {string|null} Retailer key or null
+ */
+export function detectRetailer(text) {
+    if (!text) return null;
+
+    for (const [key, policy] of Object.entries(DEFAULT_RETURN_POLICIES)) {
+        if (policy.patterns.some(pattern => pattern.test(text))) {
+            return key;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calculate a return deadline
+ * @param {Date} purchaseDate - Purchase date
+ * @param {string|null} retailer - Retailer key
+ * @param {number|null} overrideDays - Per-lot window overriding the retailer policy
+ * @returns {Date} Return deadline date
+ */
+export function calculateReturnDeadline(purchaseDate, retailer, overrideDays = null) {
+    const deadline = new Date(purchaseDate);
+
+    if (Number.isInteger(overrideDays) && overrideDays >= 0) {
+        deadline.setDate(deadline.getDate() + overrideDays);
+        return deadline;
+    }
+
+    const policy = getReturnPolicy(retailer);
+    deadline.setDate(deadline.getDate() + policy.days);
+
+    if (policy.holiday) {
+        const year = purchaseDate.getFullYear();
+        const { from, to, returnBy } = policy.holiday;
+        const start = new Date(year, from[0], from[1]);
+        const end = new Date(year, to[0], to[1], 23, 59, 59, 999);
+
+        if (purchaseDate >= start && purchaseDate <= end) {
+            const holidayDeadline = new Date(year + 1, returnBy[0], returnBy[1]);
+            if (holidayDeadline > deadline) return holidayDeadline;
+        }
+    }
+
+    return deadline;
+}
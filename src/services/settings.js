@@ -0,0 +1,48 @@
+// Settings Service - User preferences persisted in localStorage
+
+const SETTINGS_KEY = 'reselltracker_settings';
+
+const DEFAULT_SETTINGS = {
+    // Retailer key -> return window in days, overriding the built-in policy table
+    returnWindows: {},
+    // Days before a return deadline that a lot shows up in the dashboard alerts
+    returnAlertDays: 3,
+    // Opt-in: service worker notifications before return deadlines
+    returnReminders: false,
+    // Re-run OCR with alternative image preprocessing when no product name is found
+    ocrRetry: true,
+    // Source name -> { mapping: field key -> CSV header } saved from the import wizard
+    csvMappingProfiles: {}
+};
+
+/**
+ * Get all settings, with defaults filled in
+ * @returns {Object} Settings
+ */
+export function getSettings() {
+    try {
+        const raw = localStorage.getItem(SETTINGS_KEY);
+        return { ...DEFAULT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) };
+    } catch (e) {
+        console.error('Failed to read settings:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Update some settings
+ * @param {Object} updates - Settings to change
+ * @returns {Object} The new settings
+ */
+export function updateSettings(updates) {
+    const settings = { ...getSettings(), ...updates };
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.error('Failed to save settings:', e);
+        window.dispatchEvent(new CustomEvent('storage-error', {
+            detail: { message: 'Your settings could not be saved.', error: e }
+        }));
+    }
+    return settings;
+}
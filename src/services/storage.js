@@ -1,53 +1,557 @@
-// Storage Service - localStorage wrapper with data persistence
+// Storage Service - IndexedDB-backed store with an in-memory cache
 
-const STORAGE_KEY = 'reselltracker_data';
-const STORAGE_VERSION = 2; // Bumped for per-unit cost changes
+const LEGACY_STORAGE_KEY = 'reselltracker_data';
+const MAX_BACKUPS = 3;
+const MAX_HISTORY = 200;
 
-import { saveLotToCloud, deleteLotFromCloud } from './firebaseSync.js';
+import { saveLotToCloud, deleteLotFromCloud, saveOcrDictionaryToCloud } from './firebaseSync.js';
 import { auth } from './firebase.js';
+import { calculateSaleBreakdown, calculateRefund, getNetSale, getReturnableUnits, getRetailerReturnCost, getPlatformName, formatCurrency } from './calculations.js';
+import { getAll, getRecord, writeTransaction } from './idb.js';
+import { CURRENT_VERSION as STORAGE_VERSION, needsMigration, migrateData } from './migrations.js';
+import { calculateReturnDeadline } from './returnPolicies.js';
+import { getSettings } from './settings.js';
+import { getOcrDictionary, setOcrDictionary, learnFromNameCorrection, mergeDictionaries } from './ocrDictionary.js';
+
+// All reads are served from this cache; writes update it synchronously and
+// are persisted to IndexedDB in the background
+let cache = null;
+
+// Change log entries, oldest first, and the group collecting changes for a batch operation
+let history = [];
+let activeGroup = null;
+let groupDepth = 0; // Open beginChangeGroup() calls, so nested groups join the outermost
 
 /**
- * Get the current storage data structure
+ * Load storage into memory. Must resolve before any view renders.
+ * Performs the one-time migration from the legacy localStorage blob and
+ * runs any pending schema migrations.
  */
-function getStorageData() {
+export async function initStorage() {
+    let data;
     try {
-        const raw = localStorage.getItem(STORAGE_KEY);
-        if (!raw) {
-            return { version: STORAGE_VERSION, lots: [] };
-        }
-        const data = JSON.parse(raw);
-        // Migration from v1 to v2: add unitCost and remaining
-        if (data.version < 2) {
-            data.lots = data.lots.map(lot => ({
-                ...lot,
-                unitCost: lot.unitCost || lot.cost, // v1 stored total cost as 'cost'
-                totalCost: lot.cost,
-                remaining: lot.sale ? 0 : (lot.quantity || 1),
-                sales: lot.sale ? [{
-                    ...lot.sale,
-                    unitsSold: lot.quantity || 1
-                }] : []
-            }));
-            data.version = 2;
-            saveStorageData(data);
+        await migrateFromLocalStorage();
+        data = await loadFromDatabase();
+    } catch (e) {
+        reportStorageError('Could not open the local database. Changes made now will not be saved.', e);
+        data = readLegacyData() || { version: STORAGE_VERSION, lots: [] };
+        try {
+            cache = needsMigration(data) ? migrateData(data) : data;
+        } catch (migrationError) {
+            console.error(migrationError);
+            cache = data;
         }
-        return data;
+        return;
+    }
+
+    cache = await runMigrations(data);
+
+    try {
+        history = (await getAll('history')).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    } catch (e) {
+        console.error('Failed to load change history:', e);
+    }
+
+    try {
+        setOcrDictionary((await getRecord('meta', 'ocrDictionary'))?.value);
+    } catch (e) {
+        console.error('Failed to load OCR dictionary:', e);
+    }
+}
+
+/**
+ * Upgrade stored data to the current schema version.
+ * A backup snapshot is written first; the migrated data replaces the stored data
+ * in a single transaction, so a migration that throws leaves storage untouched.
+ * @param {Object} data - Storage data as loaded
+ * @returns {Promise<Object>} Migrated data, or the original data if migrating failed
+ */
+async function runMigrations(data) {
+    if (!needsMigration(data)) return data;
+
+    try {
+        await saveBackup(data);
+        const migrated = migrateData(data);
+        await writeTransaction(['lots', 'sales', 'images', 'meta'], (stores) => {
+            stores.lots.clear();
+            stores.sales.clear();
+            stores.images.clear();
+            migrated.lots.forEach(lot => putLotRecords(stores, lot, true));
+            stores.meta.put({ key: 'version', value: migrated.version });
+        });
+        return migrated;
     } catch (e) {
-        console.error('Failed to read storage:', e);
+        reportStorageError(`Upgrading your data failed, so it was left unchanged at v${data.version}. ${e.message}`, e);
+        return data;
+    }
+}
+
+/**
+ * Snapshot data into the backups store, keeping only the newest few
+ */
+async function saveBackup(data) {
+    const existing = await getAll('backups');
+    const stale = existing
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(MAX_BACKUPS - 1);
+
+    const createdAt = new Date().toISOString();
+    await writeTransaction(['backups'], (stores) => {
+        stale.forEach(backup => stores.backups.delete(backup.id));
+        stores.backups.put({ id: `v${data.version}-${createdAt}`, createdAt, fromVersion: data.version, data });
+    });
+}
+
+/**
+ * List pre-migration backup snapshots, newest first
+ * @returns {Promise<Array>} Array of { id, createdAt, fromVersion }
+ */
+export async function getBackups() {
+    const backups = await getAll('backups');
+    return backups
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(({ id, createdAt, fromVersion }) => ({ id, createdAt, fromVersion }));
+}
+
+/**
+ * Roll storage back to a pre-migration backup, then re-run migrations on it
+ * @param {string} id - Backup ID
+ * @returns {Promise<boolean>} True if restored
+ */
+export async function restoreBackup(id) {
+    const backup = await getRecord('backups', id);
+    if (!backup) return false;
+
+    await writeTransaction(['lots', 'sales', 'images', 'meta'], (stores) => {
+        stores.lots.clear();
+        stores.sales.clear();
+        stores.images.clear();
+        backup.data.lots.forEach(lot => putLotRecords(stores, lot, true));
+        stores.meta.put({ key: 'version', value: backup.data.version });
+    });
+
+    cache = await runMigrations(backup.data);
+    return true;
+}
+
+/**
+ * Get the current storage data structure
+ */
+function getStorageData() {
+    if (!cache) {
         return { version: STORAGE_VERSION, lots: [] };
     }
+    return cache;
 }
 
 /**
- * Save the entire storage data structure
+ * Read the legacy single-key localStorage data, as stored (not migrated)
+ * @returns {Object|null} Storage data or null if there is none
  */
-function saveStorageData(data) {
+function readLegacyData() {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-        return true;
+        const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!raw) return null;
+        const data = JSON.parse(raw);
+        data.version = data.version || 1;
+        return data;
     } catch (e) {
-        console.error('Failed to save storage:', e);
-        return false;
+        console.error('Failed to read legacy storage:', e);
+        return null;
+    }
+}
+
+/**
+ * Move the legacy localStorage blob into IndexedDB, then remove it
+ */
+async function migrateFromLocalStorage() {
+    const data = readLegacyData();
+    if (!data) return;
+
+    const migrated = await getRecord('meta', 'migratedFromLocalStorage');
+    if (!migrated) {
+        await writeTransaction(['lots', 'sales', 'images', 'meta'], (stores) => {
+            data.lots.forEach(lot => putLotRecords(stores, lot, true));
+            stores.meta.put({ key: 'version', value: data.version });
+            stores.meta.put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+        });
+    }
+
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+}
+
+/**
+ * Assemble lots (with embedded sales and images) from the object stores
+ */
+async function loadFromDatabase() {
+    const [lotRecords, saleRecords, imageRecords, versionRecord] = await Promise.all([
+        getAll('lots'),
+        getAll('sales'),
+        getAll('images'),
+        getRecord('meta', 'version')
+    ]);
+
+    const salesByLot = new Map();
+    saleRecords
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .forEach(({ lotId, ...sale }) => {
+            if (!salesByLot.has(lotId)) salesByLot.set(lotId, []);
+            salesByLot.get(lotId).push(sale);
+        });
+
+    const imagesByLot = new Map(imageRecords.map(image => [image.lotId, image.imageData]));
+
+    const lots = lotRecords
+        .map(lot => ({
+            ...lot,
+            imageData: imagesByLot.get(lot.id) || null,
+            // v1 lots moved from localStorage keep their single sale until migrating lists it
+            sales: salesByLot.get(lot.id) || (lot.sale ? undefined : [])
+        }))
+        .sort(compareLotsNewestFirst);
+
+    if (versionRecord) {
+        return { version: versionRecord.value, lots };
+    }
+
+    // A database with lots but no version predates versioning and holds v2 data
+    if (lots.length > 0) {
+        return { version: 2, lots };
+    }
+
+    await writeTransaction(['meta'], (stores) => {
+        stores.meta.put({ key: 'version', value: STORAGE_VERSION });
+    });
+    return { version: STORAGE_VERSION, lots };
+}
+
+/**
+ * Sort comparator: newest first, matching the order lots are added in
+ */
+function compareLotsNewestFirst(a, b) {
+    return (b.dateAdded || '').localeCompare(a.dateAdded || '') || b.id.localeCompare(a.id);
+}
+
+/**
+ * Queue puts for a lot, its sales and (optionally) its image in an open transaction.
+ * Sales stored for the lot that are no longer on it are removed.
+ */
+function putLotRecords(stores, lot, includeImage) {
+    const { sales = [], imageData = null, ...lotRecord } = lot;
+    stores.lots.put(lotRecord);
+
+    const saleIds = new Set(sales.map(sale => sale.id));
+    stores.sales.index('lotId').openKeyCursor(IDBKeyRange.only(lot.id)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (!saleIds.has(cursor.primaryKey)) stores.sales.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+    sales.forEach(sale => stores.sales.put({ ...sale, lotId: lot.id }));
+
+    if (includeImage) {
+        if (imageData) {
+            stores.images.put({ lotId: lot.id, imageData });
+        } else {
+            stores.images.delete(lot.id);
+        }
+    }
+}
+
+/**
+ * Persist a single lot
+ * @param {Object} lot - Lot object (with sales and imageData)
+ * @param {boolean} includeImage - Whether the thumbnail changed and needs writing
+ */
+function persistLot(lot, includeImage = false) {
+    writeTransaction(['lots', 'sales', 'images'], (stores) => {
+        putLotRecords(stores, lot, includeImage);
+    }).catch(e => reportStorageError(getSaveErrorMessage(e), e));
+}
+
+/**
+ * Remove a lot and everything stored for it
+ * @param {string} id - Lot ID
+ */
+function persistLotDeletion(id) {
+    writeTransaction(['lots', 'sales', 'images'], (stores) => {
+        stores.lots.delete(id);
+        stores.images.delete(id);
+        stores.sales.index('lotId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            stores.sales.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    }).catch(e => reportStorageError(getSaveErrorMessage(e), e));
+}
+
+/**
+ * Replace every stored lot
+ * @param {Array} lots - Lots to store
+ */
+function persistAllLots(lots) {
+    writeTransaction(['lots', 'sales', 'images'], (stores) => {
+        stores.lots.clear();
+        stores.sales.clear();
+        stores.images.clear();
+        lots.forEach(lot => putLotRecords(stores, lot, true));
+    }).catch(e => reportStorageError(getSaveErrorMessage(e), e));
+}
+
+/**
+ * Build a user-facing message for a rejected save
+ */
+function getSaveErrorMessage(error) {
+    if (error?.name === 'QuotaExceededError') {
+        return 'Your last change was NOT saved: this device is out of storage space. Free up space or delete old lots and try again.';
+    }
+    return `Your last change was NOT saved: ${error?.message || 'the local database rejected the write'}.`;
+}
+
+/**
+ * Surface a storage failure to the app (shown to the user by main.js)
+ */
+function reportStorageError(message, error) {
+    console.error(message, error);
+    window.dispatchEvent(new CustomEvent('storage-error', { detail: { message, error } }));
+}
+
+// === Change History ===
+
+/**
+ * Snapshot a lot for the change log (deep copy, so later edits can't alter it)
+ */
+function snapshotLot(lot) {
+    return lot ? structuredClone(lot) : null;
+}
+
+/**
+ * Append changes to the log. Inside a change group they are collected into the
+ * group's single entry instead.
+ * @param {string} action - Machine-readable action, e.g. 'delete-lot'
+ * @param {string} summary - Human-readable description
+ * @param {Array} changes - Array of { lotId, before, after } lot snapshots (null = absent)
+ */
+function logChange(action, summary, changes) {
+    if (activeGroup) {
+        // Collapse repeated changes to one lot into a single before/after pair
+        changes.forEach(change => {
+            const existing = activeGroup.changes.get(change.lotId);
+            if (existing) {
+                existing.after = change.after;
+            } else {
+                activeGroup.changes.set(change.lotId, { ...change });
+            }
+        });
+        return;
+    }
+
+    const entry = {
+        id: generateId(),
+        timestamp: new Date().toISOString(),
+        action,
+        summary,
+        user: auth.currentUser?.email || 'This device',
+        changes,
+        undone: false
+    };
+
+    history.push(entry);
+    persistHistoryEntry(entry);
+
+    // Prune the oldest entries
+    if (history.length > MAX_HISTORY) {
+        const pruned = history.splice(0, history.length - MAX_HISTORY);
+        writeTransaction(['history'], (stores) => {
+            pruned.forEach(old => stores.history.delete(old.id));
+        }).catch(e => console.error('Failed to prune change history:', e));
+    }
+}
+
+/**
+ * Save (or update) a change log entry
+ */
+function persistHistoryEntry(entry) {
+    writeTransaction(['history'], (stores) => {
+        stores.history.put(entry);
+    }).catch(e => reportStorageError(getSaveErrorMessage(e), e));
+}
+
+/**
+ * Collect every mutation until endChangeGroup() into one change log entry,
+ * so a batch operation (e.g. a CSV import) can be undone in one step.
+ * Call endChangeGroup() in a finally block, or later changes stay in the group.
+ * A group begun inside another joins the outer one.
+ * @param {string} action - Machine-readable action
+ * @param {string} summary - Human-readable description
+ */
+export function beginChangeGroup(action, summary) {
+    groupDepth++;
+    if (activeGroup) return;
+    activeGroup = { action, summary, changes: new Map() };
+}
+
+/**
+ * Close the current change group and log it
+ * @param {string} summary - Optional final summary (e.g. including counts)
+ * @returns {Object|null} The logged entry, or null if nothing changed or the group is nested
+ */
+export function endChangeGroup(summary = null) {
+    if (groupDepth === 0) return null;
+    groupDepth--;
+    if (groupDepth > 0) return null;
+
+    const group = activeGroup;
+    activeGroup = null;
+    if (!group || group.changes.size === 0) return null;
+
+    logChange(group.action, summary || group.summary, [...group.changes.values()]);
+    return getLastChange();
+}
+
+/**
+ * Get the change log, newest first
+ * @returns {Array} Change log entries
+ */
+export function getHistory() {
+    return [...history].reverse();
+}
+
+/**
+ * Get the most recent change log entry
+ * @returns {Object|null}
+ */
+export function getLastChange() {
+    return history[history.length - 1] || null;
+}
+
+/**
+ * Check that every lot in an entry is still in the given state (before/after),
+ * i.e. nothing has changed it since
+ */
+function lotsMatch(entry, side) {
+    return entry.changes.every(change => {
+        const current = getLotById(change.lotId);
+        return stableStringify(current) === stableStringify(change[side]);
+    });
+}
+
+/**
+ * JSON-serialize with sorted keys, so lots round-tripped through the cloud compare equal
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Check whether an entry can be undone without clobbering later changes
+ * @param {Object} entry - Change log entry
+ * @returns {boolean}
+ */
+export function canUndo(entry) {
+    return !!entry && !entry.undone && lotsMatch(entry, 'after');
+}
+
+/**
+ * Check whether an undone entry can be re-applied
+ * @param {Object} entry - Change log entry
+ * @returns {boolean}
+ */
+export function canRedo(entry) {
+    return !!entry && entry.undone && lotsMatch(entry, 'before');
+}
+
+/**
+ * Get the most recent entry that can be undone
+ * @returns {Object|null}
+ */
+export function getUndoableChange() {
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (!history[i].undone) return canUndo(history[i]) ? history[i] : null;
+    }
+    return null;
+}
+
+/**
+ * Get the most recently undone entry that can be redone
+ * @returns {Object|null}
+ */
+export function getRedoableChange() {
+    const undone = history.filter(entry => entry.undone);
+    const latest = undone.sort((a, b) => (b.undoneAt || '').localeCompare(a.undoneAt || ''))[0];
+    return canRedo(latest) ? latest : null;
+}
+
+/**
+ * Undo a change log entry by restoring its before snapshots
+ * @param {string} entryId - Entry ID
+ * @returns {boolean} True if undone
+ */
+export function undoChange(entryId) {
+    const entry = history.find(e => e.id === entryId);
+    if (!canUndo(entry)) return false;
+
+    [...entry.changes].reverse().forEach(change => applyLotSnapshot(change.lotId, change.before));
+    entry.undone = true;
+    entry.undoneAt = new Date().toISOString();
+    persistHistoryEntry(entry);
+    return true;
+}
+
+/**
+ * Redo an undone change log entry by re-applying its after snapshots
+ * @param {string} entryId - Entry ID
+ * @returns {boolean} True if redone
+ */
+export function redoChange(entryId) {
+    const entry = history.find(e => e.id === entryId);
+    if (!canRedo(entry)) return false;
+
+    entry.changes.forEach(change => applyLotSnapshot(change.lotId, change.after));
+    entry.undone = false;
+    delete entry.undoneAt;
+    persistHistoryEntry(entry);
+    return true;
+}
+
+/**
+ * Put a lot back into a snapshotted state (null removes it)
+ */
+function applyLotSnapshot(lotId, snapshot) {
+    const data = getStorageData();
+    const index = data.lots.findIndex(lot => lot.id === lotId);
+
+    if (!snapshot) {
+        if (index === -1) return;
+        data.lots.splice(index, 1);
+        persistLotDeletion(lotId);
+        if (auth.currentUser) {
+            deleteLotFromCloud(lotId);
+        }
+        return;
+    }
+
+    const lot = structuredClone(snapshot);
+    if (index === -1) {
+        data.lots.push(lot);
+        data.lots.sort(compareLotsNewestFirst);
+    } else {
+        data.lots[index] = lot;
+    }
+    persistLot(lot, true);
+    if (auth.currentUser) {
+        saveLotToCloud(lot);
     }
 }
 
@@ -73,7 +577,7 @@ export function getLots() {
 export function setLots(lots) {
     const data = getStorageData();
     data.lots = lots;
-    saveStorageData(data);
+    persistAllLots(lots);
 }
 
 /**
@@ -86,16 +590,37 @@ export function getLotById(id) {
     return lots.find(lot => lot.id === id) || null;
 }
 
+/**
+ * Convert an optional dollar amount to cents
+ * @param {number|null} dollars - Amount in dollars
+ * @returns {number|null} Amount in cents, or null when missing
+ */
+function toOptionalCents(dollars) {
+    return typeof dollars === 'number' && !isNaN(dollars) ? Math.round(dollars * 100) : null;
+}
+
 /**
  * Save a new lot
- * @param {Object} lotData - Lot data (name, cost, quantity, imageData)
+ * @param {Object} lotData - Lot data (name, cost, quantity, purchaseDate, imageData, retailer, returnWindowDays,
+ *   order: { number, date, subtotal, tax, shipping } in dollars, allocatedTax, allocatedShipping in dollars,
+ *   upc: normalized UPC/EAN digits, externalId and importFingerprint: identify rows imported from CSV)
  * @returns {Object} The created lot with ID and timestamps
  */
 export function saveLot(lotData) {
     const data = getStorageData();
     const quantity = lotData.quantity || 1;
-    const totalCostCents = Math.round(lotData.cost * 100);
+    // The lot's share of order tax and shipping is part of its cost basis
+    const allocatedTaxCents = toOptionalCents(lotData.allocatedTax) || 0;
+    const allocatedShippingCents = toOptionalCents(lotData.allocatedShipping) || 0;
+    const totalCostCents = Math.round(lotData.cost * 100) + allocatedTaxCents + allocatedShippingCents;
     const unitCostCents = Math.round(totalCostCents / quantity);
+    const order = lotData.order ? {
+        number: lotData.order.number || null,
+        date: lotData.order.date || null,
+        subtotal: toOptionalCents(lotData.order.subtotal),
+        tax: toOptionalCents(lotData.order.tax),
+        shipping: toOptionalCents(lotData.order.shipping)
+    } : null;
 
     const newLot = {
         id: generateId(),
@@ -107,35 +632,43 @@ export function saveLot(lotData) {
         dateAdded: new Date().toISOString(),
         purchaseDate: lotData.purchaseDate || new Date().toISOString().split('T')[0],
         imageData: lotData.imageData || null,
+        retailer: lotData.retailer || null,
+        upc: lotData.upc || null,
+        externalId: lotData.externalId || null,
+        importFingerprint: lotData.importFingerprint || null,
+        returnWindowDays: Number.isInteger(lotData.returnWindowDays) ? lotData.returnWindowDays : null,
+        order,
+        allocatedTax: allocatedTaxCents,
+        allocatedShipping: allocatedShippingCents,
         sales: [],
-        returnDismissed: false
+        returnDismissed: false,
+        returnSnoozedUntil: null
     };
 
     data.lots.unshift(newLot);
-    saveStorageData(data);
+    persistLot(newLot, true);
 
     // Cloud sync
     if (auth.currentUser) {
         saveLotToCloud(newLot);
     }
 
+    logChange('add-lot', `Added "${newLot.name}"`, [{ lotId: newLot.id, before: null, after: snapshotLot(newLot) }]);
+
     return newLot;
 }
 
 /**
- * Update an existing lot
- * @param {string} id - Lot ID
- * @param {Object} updates - Fields to update
- * @returns {Object|null} Updated lot or null if not found
+ * Apply updates to a lot and persist them, without logging
  */
-export function updateLot(id, updates) {
+function applyLotUpdate(id, updates) {
     const data = getStorageData();
     const index = data.lots.findIndex(lot => lot.id === id);
 
     if (index === -1) return null;
 
     data.lots[index] = { ...data.lots[index], ...updates };
-    saveStorageData(data);
+    persistLot(data.lots[index], 'imageData' in updates);
 
     // Cloud sync
     if (auth.currentUser) {
@@ -145,13 +678,65 @@ export function updateLot(id, updates) {
     return data.lots[index];
 }
 
+/**
+ * Apply updates to a lot and record the change in the change log
+ * @returns {Object|null} Updated lot or null if not found
+ */
+function commitLotUpdate(action, summary, id, updates) {
+    const before = snapshotLot(getLotById(id));
+    const updated = applyLotUpdate(id, updates);
+    if (!updated) return null;
+
+    logChange(action, summary, [{ lotId: id, before, after: snapshotLot(updated) }]);
+    return updated;
+}
+
+/**
+ * Update an existing lot
+ * @param {string} id - Lot ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated lot or null if not found
+ */
+export function updateLot(id, updates) {
+    const lot = getLotById(id);
+    if (!lot) return null;
+    return commitLotUpdate('update-lot', `Edited "${lot.name}"`, id, updates);
+}
+
+/**
+ * Update a lot's purchase details in dollars, keeping unit cost and remaining units in step
+ * @param {string} id - Lot ID
+ * @param {Object} lotData - Any of name, cost (before allocated tax and shipping), quantity,
+ *   purchaseDate, retailer, upc, externalId, importFingerprint
+ * @returns {Object|null} Updated lot, or null if not found or the quantity is below the units already gone
+ */
+export function updateLotDetails(id, lotData) {
+    const lot = getLotById(id);
+    if (!lot) return null;
+
+    const quantity = lotData.quantity ?? lot.quantity;
+    const remaining = lot.remaining + (quantity - lot.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || remaining < 0) return null;
+
+    const totalCost = typeof lotData.cost === 'number'
+        ? Math.round(lotData.cost * 100) + (lot.allocatedTax || 0) + (lot.allocatedShipping || 0)
+        : lot.totalCost;
+
+    const updates = { quantity, remaining, totalCost, unitCost: Math.round(totalCost / quantity) };
+    for (const field of ['name', 'purchaseDate', 'retailer', 'upc', 'externalId', 'importFingerprint']) {
+        if (lotData[field] !== undefined) updates[field] = lotData[field];
+    }
+
+    return commitLotUpdate('update-lot', `Edited "${lot.name}"`, id, updates);
+}
+
 /**
  * Record a sale for a lot (partial or full)
  * @param {string} id - Lot ID
  * @param {number} pricePerUnit - Sale price per unit in dollars
  * @param {number} unitsSold - Number of units being sold
- * @param {string} platform - 'facebook' or 'ebay'
- * @param {number} shippingCost - Shipping cost in dollars (for eBay)
+ * @param {string} platform - Platform key from PLATFORMS
+ * @param {number} shippingCost - Shipping cost in dollars (platforms with shipping)
  * @param {string} saleDateStr - Optional sale date in YYYY-MM-DD format
  * @returns {Object|null} Updated lot or null if not found
  */
@@ -161,30 +746,27 @@ export function recordSale(id, pricePerUnit, unitsSold, platform, shippingCost =
     if (unitsSold > lot.remaining) return null;
 
     const pricePerUnitCents = Math.round(pricePerUnit * 100);
-    const totalSalePrice = pricePerUnitCents * unitsSold;
-    const feeRate = platform === 'ebay' ? 0.135 : 0;
-    const fees = Math.round(totalSalePrice * feeRate);
     const shippingCostCents = Math.round(shippingCost * 100);
-    const costBasis = lot.unitCost * unitsSold;
-    const profit = totalSalePrice - costBasis - fees - shippingCostCents;
+    const breakdown = calculateSaleBreakdown(lot.unitCost, unitsSold, pricePerUnitCents, platform, shippingCostCents);
 
     const saleRecord = {
         id: generateId(),
         unitsSold,
         pricePerUnit: pricePerUnitCents,
-        totalPrice: totalSalePrice,
+        totalPrice: breakdown.gross,
         platform,
-        fees,
-        shippingCost: shippingCostCents,
-        costBasis,
-        profit,
+        fees: breakdown.fees,
+        shippingCost: breakdown.shippingCost,
+        costBasis: breakdown.costBasis,
+        profit: breakdown.profit,
+        breakdown,
         dateSold: saleDateStr ? new Date(saleDateStr + 'T12:00:00').toISOString() : new Date().toISOString()
     };
 
     const updatedSales = [...(lot.sales || []), saleRecord];
     const updatedRemaining = lot.remaining - unitsSold;
 
-    return updateLot(id, {
+    return commitLotUpdate('record-sale', `Sold ${unitsSold} × "${lot.name}" on ${getPlatformName(platform)}`, id, {
         sales: updatedSales,
         remaining: updatedRemaining
     });
@@ -208,22 +790,66 @@ export function deleteSale(lotId, saleId) {
     if (saleIndex === -1) return null;
 
     const sale = lot.sales[saleIndex];
+    // Units already restocked by a buyer return are back in inventory
+    const unitsToRestore = getNetSale(sale).unitsSold;
 
     // Data corruption check: remaining + restored units shouldn't exceed original quantity
-    if (lot.remaining + sale.unitsSold > lot.quantity) {
+    if (lot.remaining + unitsToRestore > lot.quantity) {
         console.error('Corruption check failed: Deleting this sale would exceed original quantity');
         return null;
     }
 
-    const updatedRemaining = lot.remaining + sale.unitsSold;
+    const updatedRemaining = lot.remaining + unitsToRestore;
     const updatedSales = lot.sales.filter(s => s.id !== saleId);
 
-    return updateLot(lotId, {
+    return commitLotUpdate('delete-sale', `Deleted a sale of ${sale.unitsSold} × "${lot.name}"`, lotId, {
         remaining: updatedRemaining,
         sales: updatedSales
     });
 }
 
+/**
+ * Record a buyer refund, return or cancellation against a sale
+ * @param {string} lotId - Lot ID
+ * @param {string} saleId - Sale record ID
+ * @param {Object} refundData - Amounts in dollars:
+ *   { amount, unitsReturned, restocked, nonRefundableFees, returnShipping, dateStr (YYYY-MM-DD) }
+ * @returns {Object|null} Updated lot or null if not found or invalid
+ */
+export function recordRefund(lotId, saleId, refundData) {
+    const lot = getLotById(lotId);
+    if (!lot) return null;
+
+    const sale = lot.sales.find(s => s.id === saleId);
+    if (!sale) return null;
+
+    const net = getNetSale(sale);
+    const amountCents = Math.round((refundData.amount || 0) * 100);
+    const unitsReturned = refundData.unitsReturned || 0;
+
+    // Can't refund more than is left on the sale or return units that already came back
+    if (amountCents < 0 || amountCents > net.totalPrice) return null;
+    if (unitsReturned < 0 || unitsReturned > getReturnableUnits(sale)) return null;
+
+    const refund = calculateRefund(sale, lot.unitCost, {
+        id: generateId(),
+        amount: amountCents,
+        unitsReturned,
+        restocked: !!refundData.restocked && unitsReturned > 0,
+        nonRefundableFees: Math.round((refundData.nonRefundableFees || 0) * 100),
+        returnShipping: Math.round((refundData.returnShipping || 0) * 100),
+        date: refundData.dateStr ? new Date(refundData.dateStr + 'T12:00:00').toISOString() : new Date().toISOString()
+    });
+
+    const updatedSales = lot.sales.map(s => s.id === saleId ? { ...s, refunds: [...(s.refunds || []), refund] } : s);
+    const updatedRemaining = lot.remaining + (refund.restocked ? unitsReturned : 0);
+
+    return commitLotUpdate('refund-sale', `Refunded ${formatCurrency(amountCents)} on a sale of "${lot.name}"`, lotId, {
+        sales: updatedSales,
+        remaining: updatedRemaining
+    });
+}
+
 /**
  * Update a specific sale record
  * @param {string} lotId - Lot ID
@@ -241,9 +867,8 @@ export function updateSale(lotId, saleId, updates) {
     const saleIndex = lot.sales.findIndex(s => s.id === saleId);
     if (saleIndex === -1) return null;
 
-    lot.sales[saleIndex] = { ...lot.sales[saleIndex], ...updates };
-    saveStorageData(data);
-    return lot;
+    const updatedSales = lot.sales.map(sale => sale.id === saleId ? { ...sale, ...updates } : sale);
+    return commitLotUpdate('update-sale', `Edited a sale of "${lot.name}"`, lotId, { sales: updatedSales });
 }
 
 /**
@@ -301,14 +926,16 @@ export function deleteLot(id) {
 
     if (index === -1) return false;
 
-    data.lots.splice(index, 1);
-    saveStorageData(data);
+    const [deleted] = data.lots.splice(index, 1);
+    persistLotDeletion(id);
 
     // Cloud sync
     if (auth.currentUser) {
         deleteLotFromCloud(id);
     }
 
+    logChange('delete-lot', `Deleted "${deleted.name}"`, [{ lotId: id, before: snapshotLot(deleted), after: null }]);
+
     return true;
 }
 
@@ -355,7 +982,7 @@ export function getSalesByMonth(year, month) {
  * @returns {boolean}
  */
 export function isFullySold(lot) {
-    return lot.remaining === 0;
+    return lot.remaining === 0 && lot.quantity > 0;
 }
 
 /**
@@ -368,25 +995,27 @@ export function hasSales(lot) {
 }
 
 /**
- * Get total profit for a lot across all sales
+ * Get total profit for a lot across all sales, net of refunds
  * @param {Object} lot - Lot object
  * @returns {number} Total profit in cents
  */
 export function getLotTotalProfit(lot) {
     if (!lot.sales) return 0;
-    return lot.sales.reduce((sum, sale) => sum + sale.profit, 0);
+    return lot.sales.reduce((sum, sale) => sum + getNetSale(sale).profit, 0);
 }
 
 /**
- * Calculate return deadline (purchase date + 30 days)
+ * Calculate return deadline from the purchase date and the retailer's return window
+ * (or the lot's own returnWindowDays override)
  * @param {Object} lot - Lot object
  * @returns {Date} Return deadline date
  */
 export function getReturnDeadline(lot) {
-    const purchaseDate = lot.purchaseDate ? new Date(lot.purchaseDate) : new Date(lot.dateAdded);
-    const deadline = new Date(purchaseDate);
-    deadline.setDate(deadline.getDate() + 30);
-    return deadline;
+    // Date-only purchase dates are local calendar days (the holiday windows depend on it)
+    const purchaseDate = lot.purchaseDate
+        ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(lot.purchaseDate) ? lot.purchaseDate + 'T00:00:00' : lot.purchaseDate)
+        : new Date(lot.dateAdded);
+    return calculateReturnDeadline(purchaseDate, lot.retailer, lot.returnWindowDays);
 }
 
 /**
@@ -403,27 +1032,101 @@ export function getDaysUntilReturn(lot) {
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Check whether a lot's return alert is snoozed today
+ * @param {Object} lot - Lot object
+ * @returns {boolean}
+ */
+export function isReturnAlertSnoozed(lot) {
+    if (!lot.returnSnoozedUntil) return false;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return new Date(lot.returnSnoozedUntil + 'T00:00:00') > today;
+}
+
+// Lots that still need a keep/return decision
+function getReturnAlertCandidates() {
+    return getLots().filter(lot => lot.remaining > 0 && !lot.returnDismissed && !isReturnAlertSnoozed(lot));
+}
+
 /**
  * Get lots that are within days of return deadline and have unsold units
- * @param {number} withinDays - Alert threshold (default 3)
+ * @param {number} withinDays - Alert threshold (defaults to the returnAlertDays setting)
  * @returns {Array} Lots needing return attention
  */
-export function getLotsNearingReturnDeadline(withinDays = 3) {
-    return getLots().filter(lot => {
-        if (lot.remaining === 0) return false;
-        if (lot.returnDismissed) return false;
+export function getLotsNearingReturnDeadline(withinDays = getSettings().returnAlertDays) {
+    return getReturnAlertCandidates().filter(lot => {
         const daysLeft = getDaysUntilReturn(lot);
         return daysLeft <= withinDays && daysLeft >= 0;
     });
 }
 
 /**
- * Mark a lot as returned (removes from inventory)
+ * Get lots whose return window has closed with unsold units and no keep/return decision
+ * @returns {Array} Overdue lots, most overdue first
+ */
+export function getLotsPastReturnDeadline() {
+    return getReturnAlertCandidates()
+        .filter(lot => getDaysUntilReturn(lot) < 0)
+        .sort((a, b) => getReturnDeadline(a) - getReturnDeadline(b));
+}
+
+/**
+ * Return some (or all) unsold units of a lot to the retailer.
+ * Existing sales are kept; quantity and totalCost shrink and the return is recorded on the lot.
+ * unitCost stays what each unit was bought for, so totalCost keeps whatever the retailer didn't
+ * refund (restocking fees) as a cost of the lot on top of unitCost * quantity.
  * @param {string} id - Lot ID
- * @returns {boolean} True if deleted
+ * @param {number} units - Units sent back
+ * @param {number} refundAmount - Amount refunded by the retailer in dollars, at most the units' cost
+ * @param {string} dateStr - Optional return date in YYYY-MM-DD format
+ * @returns {Object|null} Updated lot or null if not found or invalid
  */
-export function markReturned(id) {
-    return deleteLot(id);
+export function returnToRetailer(id, units, refundAmount, dateStr = null) {
+    const lot = getLotById(id);
+    if (!lot) return null;
+    if (!Number.isInteger(units) || units < 1 || units > lot.remaining) return null;
+
+    const refundCents = Math.round(refundAmount * 100);
+    const costReturned = getRetailerReturnCost(lot, units);
+    if (refundCents < 0 || refundCents > costReturned) return null;
+
+    const returnRecord = {
+        id: generateId(),
+        units,
+        refundAmount: refundCents,
+        costReturned,
+        date: dateStr ? new Date(dateStr + 'T12:00:00').toISOString() : new Date().toISOString()
+    };
+
+    const summary = units === lot.remaining && !hasSales(lot)
+        ? `Returned "${lot.name}" to the retailer`
+        : `Returned ${units} of "${lot.name}" to the retailer`;
+
+    return commitLotUpdate('retailer-return', summary, id, {
+        quantity: lot.quantity - units,
+        remaining: lot.remaining - units,
+        totalCost: lot.totalCost - refundCents,
+        retailerReturns: [...(lot.retailerReturns || []), returnRecord]
+    });
+}
+
+/**
+ * Get the units of a lot sent back to the retailer
+ * @param {Object} lot - Lot object
+ * @returns {number} Units returned
+ */
+export function getReturnedUnits(lot) {
+    return (lot.retailerReturns || []).reduce((sum, r) => sum + r.units, 0);
+}
+
+/**
+ * Check if every unit of a lot went back to the retailer
+ * @param {Object} lot - Lot object
+ * @returns {boolean}
+ */
+export function isFullyReturned(lot) {
+    return lot.quantity === 0 && getReturnedUnits(lot) > 0;
 }
 
 /**
@@ -432,5 +1135,57 @@ export function markReturned(id) {
  * @returns {Object|null} Updated lot
  */
 export function dismissReturnAlert(id) {
-    return updateLot(id, { returnDismissed: true });
+    const lot = getLotById(id);
+    if (!lot) return null;
+    return commitLotUpdate('keep-lot', `Kept "${lot.name}" instead of returning it`, id, { returnDismissed: true });
+}
+
+/**
+ * Hide a lot's return alert until a date
+ * @param {string} id - Lot ID
+ * @param {string} untilDateStr - Date the alert reappears in YYYY-MM-DD format
+ * @returns {Object|null} Updated lot
+ */
+export function snoozeReturnAlert(id, untilDateStr) {
+    const lot = getLotById(id);
+    if (!lot) return null;
+    const untilStr = new Date(untilDateStr + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return commitLotUpdate('snooze-alert', `Snoozed return alert for "${lot.name}" until ${untilStr}`, id, { returnSnoozedUntil: untilDateStr });
+}
+
+function persistOcrDictionary() {
+    const dictionary = getOcrDictionary();
+    writeTransaction(['meta'], (stores) => {
+        stores.meta.put({ key: 'ocrDictionary', value: dictionary });
+    }).catch(e => console.error('Failed to save OCR dictionary:', e));
+    return dictionary;
+}
+
+/**
+ * Teach OCR scoring from names the user changed before saving
+ * @param {Array} corrections - { suggestedName, finalName } pairs
+ */
+export function recordNameCorrections(corrections) {
+    const learned = corrections.filter(({ suggestedName, finalName }) => learnFromNameCorrection(suggestedName, finalName));
+    if (learned.length === 0) return;
+
+    const dictionary = persistOcrDictionary();
+    if (auth.currentUser) {
+        saveOcrDictionaryToCloud(dictionary);
+    }
+}
+
+/**
+ * Merge the dictionary from the cloud into the local one, uploading anything only known locally
+ * @param {Object|null} cloudDictionary - Dictionary from Firestore
+ */
+export function mergeCloudOcrDictionary(cloudDictionary) {
+    const merged = mergeDictionaries(getOcrDictionary(), cloudDictionary);
+    setOcrDictionary(merged);
+    persistOcrDictionary();
+
+    // Only write back when the cloud is missing something, so the snapshot listener doesn't loop
+    if (auth.currentUser && stableStringify(mergeDictionaries(cloudDictionary, {})) !== stableStringify(merged)) {
+        saveOcrDictionaryToCloud(merged);
+    }
 }
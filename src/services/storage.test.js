@@ -0,0 +1,341 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory stand-in for idb.js. Like IndexedDB, a transaction whose callback throws
+// leaves every store untouched.
+const fakeDb = vi.hoisted(() => {
+    const keyPaths = { lots: 'id', sales: 'id', images: 'lotId', meta: 'key', history: 'id', backups: 'id' };
+    let stores = {};
+    let failWrites = false;
+
+    const reset = (initial = {}) => {
+        failWrites = false;
+        stores = {};
+        for (const name of Object.keys(keyPaths)) {
+            stores[name] = new Map((initial[name] || []).map(record => [record[keyPaths[name]], structuredClone(record)]));
+        }
+    };
+
+    const createStore = (name, records) => ({
+        put: (record) => {
+            // IndexedDB rejects records without their key
+            if (record[keyPaths[name]] === undefined) throw new Error(`DataError: ${name} record has no ${keyPaths[name]}`);
+            records.set(record[keyPaths[name]], structuredClone(record));
+        },
+        delete: (key) => records.delete(key),
+        clear: () => records.clear(),
+        index: () => ({
+            openKeyCursor: () => ({})
+        })
+    });
+
+    return {
+        reset,
+        failWrites: () => { failWrites = true; },
+        dump: (name) => [...stores[name].values()],
+        getAll: async (name) => [...stores[name].values()].map(record => structuredClone(record)),
+        getRecord: async (name, key) => structuredClone(stores[name].get(key)),
+        writeTransaction: async (names, callback) => {
+            if (failWrites) throw new Error('QuotaExceededError');
+            const staged = {};
+            for (const name of names) staged[name] = new Map(stores[name]);
+            callback(Object.fromEntries(names.map(name => [name, createStore(name, staged[name])])));
+            Object.assign(stores, staged);
+        }
+    };
+});
+
+vi.mock('./idb.js', () => fakeDb);
+vi.mock('./firebase.js', () => ({ auth: { currentUser: null } }));
+vi.mock('./firebaseSync.js', () => ({
+    saveLotToCloud: vi.fn(),
+    deleteLotFromCloud: vi.fn(),
+    saveOcrDictionaryToCloud: vi.fn()
+}));
+vi.mock('./migrations.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return { ...actual, migrateData: vi.fn(actual.migrateData) };
+});
+
+const v2Lot = {
+    id: 'lot-1',
+    name: 'Widget',
+    totalCost: 2000,
+    unitCost: 1000,
+    quantity: 2,
+    remaining: 1,
+    dateAdded: '2024-01-15T12:00:00.000Z'
+};
+
+const v2Sale = {
+    id: 'sale-1',
+    lotId: 'lot-1',
+    unitsSold: 1,
+    pricePerUnit: 2500,
+    totalPrice: 2500,
+    platform: 'ebay',
+    fees: 330,
+    shippingCost: 450,
+    costBasis: 1000,
+    profit: 720
+};
+
+let storage;
+let migrations;
+let storageErrors;
+let localData;
+
+beforeEach(async () => {
+    fakeDb.reset({
+        lots: [v2Lot],
+        sales: [v2Sale],
+        meta: [{ key: 'version', value: 2 }]
+    });
+
+    globalThis.IDBKeyRange = { only: (value) => value };
+    localData = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => localData.get(key) ?? null,
+        setItem: (key, value) => localData.set(key, String(value)),
+        removeItem: (key) => localData.delete(key)
+    };
+    globalThis.window = new EventTarget();
+    storageErrors = [];
+    window.addEventListener('storage-error', (e) => storageErrors.push(e.detail.message));
+
+    vi.resetModules();
+    migrations = await import('./migrations.js');
+    storage = await import('./storage.js');
+    vi.spyOn(console, 'error').mockImplementation(() => { });
+});
+
+describe('initStorage migrations', () => {
+    it('backs up old data, then migrates and stores it', async () => {
+        await storage.initStorage();
+
+        const [lot] = storage.getLots();
+        expect(lot.sales[0].breakdown.gross).toBe(2500);
+        expect(fakeDb.dump('meta').find(record => record.key === 'version').value).toBe(migrations.CURRENT_VERSION);
+        expect(fakeDb.dump('sales')[0].breakdown).toBeDefined();
+
+        const [backup] = fakeDb.dump('backups');
+        expect(backup.fromVersion).toBe(2);
+        expect(backup.data.lots[0].sales[0].breakdown).toBeUndefined();
+        expect(storageErrors).toEqual([]);
+    });
+
+    it('leaves stored data untouched and keeps working on it when a migration throws', async () => {
+        migrations.migrateData.mockImplementationOnce(() => {
+            throw new Error('Migration to v3 (Itemized profit breakdown stored on every sale) failed: boom');
+        });
+
+        await storage.initStorage();
+
+        // The app runs on the data as loaded
+        const [lot] = storage.getLots();
+        expect(lot.id).toBe('lot-1');
+        expect(lot.sales[0].breakdown).toBeUndefined();
+
+        // Storage still holds the v2 data
+        expect(fakeDb.dump('meta').find(record => record.key === 'version').value).toBe(2);
+        expect(fakeDb.dump('lots')).toEqual([v2Lot]);
+        expect(fakeDb.dump('sales')).toEqual([v2Sale]);
+
+        expect(storageErrors).toHaveLength(1);
+        expect(storageErrors[0]).toContain('left unchanged at v2');
+        expect(storageErrors[0]).toContain('boom');
+    });
+
+    it('restores a backup and migrates it again', async () => {
+        await storage.initStorage();
+        const [backup] = await storage.getBackups();
+
+        storage.deleteLot('lot-1');
+        expect(storage.getLots()).toEqual([]);
+
+        expect(await storage.restoreBackup(backup.id)).toBe(true);
+        const [lot] = storage.getLots();
+        expect(lot.id).toBe('lot-1');
+        expect(lot.sales[0].breakdown.gross).toBe(2500);
+        expect(fakeDb.dump('lots').map(record => record.id)).toEqual(['lot-1']);
+    });
+
+    it('returns false for a backup that does not exist', async () => {
+        await storage.initStorage();
+
+        expect(await storage.restoreBackup('missing')).toBe(false);
+    });
+});
+
+describe('change groups', () => {
+    beforeEach(async () => {
+        fakeDb.reset({ meta: [{ key: 'version', value: migrations.CURRENT_VERSION }] });
+        await storage.initStorage();
+    });
+
+    it('log every change in the group as one entry', () => {
+        storage.beginChangeGroup('add-lots', 'Added 2 lots');
+        storage.saveLot({ name: 'A', cost: 10, quantity: 1 });
+        storage.saveLot({ name: 'B', cost: 20, quantity: 1 });
+        const change = storage.endChangeGroup();
+
+        expect(change.action).toBe('add-lots');
+        expect(change.changes).toHaveLength(2);
+        expect(storage.getHistory()).toHaveLength(1);
+    });
+
+    it('fold a nested group into the outer one', () => {
+        storage.beginChangeGroup('import-csv', 'Imported');
+        storage.saveLot({ name: 'A', cost: 10, quantity: 1 });
+        storage.beginChangeGroup('add-lots', 'Added');
+        storage.saveLot({ name: 'B', cost: 20, quantity: 1 });
+        expect(storage.endChangeGroup()).toBeNull();
+        storage.saveLot({ name: 'C', cost: 30, quantity: 1 });
+        const change = storage.endChangeGroup();
+
+        expect(change.action).toBe('import-csv');
+        expect(change.changes).toHaveLength(3);
+    });
+
+    it('log changes on their own again once the group has ended', () => {
+        storage.beginChangeGroup('add-lots', 'Added');
+        storage.endChangeGroup();
+        expect(storage.endChangeGroup()).toBeNull();
+
+        storage.saveLot({ name: 'A', cost: 10, quantity: 1 });
+        expect(storage.getLastChange().action).toBe('add-lot');
+    });
+});
+
+describe('recordRefund', () => {
+    let lot;
+    let saleId;
+
+    beforeEach(async () => {
+        fakeDb.reset({ meta: [{ key: 'version', value: migrations.CURRENT_VERSION }] });
+        await storage.initStorage();
+        lot = storage.saveLot({ name: 'Widget', cost: 30, quantity: 3 });
+        lot = storage.recordSale(lot.id, 20, 2, 'facebook');
+        saleId = lot.sales[0].id;
+    });
+
+    it('does not return the same units twice when they are not restocked', () => {
+        expect(storage.recordRefund(lot.id, saleId, { amount: 5, unitsReturned: 2, restocked: false })).not.toBeNull();
+        expect(storage.recordRefund(lot.id, saleId, { amount: 5, unitsReturned: 1, restocked: false })).toBeNull();
+    });
+
+    it('counts restocked and kept returns together', () => {
+        expect(storage.recordRefund(lot.id, saleId, { amount: 5, unitsReturned: 1, restocked: true })).not.toBeNull();
+        expect(storage.recordRefund(lot.id, saleId, { amount: 5, unitsReturned: 1, restocked: false })).not.toBeNull();
+        expect(storage.recordRefund(lot.id, saleId, { amount: 5, unitsReturned: 1, restocked: false })).toBeNull();
+        // A refund with no units returned is still allowed
+        expect(storage.recordRefund(lot.id, saleId, { amount: 5, unitsReturned: 0 })).not.toBeNull();
+    });
+});
+
+describe('returnToRetailer', () => {
+    let lot;
+
+    beforeEach(async () => {
+        fakeDb.reset({ meta: [{ key: 'version', value: migrations.CURRENT_VERSION }] });
+        await storage.initStorage();
+        // $10.00 for 3 units: 333 cents each, one cent rounded away
+        lot = storage.saveLot({ name: 'Widget', cost: 10, quantity: 3 });
+    });
+
+    it('refunds at most the cost of the units returned', () => {
+        expect(storage.returnToRetailer(lot.id, 1, 3.34)).toBeNull();
+        expect(storage.returnToRetailer(lot.id, 1, 3.33)).not.toBeNull();
+    });
+
+    it('keeps unitCost and leaves the unrefunded part in totalCost', () => {
+        const updated = storage.returnToRetailer(lot.id, 1, 2.33);
+
+        expect(updated.unitCost).toBe(333);
+        expect(updated.quantity).toBe(2);
+        expect(updated.totalCost).toBe(1000 - 233);
+        // unitCost * quantity + the cent rounded away + the $1.00 restocking fee
+        expect(updated.totalCost).toBe(updated.unitCost * updated.quantity + 1 + 100);
+    });
+
+    it('lets the last units refund the cents rounded away but not earlier fees', () => {
+        storage.returnToRetailer(lot.id, 1, 2.33);
+
+        expect(storage.returnToRetailer(lot.id, 2, 6.68)).toBeNull();
+        const updated = storage.returnToRetailer(lot.id, 2, 6.67);
+        expect(updated.quantity).toBe(0);
+        expect(updated.totalCost).toBe(100);
+    });
+
+    it('uses the old unitCost for later sales', () => {
+        storage.returnToRetailer(lot.id, 1, 2.33);
+        const updated = storage.recordSale(lot.id, 5, 1, 'facebook');
+
+        expect(updated.sales[0].costBasis).toBe(333);
+    });
+});
+
+describe('moving data out of localStorage', () => {
+    const settings = JSON.stringify({ defaultPlatform: 'ebay' });
+
+    beforeEach(() => {
+        fakeDb.reset();
+        localData.set('reselltracker_data', JSON.stringify({
+            version: 2,
+            lots: [{ ...v2Lot, imageData: 'data:image/png;base64,AAAA', sales: [v2Sale] }]
+        }));
+        localData.set('reselltracker_settings', settings);
+    });
+
+    it('moves lots, sales and images into the database and removes the old key', async () => {
+        await storage.initStorage();
+
+        const [lot] = storage.getLots();
+        expect(lot.id).toBe('lot-1');
+        expect(lot.imageData).toBe('data:image/png;base64,AAAA');
+        expect(lot.sales[0].breakdown.gross).toBe(2500);
+
+        expect(fakeDb.dump('lots').map(record => record.id)).toEqual(['lot-1']);
+        expect(fakeDb.dump('sales')).toEqual([expect.objectContaining({ id: 'sale-1', lotId: 'lot-1' })]);
+        expect(fakeDb.dump('images')).toEqual([{ lotId: 'lot-1', imageData: 'data:image/png;base64,AAAA' }]);
+        expect(fakeDb.dump('meta').find(record => record.key === 'migratedFromLocalStorage')).toBeDefined();
+
+        expect(localData.has('reselltracker_data')).toBe(false);
+        expect(localData.get('reselltracker_settings')).toBe(settings);
+    });
+
+    it('treats an unversioned payload as v1', async () => {
+        localData.set('reselltracker_data', JSON.stringify({
+            lots: [{ id: 'lot-1', name: 'Widget', cost: 1000, quantity: 2, sale: { price: 1500, platform: 'ebay', date: '2024-01-20' } }]
+        }));
+
+        await storage.initStorage();
+
+        const [lot] = storage.getLots();
+        expect(lot.remaining).toBe(0);
+        expect(lot.sales).toEqual([expect.objectContaining({ price: 1500, platform: 'ebay', unitsSold: 2 })]);
+        expect(fakeDb.dump('sales')).toHaveLength(1);
+        expect(fakeDb.dump('backups')[0].fromVersion).toBe(1);
+    });
+
+    it('does not import the old key again once it has been moved', async () => {
+        fakeDb.reset({
+            meta: [{ key: 'version', value: migrations.CURRENT_VERSION }, { key: 'migratedFromLocalStorage', value: '2024-01-01T00:00:00.000Z' }]
+        });
+
+        await storage.initStorage();
+
+        expect(storage.getLots()).toEqual([]);
+        expect(fakeDb.dump('lots')).toEqual([]);
+        expect(localData.has('reselltracker_data')).toBe(false);
+    });
+
+    it('keeps the old key and runs on it when the database cannot be written', async () => {
+        fakeDb.failWrites();
+
+        await storage.initStorage();
+
+        expect(storage.getLots()[0].id).toBe('lot-1');
+        expect(localData.has('reselltracker_data')).toBe(true);
+        expect(storageErrors).toHaveLength(1);
+    });
+});
@@ -0,0 +1,12 @@
+// HTML Utils - Helpers for building view markup from strings
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in markup, including inside quoted attribute values
+ * @param {*} text - Text to escape (null and undefined become empty)
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml } from './html.js';
+
+describe('escapeHtml', () => {
+    it('escapes markup characters', () => {
+        expect(escapeHtml('<b>Tom & Jerry</b>')).toBe('&lt;b&gt;Tom &amp; Jerry&lt;/b&gt;');
+    });
+
+    it('escapes quotes so the text stays inside an attribute value', () => {
+        expect(escapeHtml(`Invalid cost "x" onmouseover="alert(1)"`)).toBe('Invalid cost &quot;x&quot; onmouseover=&quot;alert(1)&quot;');
+        expect(escapeHtml("Kid's toy")).toBe('Kid&#39;s toy');
+    });
+
+    it('keeps inch marks in lot names from ending a title attribute', () => {
+        const title = `title="Matches ${escapeHtml('27" Monitor')}: Skip"`;
+
+        expect(title).toBe('title="Matches 27&quot; Monitor: Skip"');
+        expect(title.match(/"/g)).toHaveLength(2);
+    });
+
+    it('turns null and undefined into an empty string', () => {
+        expect(escapeHtml(null)).toBe('');
+        expect(escapeHtml(undefined)).toBe('');
+        expect(escapeHtml(12)).toBe('12');
+    });
+});
@@ -1,26 +1,80 @@
 // AddLot View - Screenshot upload and OCR processing
 
-import { extractOrderData, fileToBase64, createThumbnail } from '../services/ocr.js';
-import { saveLot } from '../services/storage.js';
+import { fileToBase64, createThumbnail, getImageSize } from '../services/ocr.js';
+import { extractReceiptFromFile, getDocumentType, RECEIPT_FILE_ACCEPT } from '../services/documentImport.js';
+import { parsePrice, cleanItemName } from '../services/receiptParsers/utils.js';
+import { saveLot, beginChangeGroup, endChangeGroup, recordNameCorrections } from '../services/storage.js';
+import { getReturnPolicies } from '../services/returnPolicies.js';
+import { allocateOrderCosts, formatCurrency } from '../services/calculations.js';
 import { navigate } from '../router.js';
+import { isAbortError } from '../services/ocrWorkerPool.js';
+import { scanBarcodeFromImage, startCameraScan, isCameraScanSupported } from '../services/barcode.js';
+import { normalizeUpc, lookupProduct } from '../services/productCatalog.js';
+import { OfflineOcrStatus, initOfflineOcrStatus } from '../components/OfflineOcrStatus.js';
+import { BatchReview, initBatchReviewEvents, hasBatch, startBatch } from '../components/BatchReview.js';
+import { escapeHtml } from '../utils/html.js';
 
 let currentState = 'upload'; // 'upload', 'processing', 'preview'
 let ocrProgress = 0;
-let extractedData = { name: '', cost: 0, quantity: 1 };
+let ocrController = null; // Aborts the running scan when the user cancels
+let extractedData = createEmptyOrder();
 let imagePreview = null;
 let thumbnailData = null;
 let imageZoomed = false;
+let ocrLines = []; // OCR lines with confidence and bounding box, for the image overlay
+let imageSize = null;
+let selectedLineIndex = null;
+let activeItemIndex = 0; // Item row that a tapped line is applied to
+let autoSelectName = false; // Select the first name once when the preview opens
+let cameraScanning = false;
+let cameraScan = null; // Resolves to controls that stop the live scan and release the camera
+
+// Fields read with less confidence than this are flagged for review
+const LOW_CONFIDENCE = 60;
 
 export function resetAddLotState() {
   currentState = 'upload';
   ocrProgress = 0;
-  extractedData = { name: '', cost: 0, quantity: 1 };
+  extractedData = createEmptyOrder();
   imagePreview = null;
   thumbnailData = null;
   imageZoomed = false;
+  ocrLines = [];
+  imageSize = null;
+  selectedLineIndex = null;
+  activeItemIndex = 0;
+  stopCameraScan();
+}
+
+// fields: where each value was read from ({ confidence, bbox, line } or null)
+// upc: scanned UPC/EAN digits, used to look the item up in the product catalog
+// suggestedName: the name OCR picked, compared with the saved name to learn from corrections
+function createEmptyItem() {
+  return { name: '', unitPrice: 0, quantity: 1, upc: '', suggestedName: '', fields: {} };
+}
+
+// An order is one or more line items sharing a purchase date, retailer and receipt image.
+// Order fields hold raw input values so re-renders (adding a row) keep what was typed.
+function createEmptyOrder() {
+  return {
+    items: [createEmptyItem()],
+    retailer: '',
+    returnWindowDays: '',
+    order: { number: '', date: new Date().toISOString().split('T')[0], subtotal: '', tax: '', shipping: '' },
+    allocateCosts: true
+  };
+}
+
+function formatAmountInput(value) {
+  return typeof value === 'number' ? value.toFixed(2) : '';
 }
 
 export function AddLotView() {
+  // Several uploaded receipts are reviewed together until saved or discarded
+  if (hasBatch()) {
+    return BatchReview();
+  }
+
   if (currentState === 'processing') {
     return renderProcessingState();
   }
@@ -40,11 +94,12 @@ function renderUploadState() {
         
         <div class="upload-area" id="upload-area">
           <div class="upload-icon">📸</div>
-          <div class="upload-text">Tap to upload order screenshot</div>
-          <div class="upload-hint">Amazon, Target, Walmart, etc.</div>
+          <div class="upload-text">Tap to upload order screenshots</div>
+          <div class="upload-hint">Screenshots, PDF invoices or order emails • select several to scan them together</div>
         </div>
+        <div class="offline-ocr-row">${OfflineOcrStatus()}</div>
         
-        <input type="file" id="file-input" accept="image/*" style="display: none;" />
+        <input type="file" id="file-input" accept="${RECEIPT_FILE_ACCEPT}" multiple style="display: none;" />
         
         <div style="text-align: center; margin-top: var(--spacing-xl);">
           <p class="text-muted" style="margin-bottom: var(--spacing-lg);">or</p>
@@ -66,7 +121,8 @@ function renderProcessingState() {
         <div class="card">
           <div class="ocr-progress">
             <div class="progress-spinner"></div>
-            <div class="progress-text">Scanning image... ${ocrProgress}%</div>
+            <div class="progress-text" id="ocr-progress-text">Scanning image... ${ocrProgress}%</div>
+            <button class="btn btn-secondary" id="cancel-ocr-btn" style="margin-top: var(--spacing-lg);">Cancel</button>
           </div>
         </div>
       </div>
@@ -76,6 +132,8 @@ function renderProcessingState() {
 
 function renderPreviewState() {
   const zoomClass = imageZoomed ? 'zoomed' : '';
+  const policies = getReturnPolicies();
+  const defaultDays = (policies[extractedData.retailer] || policies.other).days;
 
   return `
     <div class="page">
@@ -84,38 +142,86 @@ function renderPreviewState() {
         
         ${imagePreview ? `
           <div class="image-preview-container ${zoomClass}" id="image-preview-container">
-            <img src="${imagePreview}" class="image-preview ${zoomClass}" alt="Order screenshot" id="preview-image" />
-            <div class="image-hint">${imageZoomed ? 'Tap to shrink' : 'Tap to zoom'}</div>
+            <div class="ocr-overlay-wrap">
+              <img src="${imagePreview}" class="image-preview ${zoomClass}" alt="Order screenshot" id="preview-image" />
+              ${renderOcrOverlay()}
+            </div>
+            <div class="image-hint">${imageZoomed ? 'Tap to shrink' : 'Tap to zoom'}${ocrLines.length ? ' • tap a highlighted line to use it' : ''}</div>
           </div>
+          ${renderSelectedLineActions()}
         ` : ''}
         
         <div class="card">
           <div class="form-group">
-            <label class="form-label">Item Name</label>
-            <div class="input-with-clear">
-              <input type="text" class="form-input" id="lot-name" value="${escapeHtml(extractedData.name)}" placeholder="Enter item name" />
-              <button type="button" class="clear-input-btn" id="clear-name-btn" title="Clear">
-                <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                  <line x1="18" y1="6" x2="6" y2="18"></line>
-                  <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-              </button>
+            <label class="form-label">Items</label>
+            <div class="line-items" id="line-items">
+              <div class="line-item-row line-item-header">
+                <span>Name</span>
+                <span>Unit $</span>
+                <span>Qty</span>
+                <span></span>
+              </div>
+              ${extractedData.items.map((item, index) => renderLineItemRow(item, index)).join('')}
+            </div>
+            <div class="line-items-footer">
+              <button type="button" class="btn btn-secondary btn-sm" id="add-item-btn">+ Add Item</button>
+              <span class="text-secondary" id="line-items-total">${renderItemsTotal()}</span>
+            </div>
+            <div class="barcode-actions">
+              <span class="text-muted" id="barcode-target">${renderBarcodeTarget()}</span>
+              <button type="button" class="btn btn-secondary btn-sm" id="scan-barcode-photo">Photo</button>
+              ${isCameraScanSupported() ? '<button type="button" class="btn btn-secondary btn-sm" id="scan-barcode-camera">Camera</button>' : ''}
+              <input type="file" id="barcode-file-input" accept="image/*" capture="environment" style="display: none;" />
             </div>
           </div>
           
           <div class="form-group">
-            <label class="form-label">Cost (USD)</label>
-            <input type="number" class="form-input" id="lot-cost" value="${extractedData.cost || ''}" placeholder="0.00" step="0.01" min="0" inputmode="decimal" />
+            <label class="form-label">Order Number</label>
+            <input type="text" class="form-input order-input" id="order-number" data-field="number" value="${escapeHtml(extractedData.order.number)}" ${getConfidenceAttrs(extractedData.fields?.orderNumber)} placeholder="Optional" />
           </div>
           
           <div class="form-group">
-            <label class="form-label">Quantity</label>
-            <input type="number" class="form-input" id="lot-quantity" value="${extractedData.quantity}" placeholder="1" min="1" inputmode="numeric" />
+            <label class="form-label">Purchase Date</label>
+            <input type="date" class="form-input order-input" id="lot-purchase-date" data-field="date" value="${extractedData.order.date}" ${getConfidenceAttrs(extractedData.fields?.orderDate)} />
           </div>
           
           <div class="form-group">
-            <label class="form-label">Purchase Date</label>
-            <input type="date" class="form-input" id="lot-purchase-date" value="${new Date().toISOString().split('T')[0]}" />
+            <label class="form-label">Order Summary ($)</label>
+            <div class="order-summary-grid">
+              <label>
+                <span class="order-summary-label">Subtotal</span>
+                <input type="number" class="form-input order-input" data-field="subtotal" value="${extractedData.order.subtotal}" ${getConfidenceAttrs(extractedData.fields?.subtotal)} placeholder="0.00" step="0.01" min="0" inputmode="decimal" />
+              </label>
+              <label>
+                <span class="order-summary-label">Tax</span>
+                <input type="number" class="form-input order-input" data-field="tax" value="${extractedData.order.tax}" ${getConfidenceAttrs(extractedData.fields?.tax)} placeholder="0.00" step="0.01" min="0" inputmode="decimal" />
+              </label>
+              <label>
+                <span class="order-summary-label">Shipping</span>
+                <input type="number" class="form-input order-input" data-field="shipping" value="${extractedData.order.shipping}" ${getConfidenceAttrs(extractedData.fields?.shipping)} placeholder="0.00" step="0.01" min="0" inputmode="decimal" />
+              </label>
+            </div>
+            <div class="order-summary-check text-muted" id="order-summary-check">${renderSubtotalCheck()}</div>
+          </div>
+          
+          <label class="form-checkbox">
+            <input type="checkbox" id="allocate-costs" ${extractedData.allocateCosts ? 'checked' : ''} />
+            <span>Add tax &amp; shipping to cost basis (split by item price)</span>
+          </label>
+          
+          <div class="form-group">
+            <label class="form-label">Retailer</label>
+            <select class="form-input" id="lot-retailer">
+              <option value="">Unknown</option>
+              ${Object.entries(policies).map(([key, policy]) => `
+                <option value="${key}" ${extractedData.retailer === key ? 'selected' : ''}>${policy.name} (${policy.days} days)</option>
+              `).join('')}
+            </select>
+          </div>
+          
+          <div class="form-group">
+            <label class="form-label">Return Window (days)</label>
+            <input type="number" class="form-input" id="lot-return-window" placeholder="${defaultDays} (retailer default)" min="0" value="${extractedData.returnWindowDays}" inputmode="numeric" />
           </div>
           
           <button class="btn btn-primary btn-full" id="save-lot-btn">
@@ -127,45 +233,208 @@ function renderPreviewState() {
           </button>
         </div>
       </div>
+      ${cameraScanning ? renderCameraScanner() : ''}
+    </div>
+  `;
+}
+
+function renderCameraScanner() {
+  return `
+    <div class="modal-overlay" id="barcode-scanner">
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2 class="modal-title">Scan Barcode</h2>
+        </div>
+        <video class="barcode-video" id="barcode-video" muted playsinline></video>
+        <p class="text-muted barcode-hint">Hold the UPC/EAN barcode inside the frame</p>
+        <button class="btn btn-secondary btn-full" id="cancel-camera-scan">Cancel</button>
+      </div>
     </div>
   `;
 }
 
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function renderBarcodeTarget() {
+  return `Scan barcode${extractedData.items.length > 1 ? ` for item ${activeItemIndex + 1}` : ''}:`;
+}
+
+// Catalog details for a scanned item: how often it was bought and what it usually sells for
+function renderUpcInfo(item, index) {
+  if (!item.upc) return '';
+
+  const product = lookupProduct(item.upc);
+  const details = product
+    ? [
+      `bought ${product.lotCount}× before`,
+      product.resalePrice !== null ? `typically sells for ${formatCurrency(product.resalePrice)}` : 'no sales yet'
+    ].join(' • ')
+    : 'new product';
+
+  return `
+    <div class="line-item-upc" data-index="${index}">
+      <span>UPC ${item.upc} <span class="text-muted">• ${details}</span></span>
+      <button type="button" class="clear-upc-btn" data-index="${index}" title="Remove barcode">×</button>
+    </div>
+  `;
+}
+
+// Highlight every OCR line; lines used for the current items are marked by field
+function renderOcrOverlay() {
+  if (!imageSize || ocrLines.length === 0) return '';
+
+  const usedAs = {};
+  extractedData.items.forEach(item => {
+    if (item.fields?.name) usedAs[item.fields.name.line] = 'used-name';
+    if (item.fields?.unitPrice) usedAs[item.fields.unitPrice.line] = usedAs[item.fields.unitPrice.line] || 'used-price';
+  });
+
+  return ocrLines.map((line, index) => {
+    const { x0, y0, x1, y1 } = line.bbox;
+    const classes = [
+      usedAs[index] || '',
+      line.confidence < LOW_CONFIDENCE ? 'low-confidence' : '',
+      selectedLineIndex === index ? 'selected' : ''
+    ].join(' ');
+
+    return `
+      <div class="ocr-line ${classes}" data-line-index="${index}" title="${escapeHtml(line.text)} (${line.confidence}%)"
+        style="left: ${(x0 / imageSize.width) * 100}%; top: ${(y0 / imageSize.height) * 100}%; width: ${((x1 - x0) / imageSize.width) * 100}%; height: ${((y1 - y0) / imageSize.height) * 100}%;"></div>
+    `;
+  }).join('');
+}
+
+// Read an amount from a line, with or without a dollar sign
+function getLineAmount(text) {
+  const price = parsePrice(text);
+  if (price !== null) return price;
+  const match = text.match(/(\d+[.,]\d{2})\b/);
+  return match ? parseFloat(match[1].replace(',', '.')) : null;
+}
+
+function renderSelectedLineActions() {
+  const line = ocrLines[selectedLineIndex];
+  if (!line) return '';
+
+  const amount = getLineAmount(line.text);
+  const target = extractedData.items.length > 1 ? ` for item ${activeItemIndex + 1}` : '';
+
+  return `
+    <div class="ocr-line-actions">
+      <div class="ocr-line-text">"${escapeHtml(line.text)}" <span class="text-muted">• ${line.confidence}% confidence</span></div>
+      <div class="ocr-line-buttons">
+        <button type="button" class="btn btn-secondary btn-sm" id="use-line-name">Use as name${target}</button>
+        <button type="button" class="btn btn-secondary btn-sm" id="use-line-price" ${amount === null ? 'disabled' : ''}>
+          Use as price${amount !== null ? ` ($${amount.toFixed(2)})` : ''}
+        </button>
+      </div>
+    </div>
+  `;
+}
+
+// Flag OCR'd values read with low confidence
+function getConfidenceAttrs(source) {
+  if (!source) return '';
+  const low = source.confidence < LOW_CONFIDENCE;
+  return `title="OCR confidence ${source.confidence}%" ${low ? 'data-low-confidence="true"' : ''}`;
+}
+
+function renderLineItemRow(item, index) {
+  const fields = item.fields || {};
+  return `
+    <div class="line-item-row ${index === activeItemIndex && extractedData.items.length > 1 ? 'active' : ''}" data-index="${index}">
+      <input type="text" class="form-input line-item-input" data-index="${index}" data-field="name" value="${escapeHtml(item.name)}" placeholder="Item name" ${getConfidenceAttrs(fields.name)} />
+      <input type="number" class="form-input line-item-input" data-index="${index}" data-field="unitPrice" value="${item.unitPrice || ''}" placeholder="0.00" step="0.01" min="0" inputmode="decimal" ${getConfidenceAttrs(fields.unitPrice)} />
+      <input type="number" class="form-input line-item-input" data-index="${index}" data-field="quantity" value="${item.quantity}" placeholder="1" min="1" inputmode="numeric" ${getConfidenceAttrs(fields.quantity)} />
+      <button type="button" class="clear-input-btn remove-item-btn" data-index="${index}" title="Remove item" ${extractedData.items.length === 1 ? 'disabled' : ''}>
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
+    </div>
+    ${renderUpcInfo(item, index)}
+  `;
+}
+
+function getItemsTotal() {
+  return extractedData.items.reduce((sum, item) => sum + (parseFloat(item.unitPrice) || 0) * (parseInt(item.quantity) || 1), 0);
+}
+
+function renderItemsTotal() {
+  const count = extractedData.items.length;
+  return `${count} item${count !== 1 ? 's' : ''} • $${getItemsTotal().toFixed(2)}`;
+}
+
+// Flag receipts whose items don't add up to the printed subtotal (missed or misread items)
+function renderSubtotalCheck() {
+  const subtotal = parseFloat(extractedData.order.subtotal);
+  if (isNaN(subtotal)) return '';
+  const itemsTotal = getItemsTotal();
+  if (Math.abs(itemsTotal - subtotal) < 0.01) return '✓ Items match the receipt subtotal';
+  return `Items add up to $${itemsTotal.toFixed(2)}, receipt subtotal is $${subtotal.toFixed(2)}`;
 }
 
 async function handleFileUpload(file) {
-  if (!file || !file.type.startsWith('image/')) {
-    alert('Please select a valid image file');
+  if (!file || !getDocumentType(file)) {
+    alert('Please select an image, PDF or order email (.eml)');
     return;
   }
 
   currentState = 'processing';
   ocrProgress = 0;
+  const controller = new AbortController();
+  ocrController = controller;
   window.dispatchEvent(new CustomEvent('viewchange'));
 
   try {
-    const base64 = await fileToBase64(file);
-    imagePreview = base64;
-    thumbnailData = await createThumbnail(base64, 200);
-
-    const result = await extractOrderData(file, (progress) => {
+    const { result, image } = await extractReceiptFromFile(file, (progress) => {
       ocrProgress = progress;
-      window.dispatchEvent(new CustomEvent('viewchange'));
-    });
+      // Progress arrives many times a second; update the text without re-rendering
+      const text = document.getElementById('ocr-progress-text');
+      if (text) text.textContent = `Scanning image... ${progress}%`;
+    }, { signal: controller.signal });
+    // PDF text and emails aren't OCR'd, so they finish even when cancelled
+    if (controller.signal.aborted) return;
+
+    // Emails have nothing to preview; PDFs show their rendered pages
+    const base64 = image ? await fileToBase64(image) : null;
+    imagePreview = base64;
+    thumbnailData = base64 ? await createThumbnail(base64, 200) : null;
+    imageSize = base64 ? await getImageSize(base64) : null;
 
+    const emptyOrder = createEmptyOrder();
     extractedData = {
-      name: result.name || '',
-      cost: result.cost || 0,
-      quantity: result.quantity || 1
+      ...emptyOrder,
+      items: result.items?.length
+        ? result.items.map(item => ({
+          name: item.name === 'Unnamed Item' ? '' : item.name,
+          unitPrice: item.unitPrice || 0,
+          quantity: item.quantity || 1,
+          upc: '',
+          suggestedName: item.name === 'Unnamed Item' ? '' : item.name,
+          fields: item.fields || {}
+        }))
+        : emptyOrder.items,
+      retailer: result.retailer || '',
+      fields: result.fields || {},
+      order: {
+        number: result.orderNumber || '',
+        date: result.orderDate || emptyOrder.order.date,
+        subtotal: formatAmountInput(result.subtotal),
+        tax: formatAmountInput(result.tax),
+        shipping: formatAmountInput(result.shipping)
+      }
     };
 
+    ocrLines = result.lines || [];
+    selectedLineIndex = null;
+    activeItemIndex = 0;
+    autoSelectName = true;
+
     currentState = 'preview';
     window.dispatchEvent(new CustomEvent('viewchange'));
   } catch (error) {
+    // The cancel handler already returned to the upload screen
+    if (isAbortError(error) || controller.signal.aborted) return;
     console.error('OCR failed:', error);
     alert('Failed to process image. Please try again or enter manually.');
     currentState = 'upload';
@@ -173,45 +442,138 @@ async function handleFileUpload(file) {
   }
 }
 
+// One image opens the single-receipt editor; several are scanned in the background for review
+function handleFiles(fileList) {
+  const files = Array.from(fileList || []);
+  if (files.length <= 1) {
+    if (files[0]) handleFileUpload(files[0]);
+    return;
+  }
+
+  const receipts = files.filter(file => getDocumentType(file));
+  if (receipts.length < files.length) {
+    alert(`${files.length - receipts.length} file(s) skipped because they are not images, PDFs or emails`);
+  }
+  if (receipts.length === 0) return;
+
+  startBatch(receipts);
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+// Attach a scanned barcode to the active item; known products fill in the name
+function applyBarcode({ code, format }) {
+  const upc = normalizeUpc(code, format);
+  if (!upc) {
+    alert(`"${code}" is not a valid UPC/EAN barcode`);
+    return;
+  }
+
+  const item = extractedData.items[activeItemIndex];
+  if (!item) return;
+
+  item.upc = upc;
+  const product = lookupProduct(upc);
+  if (product) {
+    item.name = product.name;
+    item.fields = { ...item.fields, name: null };
+  }
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function stopCameraScan() {
+  cameraScan?.then(controls => controls.stop()).catch(() => { });
+  cameraScan = null;
+  cameraScanning = false;
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
 function saveLotAndNavigate() {
-  const nameInput = document.getElementById('lot-name');
-  const costInput = document.getElementById('lot-cost');
-  const qtyInput = document.getElementById('lot-quantity');
-  const purchaseDateInput = document.getElementById('lot-purchase-date');
-
-  const name = nameInput?.value.trim() || 'Unnamed Item';
-  const cost = parseFloat(costInput?.value) || 0;
-  const quantity = parseInt(qtyInput?.value) || 1;
-  const purchaseDate = purchaseDateInput?.value || new Date().toISOString().split('T')[0];
-
-  if (cost <= 0) {
-    alert('Please enter a valid cost');
+  const { order } = extractedData;
+  const purchaseDate = order.date || new Date().toISOString().split('T')[0];
+  const retailer = extractedData.retailer || null;
+  const returnWindowDays = parseInt(extractedData.returnWindowDays);
+
+  const items = extractedData.items.map(item => ({
+    name: item.name.trim() || 'Unnamed Item',
+    unitPrice: parseFloat(item.unitPrice) || 0,
+    quantity: parseInt(item.quantity) || 1,
+    upc: item.upc || null
+  }));
+
+  if (items.some(item => item.unitPrice <= 0)) {
+    alert(items.length > 1 ? 'Please enter a valid cost for every item' : 'Please enter a valid cost');
     return;
   }
 
-  saveLot({
-    name,
-    cost,
-    quantity,
-    purchaseDate,
-    imageData: thumbnailData
-  });
+  const orderData = {
+    number: order.number.trim() || null,
+    date: purchaseDate,
+    subtotal: parseAmount(order.subtotal),
+    tax: parseAmount(order.tax),
+    shipping: parseAmount(order.shipping)
+  };
+
+  // Each item carries its share of the order's tax and shipping
+  const itemTotalsCents = items.map(item => Math.round(item.unitPrice * item.quantity * 100));
+  const allocations = extractedData.allocateCosts
+    ? allocateOrderCosts(itemTotalsCents, Math.round((orderData.tax || 0) * 100), Math.round((orderData.shipping || 0) * 100))
+    : items.map(() => ({ tax: 0, shipping: 0 }));
+
+  // Save every row as its own lot; a multi-item order is undone as one change
+  if (items.length > 1) {
+    beginChangeGroup('add-lots', `Added ${items.length} lots`);
+  }
+
+  try {
+    items.forEach((item, index) => {
+      saveLot({
+        name: item.name,
+        cost: itemTotalsCents[index] / 100,
+        quantity: item.quantity,
+        purchaseDate,
+        retailer,
+        returnWindowDays: Number.isInteger(returnWindowDays) && returnWindowDays >= 0 ? returnWindowDays : null,
+        order: orderData,
+        allocatedTax: allocations[index].tax / 100,
+        allocatedShipping: allocations[index].shipping / 100,
+        upc: item.upc,
+        imageData: thumbnailData
+      });
+    });
+  } finally {
+    if (items.length > 1) {
+      endChangeGroup();
+    }
+  }
 
+  // Names changed from the OCR suggestion teach the scorer for next time
+  recordNameCorrections(extractedData.items
+    .map((item, index) => ({ suggestedName: item.suggestedName, finalName: items[index].name }))
+    .filter(correction => correction.suggestedName));
 
   resetAddLotState();
   navigate('/inventory');
 }
 
 export function initAddLotEvents() {
+  if (hasBatch()) {
+    initBatchReviewEvents();
+    return;
+  }
+
   const uploadArea = document.getElementById('upload-area');
   const fileInput = document.getElementById('file-input');
   const manualBtn = document.getElementById('manual-entry-btn');
   const saveBtn = document.getElementById('save-lot-btn');
   const cancelBtn = document.getElementById('cancel-btn');
-  const nameInput = document.getElementById('lot-name');
-  const clearNameBtn = document.getElementById('clear-name-btn');
   const imageContainer = document.getElementById('image-preview-container');
 
+  initOfflineOcrStatus();
+
   // Upload area click
   uploadArea?.addEventListener('click', () => {
     fileInput?.click();
@@ -230,46 +592,187 @@ export function initAddLotEvents() {
   uploadArea?.addEventListener('drop', (e) => {
     e.preventDefault();
     uploadArea.classList.remove('active');
-    const file = e.dataTransfer?.files[0];
-    if (file) handleFileUpload(file);
+    handleFiles(e.dataTransfer?.files);
   });
 
   // File input change
   fileInput?.addEventListener('change', (e) => {
-    const file = e.target.files?.[0];
-    if (file) handleFileUpload(file);
+    handleFiles(e.target.files);
+  });
+
+  document.getElementById('cancel-ocr-btn')?.addEventListener('click', () => {
+    ocrController?.abort();
+    ocrController = null;
+    currentState = 'upload';
+    window.dispatchEvent(new CustomEvent('viewchange'));
   });
 
   // Manual entry
   manualBtn?.addEventListener('click', () => {
-    extractedData = { name: '', cost: 0, quantity: 1 };
+    extractedData = createEmptyOrder();
     imagePreview = null;
     thumbnailData = null;
+    ocrLines = [];
+    imageSize = null;
+    selectedLineIndex = null;
+    activeItemIndex = 0;
     currentState = 'preview';
     window.dispatchEvent(new CustomEvent('viewchange'));
   });
 
-  // Auto-select item name on load for quick replacement
-  if (nameInput && nameInput.value) {
+  // Auto-select first item name on load for quick replacement
+  const nameInput = document.querySelector('.line-item-input[data-field="name"]');
+  if (autoSelectName && nameInput && nameInput.value) {
+    autoSelectName = false;
     nameInput.focus();
     nameInput.select();
   }
 
-  // Clear name button
-  clearNameBtn?.addEventListener('click', () => {
-    if (nameInput) {
-      nameInput.value = '';
-      nameInput.focus();
+  // Line item edits update state in place so typing isn't interrupted by re-renders
+  document.querySelectorAll('.line-item-input').forEach(input => {
+    input.addEventListener('input', () => {
+      const item = extractedData.items[input.dataset.index];
+      item[input.dataset.field] = input.value;
+      // A typed value no longer comes from the receipt
+      item.fields = { ...item.fields, [input.dataset.field]: null };
+      input.removeAttribute('data-low-confidence');
+      const total = document.getElementById('line-items-total');
+      if (total) total.textContent = renderItemsTotal();
+      const check = document.getElementById('order-summary-check');
+      if (check) check.textContent = renderSubtotalCheck();
+    });
+  });
+
+  document.querySelectorAll('.order-input').forEach(input => {
+    input.addEventListener('input', () => {
+      extractedData.order[input.dataset.field] = input.value;
+      const check = document.getElementById('order-summary-check');
+      if (check) check.textContent = renderSubtotalCheck();
+    });
+  });
+
+  document.getElementById('allocate-costs')?.addEventListener('change', (e) => {
+    extractedData.allocateCosts = e.target.checked;
+  });
+
+  document.getElementById('lot-return-window')?.addEventListener('input', (e) => {
+    extractedData.returnWindowDays = e.target.value;
+  });
+
+  // Tapped OCR lines are applied to the last focused item row
+  document.querySelectorAll('.line-item-input').forEach(input => {
+    input.addEventListener('focus', () => {
+      activeItemIndex = parseInt(input.dataset.index);
+      document.querySelectorAll('.line-item-row[data-index]').forEach(row => {
+        row.classList.toggle('active', extractedData.items.length > 1 && parseInt(row.dataset.index) === activeItemIndex);
+      });
+      const barcodeTarget = document.getElementById('barcode-target');
+      if (barcodeTarget) barcodeTarget.textContent = renderBarcodeTarget();
+    });
+  });
+
+  document.querySelectorAll('.ocr-line').forEach(el => {
+    el.addEventListener('click', (e) => {
+      // Don't toggle zoom when picking a line
+      e.stopPropagation();
+      const index = parseInt(el.dataset.lineIndex);
+      selectedLineIndex = selectedLineIndex === index ? null : index;
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+
+  document.getElementById('use-line-name')?.addEventListener('click', () => {
+    const line = ocrLines[selectedLineIndex];
+    const item = extractedData.items[activeItemIndex];
+    if (!line || !item) return;
+    item.name = cleanItemName(line.text);
+    item.fields = { ...item.fields, name: { confidence: line.confidence, bbox: line.bbox, line: selectedLineIndex } };
+    selectedLineIndex = null;
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.getElementById('use-line-price')?.addEventListener('click', () => {
+    const line = ocrLines[selectedLineIndex];
+    const item = extractedData.items[activeItemIndex];
+    const amount = line ? getLineAmount(line.text) : null;
+    if (amount === null || !item) return;
+    item.unitPrice = amount;
+    item.fields = { ...item.fields, unitPrice: { confidence: line.confidence, bbox: line.bbox, line: selectedLineIndex } };
+    selectedLineIndex = null;
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.querySelectorAll('.remove-item-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (extractedData.items.length === 1) return;
+      extractedData.items.splice(parseInt(btn.dataset.index), 1);
+      activeItemIndex = Math.min(activeItemIndex, extractedData.items.length - 1);
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+
+  document.getElementById('add-item-btn')?.addEventListener('click', () => {
+    extractedData.items.push(createEmptyItem());
+    window.dispatchEvent(new CustomEvent('viewchange'));
+    setTimeout(() => {
+      const inputs = document.querySelectorAll('.line-item-input[data-field="name"]');
+      inputs[inputs.length - 1]?.focus();
+    }, 0);
+  });
+
+  // Barcode from a photo
+  const barcodeInput = document.getElementById('barcode-file-input');
+  document.getElementById('scan-barcode-photo')?.addEventListener('click', () => barcodeInput?.click());
+  barcodeInput?.addEventListener('change', async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const scan = await scanBarcodeFromImage(file);
+    if (scan) {
+      applyBarcode(scan);
+    } else {
+      alert('No barcode found in that photo. Try again closer, with the whole barcode in frame.');
     }
   });
 
+  // Live barcode scan; the overlay's video is rendered first, then the camera starts
+  document.getElementById('scan-barcode-camera')?.addEventListener('click', () => {
+    cameraScanning = true;
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  const video = document.getElementById('barcode-video');
+  if (cameraScanning && video && !cameraScan) {
+    cameraScan = startCameraScan(video, (scan) => {
+      stopCameraScan();
+      applyBarcode(scan);
+    });
+    cameraScan.catch(error => {
+      console.error('Camera scan failed:', error);
+      alert('Could not open the camera. Check camera permission or scan from a photo instead.');
+      stopCameraScan();
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  }
+
+  document.getElementById('cancel-camera-scan')?.addEventListener('click', () => {
+    stopCameraScan();
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.querySelectorAll('.clear-upc-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      extractedData.items[btn.dataset.index].upc = '';
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+
   // Image zoom toggle
   imageContainer?.addEventListener('click', () => {
     imageZoomed = !imageZoomed;
     window.dispatchEvent(new CustomEvent('viewchange'));
     // Re-focus on name after zoom toggle
     setTimeout(() => {
-      const newNameInput = document.getElementById('lot-name');
+      const newNameInput = document.querySelector(`.line-item-input[data-field="name"][data-index="${activeItemIndex}"]`);
       if (newNameInput && newNameInput.value) {
         newNameInput.focus();
         newNameInput.select();
@@ -277,6 +780,16 @@ export function initAddLotEvents() {
     }, 100);
   });
 
+  // Show the chosen retailer's window as the override placeholder
+  document.getElementById('lot-retailer')?.addEventListener('change', (e) => {
+    extractedData.retailer = e.target.value;
+    const policies = getReturnPolicies();
+    const returnWindowInput = document.getElementById('lot-return-window');
+    if (returnWindowInput) {
+      returnWindowInput.placeholder = `${(policies[e.target.value] || policies.other).days} (retailer default)`;
+    }
+  });
+
   // Save lot
   saveBtn?.addEventListener('click', saveLotAndNavigate);
 
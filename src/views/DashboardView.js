@@ -1,14 +1,18 @@
 // Dashboard View - Revenue/Profit chart with time-range filtering and Return Alerts
 
-import { getAllSales, getSalesByDateRange, getLots, getLotsNearingReturnDeadline, getReturnDeadline, markReturned, dismissReturnAlert } from '../services/storage.js';
-import { calculateMonthlyStats, formatCurrency } from '../services/calculations.js';
+import { getAllSales, getSalesByDateRange, getLots, getLotsNearingReturnDeadline, getLotsPastReturnDeadline, getReturnDeadline, getDaysUntilReturn, dismissReturnAlert, snoozeReturnAlert } from '../services/storage.js';
+import { calculateMonthlyStats, formatCurrency, getPlatformName, getNetSale } from '../services/calculations.js';
 import { aggregateSalesByDay, getSalesForDay } from '../services/chartData.js';
+import { openReturnModal } from '../components/ReturnModal.js';
+import { navigate } from '../router.js';
 
 // Current selected time range for dashboard
 let selectedRange = '30d'; // '7d' | '30d' | '90d' | 'all'
 let chartMode = 'revenue'; // 'revenue' | 'profit'
 let chartInstance = null;
 let currentChartData = null;
+let snoozeLotId = null; // Alert card showing the snooze date picker
+let snoozeDate = '';
 
 export function setTimeRange(range) {
   selectedRange = range;
@@ -58,36 +62,64 @@ function getSalesForSelectedRange() {
   return getSalesByDateRange(startDate, new Date());
 }
 
-function renderReturnAlerts() {
-  const lotsNearingDeadline = getLotsNearingReturnDeadline(3);
-
-  if (lotsNearingDeadline.length === 0) return '';
+function getTomorrowDateStr() {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  return tomorrow.toISOString().split('T')[0];
+}
 
-  const alertCards = lotsNearingDeadline.map(lot => {
-    const deadline = getReturnDeadline(lot);
-    const dateStr = deadline.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+function renderReturnAlertCard(lot, overdue) {
+  const deadline = getReturnDeadline(lot);
+  const dateStr = deadline.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const daysOverdue = -getDaysUntilReturn(lot);
+  const deadlineText = overdue
+    ? `Window closed ${dateStr} (${daysOverdue} day${daysOverdue !== 1 ? 's' : ''} ago)`
+    : `Return by ${dateStr}`;
+
+  const actionsHtml = snoozeLotId === lot.id ? `
+    <div class="return-alert-actions">
+      <input type="date" class="form-input snooze-date-input" min="${getTomorrowDateStr()}" value="${snoozeDate}" />
+      <button class="btn btn-primary btn-sm confirm-snooze-btn" data-lot-id="${lot.id}">Snooze</button>
+      <button class="btn btn-secondary btn-sm cancel-snooze-btn">Cancel</button>
+    </div>
+  ` : `
+    <div class="return-alert-actions">
+      <button class="btn btn-danger btn-sm mark-returned-btn" data-lot-id="${lot.id}">Returned</button>
+      <button class="btn btn-secondary btn-sm keeping-it-btn" data-lot-id="${lot.id}">Keeping</button>
+      <button class="btn btn-secondary btn-sm snooze-btn" data-lot-id="${lot.id}">Snooze</button>
+    </div>
+  `;
 
-    return `
-      <div class="return-alert-card" data-lot-id="${lot.id}">
-        <div class="return-alert-content">
-          <div class="return-alert-icon">⚠️</div>
-          <div class="return-alert-text">
-            <div class="return-alert-title">${lot.name}</div>
-            <div class="return-alert-meta">${lot.remaining} unit${lot.remaining > 1 ? 's' : ''} • Return by ${dateStr}</div>
-          </div>
-        </div>
-        <div class="return-alert-actions">
-          <button class="btn btn-danger btn-sm mark-returned-btn" data-lot-id="${lot.id}">Returned</button>
-          <button class="btn btn-secondary btn-sm keeping-it-btn" data-lot-id="${lot.id}">Keeping</button>
+  return `
+    <div class="return-alert-card ${overdue ? 'overdue' : ''}" data-lot-id="${lot.id}">
+      <div class="return-alert-content">
+        <div class="return-alert-icon">${overdue ? '⛔' : '⚠️'}</div>
+        <div class="return-alert-text">
+          <div class="return-alert-title">${lot.name}</div>
+          <div class="return-alert-meta">${lot.remaining} unit${lot.remaining > 1 ? 's' : ''} • ${deadlineText}</div>
         </div>
       </div>
-    `;
-  }).join('');
+      ${actionsHtml}
+    </div>
+  `;
+}
+
+function renderReturnAlerts() {
+  const lotsNearingDeadline = getLotsNearingReturnDeadline();
+  const overdueLots = getLotsPastReturnDeadline();
+
+  if (lotsNearingDeadline.length === 0 && overdueLots.length === 0) return '';
 
   return `
     <div class="return-alerts-section">
-      <h3 class="section-title" style="color: var(--accent-warning);">⏰ Return Window Alerts</h3>
-      ${alertCards}
+      ${lotsNearingDeadline.length > 0 ? `
+        <h3 class="section-title" style="color: var(--accent-warning);">⏰ Return Window Alerts</h3>
+        ${lotsNearingDeadline.map(lot => renderReturnAlertCard(lot, false)).join('')}
+      ` : ''}
+      ${overdueLots.length > 0 ? `
+        <h3 class="section-title" style="color: var(--accent-danger);">Overdue Returns</h3>
+        ${overdueLots.map(lot => renderReturnAlertCard(lot, true)).join('')}
+      ` : ''}
     </div>
   `;
 }
@@ -103,7 +135,10 @@ export function DashboardView() {
   return `
     <div class="page">
       <div class="container">
-        <h1 class="page-title">Dashboard</h1>
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-md);">
+          <h1 class="page-title" style="margin-bottom: 0;">Dashboard</h1>
+          <button class="btn btn-secondary btn-sm" id="settings-btn" style="padding: 8px 12px;">Settings</button>
+        </div>
         
         ${returnAlertsHtml}
         
@@ -348,18 +383,21 @@ function showDayBreakdown(dayIndex) {
   if (sales.length === 0) {
     content.innerHTML = `<p class="text-muted" style="text-align: center; padding: var(--spacing-lg);">No sales on this day</p>`;
   } else {
-    content.innerHTML = sales.map(({ lot, sale }) => `
+    content.innerHTML = sales.map(({ lot, sale }) => {
+      const net = getNetSale(sale);
+      return `
       <div class="day-sale-item">
         <div class="day-sale-info">
           <div class="day-sale-name">${lot.name}</div>
-          <div class="day-sale-meta">${sale.unitsSold} unit${sale.unitsSold > 1 ? 's' : ''} on ${sale.platform === 'ebay' ? 'eBay' : 'Facebook'}</div>
+          <div class="day-sale-meta">${sale.unitsSold} unit${sale.unitsSold > 1 ? 's' : ''} on ${getPlatformName(sale.platform)}</div>
         </div>
         <div class="day-sale-values">
-          <div class="day-sale-revenue">${formatCurrency(sale.totalPrice)}</div>
-          <div class="day-sale-profit ${sale.profit >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(sale.profit, true)}</div>
+          <div class="day-sale-revenue">${formatCurrency(net.totalPrice)}</div>
+          <div class="day-sale-profit ${net.profit >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(net.profit, true)}</div>
         </div>
       </div>
-    `).join('');
+    `;
+    }).join('');
   }
 
   modal.style.display = 'flex';
@@ -418,6 +456,11 @@ export function initDashboardEvents() {
   // Initialize chart on first load
   initChart();
 
+  // App settings
+  document.getElementById('settings-btn')?.addEventListener('click', () => {
+    navigate('/settings');
+  });
+
   // Time range buttons
   document.querySelectorAll('.range-btn').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -443,11 +486,7 @@ export function initDashboardEvents() {
   // Mark Returned buttons
   document.querySelectorAll('.mark-returned-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-      const lotId = btn.dataset.lotId;
-      if (confirm('Mark this item as returned? It will be removed from inventory.')) {
-        markReturned(lotId);
-        window.dispatchEvent(new CustomEvent('viewchange'));
-      }
+      openReturnModal(btn.dataset.lotId);
     });
   });
 
@@ -459,4 +498,32 @@ export function initDashboardEvents() {
       window.dispatchEvent(new CustomEvent('viewchange'));
     });
   });
+
+  // Snooze buttons
+  document.querySelectorAll('.snooze-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      snoozeLotId = btn.dataset.lotId;
+      snoozeDate = getTomorrowDateStr();
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+
+  document.querySelector('.snooze-date-input')?.addEventListener('change', (e) => {
+    snoozeDate = e.target.value;
+  });
+
+  document.querySelector('.confirm-snooze-btn')?.addEventListener('click', (e) => {
+    if (!snoozeDate || snoozeDate < getTomorrowDateStr()) {
+      alert('Please pick a date after today');
+      return;
+    }
+    snoozeReturnAlert(e.currentTarget.dataset.lotId, snoozeDate);
+    snoozeLotId = null;
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.querySelector('.cancel-snooze-btn')?.addEventListener('click', () => {
+    snoozeLotId = null;
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
 }
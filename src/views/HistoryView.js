@@ -0,0 +1,82 @@
+// History View - Change log of every inventory mutation with undo/redo
+
+import { getHistory, canUndo, canRedo, undoChange, redoChange, getRedoableChange } from '../services/storage.js';
+import { formatDate } from '../services/calculations.js';
+
+export function HistoryView() {
+  const entries = getHistory();
+  const redoable = getRedoableChange();
+
+  return `
+    <div class="page">
+      <div class="container">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-md);">
+          <h1 class="page-title" style="margin-bottom: 0;">History</h1>
+          ${redoable ? `
+            <button class="btn btn-secondary btn-sm history-redo-btn" data-entry-id="${redoable.id}" style="padding: 8px 12px;">Redo</button>
+          ` : ''}
+        </div>
+
+        ${entries.length === 0 ? renderEmptyState() : ''}
+
+        <div class="history-list">
+          ${entries.map(entry => renderHistoryItem(entry)).join('')}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderHistoryItem(entry) {
+  const time = new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const lotCount = entry.changes.length;
+
+  let actionHtml = '';
+  if (canUndo(entry)) {
+    actionHtml = `<button class="btn btn-secondary btn-sm history-undo-btn" data-entry-id="${entry.id}">Undo</button>`;
+  } else if (canRedo(entry)) {
+    actionHtml = `<button class="btn btn-secondary btn-sm history-redo-btn" data-entry-id="${entry.id}">Redo</button>`;
+  }
+
+  return `
+    <div class="history-item ${entry.undone ? 'undone' : ''}">
+      <div class="history-info">
+        <div class="history-summary">${entry.summary}</div>
+        <div class="history-meta">
+          ${formatDate(entry.timestamp, 'relative')} ${time} • ${entry.user}${lotCount > 1 ? ` • ${lotCount} lots` : ''}${entry.undone ? ' • Undone' : ''}
+        </div>
+      </div>
+      ${actionHtml}
+    </div>
+  `;
+}
+
+function renderEmptyState() {
+  return `
+    <div class="empty-state">
+      <div class="empty-icon">🕘</div>
+      <div class="empty-title">No changes yet</div>
+      <div class="empty-text">Every lot and sale you add, edit or delete will be listed here</div>
+    </div>
+  `;
+}
+
+export function initHistoryEvents() {
+  document.querySelectorAll('.history-undo-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!undoChange(btn.dataset.entryId)) {
+        alert('This change can no longer be undone because the item was changed afterwards.');
+      }
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+
+  document.querySelectorAll('.history-redo-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!redoChange(btn.dataset.entryId)) {
+        alert('This change can no longer be redone because the item was changed afterwards.');
+      }
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+}
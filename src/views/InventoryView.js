@@ -1,8 +1,14 @@
 // Inventory View - List all lots with sale recording
 
-import { getLots, recordSale, deleteLot, isFullySold, hasSales, getLotTotalProfit, deleteSale, updateSale, getReturnDeadline, getDaysUntilReturn } from '../services/storage.js';
-import { formatCurrency, formatDate, PLATFORM_FEES, calculateSaleProfit } from '../services/calculations.js';
-import { importLotsFromCSV, generateCSVTemplate } from '../services/csvImport.js';
+import { getLots, recordSale, deleteLot, isFullySold, hasSales, getLotTotalProfit, deleteSale, updateSale, getReturnDeadline, getDaysUntilReturn, getLastChange, recordRefund, getReturnedUnits, isFullyReturned, updateLot } from '../services/storage.js';
+import { formatCurrency, formatDate, PLATFORMS, getPlatformName, platformHasShipping, calculateSaleBreakdown, getSaleBreakdown, calculateRefund, getNetSale, getReturnableUnits } from '../services/calculations.js';
+import { getReturnPolicies, getRetailerName } from '../services/returnPolicies.js';
+import { getSettings } from '../services/settings.js';
+import { lookupProduct } from '../services/productCatalog.js';
+import { showUndoToast } from '../components/UndoToast.js';
+import { openReturnModal } from '../components/ReturnModal.js';
+import { ImportWizard, initImportWizardEvents, openImportWizard } from '../components/ImportWizard.js';
+import { navigate } from '../router.js';
 
 let activeTab = 'all';
 let selectedLotId = null;
@@ -12,7 +18,8 @@ let selectedPlatform = 'facebook';
 let expandedLots = new Set();
 let shippingCost = '';
 let saleDate = new Date().toISOString().split('T')[0]; // Default to today
-let showImportModal = false;
+let refundTarget = null; // { lotId, saleId } while the refund modal is open
+let refundForm = {};
 
 export function setActiveTab(tab) {
   activeTab = tab;
@@ -29,13 +36,15 @@ export function InventoryView() {
   }
 
   const modalHtml = selectedLotId ? renderSaleModal() : '';
-  const importModalHtml = showImportModal ? renderImportModal() : '';
+  const refundModalHtml = refundTarget ? renderRefundModal() : '';
 
   return `
     <div class="page">
       <div class="container">
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-md);">
           <h1 class="page-title" style="margin-bottom: 0;">Inventory</h1>
+          <div style="display: flex; gap: var(--spacing-sm);">
+          <button class="btn btn-secondary btn-sm" id="history-btn" style="padding: 8px 12px;">History</button>
           <button class="btn btn-secondary btn-sm" id="import-csv-btn" style="padding: 8px 12px;">
             <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="margin-right: 4px;">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
@@ -44,6 +53,7 @@ export function InventoryView() {
             </svg>
             Import
           </button>
+          </div>
         </div>
         
         <div class="tabs">
@@ -60,7 +70,8 @@ export function InventoryView() {
       </div>
     </div>
     ${modalHtml}
-    ${importModalHtml}
+    ${ImportWizard()}
+    ${refundModalHtml}
   `;
 }
 
@@ -69,15 +80,17 @@ function renderLotCard(lot) {
   const fullySold = isFullySold(lot);
   const hasAnySales = hasSales(lot);
   const totalProfit = getLotTotalProfit(lot);
+  const fullyReturned = isFullyReturned(lot);
+  const returnedUnits = getReturnedUnits(lot);
   const unitsSold = lot.quantity - lot.remaining;
-  const soldPercent = Math.round((unitsSold / lot.quantity) * 100);
+  const soldPercent = lot.quantity > 0 ? Math.round((unitsSold / lot.quantity) * 100) : 0;
   const isExpanded = expandedLots.has(lot.id);
 
   // Return deadline calculation
   const returnDeadline = getReturnDeadline(lot);
   const daysUntilReturn = getDaysUntilReturn(lot);
   const returnDateStr = returnDeadline.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const showReturnWarning = !fullySold && daysUntilReturn <= 3 && daysUntilReturn >= 0;
+  const showReturnWarning = !fullySold && daysUntilReturn <= getSettings().returnAlertDays && daysUntilReturn >= 0;
 
   const thumbnailContent = lot.imageData
     ? `<img src="${lot.imageData}" alt="${lot.name}" />`
@@ -98,7 +111,7 @@ function renderLotCard(lot) {
 
   const returnDeadlineHtml = (!fullySold && lot.remaining > 0) ? `
     <div class="lot-return-deadline ${showReturnWarning ? 'urgent' : ''}">
-      Return by ${returnDateStr}
+      Return${lot.retailer ? ` to ${getRetailerName(lot.retailer)}` : ''} by ${returnDateStr}
     </div>
   ` : '';
 
@@ -110,7 +123,7 @@ function renderLotCard(lot) {
   ` : '';
 
   return `
-    <div class="lot-card ${fullySold ? 'sold' : ''}" data-lot-id="${lot.id}">
+    <div class="lot-card ${fullySold ? 'sold' : ''} ${fullyReturned ? 'returned' : ''}" data-lot-id="${lot.id}">
       <button class="delete-lot-card-btn" data-lot-id="${lot.id}" title="Delete Lot">
         <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <polyline points="3 6 5 6 21 6"></polyline>
@@ -122,7 +135,7 @@ function renderLotCard(lot) {
       <div class="lot-thumbnail">${thumbnailContent}</div>
       <div class="lot-info">
         <div class="lot-name">${lot.name}</div>
-        <div class="lot-meta">${formatCurrency(lot.unitCost)}/unit • ${lot.remaining} available</div>
+        <div class="lot-meta">${formatCurrency(lot.unitCost)}/unit • ${lot.remaining} available${returnedUnits > 0 ? ` • ${returnedUnits} returned` : ''}</div>
         ${returnDeadlineHtml}
         ${progressBar}
         ${viewSalesBtn}
@@ -132,7 +145,7 @@ function renderLotCard(lot) {
       <div class="lot-cost" style="position: relative;">
         ${formatCurrency(lot.totalCost)}
         ${profitHtml}
-        ${!fullySold ? `
+        ${lot.remaining > 0 ? `
           <button class="btn btn-primary add-sale-btn" data-lot-id="${lot.id}" style="padding: 4px; min-height: 32px; width: 32px; border-radius: 50%; margin-top: 8px;">
             <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round">
               <line x1="12" y1="5" x2="12" y2="19"></line>
@@ -150,19 +163,36 @@ function renderSalesList(lot) {
     <div class="sales-list" style="margin-top: var(--spacing-md); border-top: 1px solid rgba(255, 255, 255, 0.05); padding-top: var(--spacing-sm);">
       ${lot.sales.map(sale => {
     const saleDateValue = new Date(sale.dateSold).toISOString().split('T')[0];
+    const net = getNetSale(sale);
+    const canRefund = net.totalPrice > 0 || getReturnableUnits(sale) > 0;
     return `
         <div class="sale-item" style="display: flex; justify-content: space-between; align-items: center; padding: 8px 0; font-size: 0.875rem; border-bottom: 1px solid rgba(255, 255, 255, 0.03);">
           <div>
-            <div style="font-weight: 500;">Sold ${sale.unitsSold} on ${sale.platform === 'ebay' ? 'eBay' : 'Facebook'}</div>
+            <div style="font-weight: 500;">Sold ${sale.unitsSold} on ${getPlatformName(sale.platform)}</div>
             <div class="sale-date-edit text-muted" style="font-size: 0.75rem;">
               <input type="date" class="sale-date-input edit-sale-date" data-lot-id="${lot.id}" data-sale-id="${sale.id}" value="${saleDateValue}" />
               <span>• @ ${formatCurrency(sale.pricePerUnit)}</span>
             </div>
+            ${net.refunded > 0 || (sale.refunds || []).length > 0 ? `
+              <div class="sale-refunded">Refunded ${formatCurrency(net.refunded)}${net.unitsSold < sale.unitsSold ? ` • ${sale.unitsSold - net.unitsSold} restocked` : ''}</div>
+            ` : ''}
+            <details class="sale-breakdown">
+              <summary>Breakdown</summary>
+              <div class="summary-box">${renderSaleSummaryRows(getSaleBreakdown(sale), sale.refunds)}</div>
+            </details>
           </div>
           <div style="text-align: right; display: flex; align-items: center; gap: 12px;">
-            <div class="${sale.profit >= 0 ? 'text-success' : 'text-danger'}" style="font-weight: 600;">
-              ${formatCurrency(sale.profit, true)}
+            <div class="${net.profit >= 0 ? 'text-success' : 'text-danger'}" style="font-weight: 600;">
+              ${formatCurrency(net.profit, true)}
             </div>
+            ${canRefund ? `
+            <button class="refund-sale-btn" data-lot-id="${lot.id}" data-sale-id="${sale.id}" title="Refund / Return" style="background: none; border: none; color: var(--text-muted); cursor: pointer; padding: 4px;">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="9 14 4 9 9 4"></polyline>
+                <path d="M20 20v-7a4 4 0 0 0-4-4H4"></path>
+              </svg>
+            </button>
+            ` : ''}
             <button class="delete-sale-btn" data-lot-id="${lot.id}" data-sale-id="${sale.id}" style="background: none; border: none; color: var(--text-muted); cursor: pointer; padding: 4px;">
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <polyline points="3 6 5 6 21 6"></polyline>
@@ -189,41 +219,225 @@ function renderEmptyState() {
   `;
 }
 
-function renderImportModal() {
+// Itemized sale breakdown rows shared by the Record Sale preview and the sales list
+function renderSaleSummaryRows(breakdown, refunds = []) {
+  const netProfit = breakdown.profit + refunds.reduce((sum, refund) => sum + refund.profitImpact, 0);
+
+  const shippingRow = breakdown.shippingCost > 0 ? `
+    <div class="summary-row">
+      <span class="text-secondary">Shipping Cost</span>
+      <span>-${formatCurrency(breakdown.shippingCost)}</span>
+    </div>
+  ` : '';
+
+  return `
+    <div class="summary-row">
+      <span class="text-secondary">Revenue (${breakdown.unitsSold} × ${formatCurrency(breakdown.pricePerUnit)})</span>
+      <span>${formatCurrency(breakdown.gross)}</span>
+    </div>
+    ${breakdown.feeLines.length === 0 ? `
+    <div class="summary-row">
+      <span class="text-secondary">Platform Fees</span>
+      <span>-${formatCurrency(0)}</span>
+    </div>
+    ` : breakdown.feeLines.map(line => `
+    <div class="summary-row">
+      <span class="text-secondary">${line.label}</span>
+      <span>-${formatCurrency(line.amount)}</span>
+    </div>
+    `).join('')}
+    ${shippingRow}
+    <div class="summary-row">
+      <span class="text-secondary">Cost Basis</span>
+      <span>-${formatCurrency(breakdown.costBasis)}</span>
+    </div>
+    ${refunds.map(refund => renderRefundRows(refund)).join('')}
+    <div class="summary-row ${netProfit >= 0 ? 'profit' : 'loss'}">
+      <span>Net Profit</span>
+      <span class="summary-value">${formatCurrency(netProfit)}</span>
+    </div>
+  `;
+}
+
+// Rows showing how a refund changes a sale's profit
+function renderRefundRows(refund) {
+  const dateLabel = refund.date ? ` (${formatDate(refund.date)})` : '';
+  return `
+    <div class="summary-row">
+      <span class="text-secondary">Refund${dateLabel}</span>
+      <span>-${formatCurrency(refund.amount)}</span>
+    </div>
+    ${refund.feeCredit > 0 ? `
+    <div class="summary-row">
+      <span class="text-secondary">Fees Credited</span>
+      <span>+${formatCurrency(refund.feeCredit)}</span>
+    </div>
+    ` : ''}
+    ${refund.returnShipping > 0 ? `
+    <div class="summary-row">
+      <span class="text-secondary">Return Shipping</span>
+      <span>-${formatCurrency(refund.returnShipping)}</span>
+    </div>
+    ` : ''}
+    ${refund.costBasisReturned > 0 ? `
+    <div class="summary-row">
+      <span class="text-secondary">Restocked ${refund.unitsReturned} unit${refund.unitsReturned !== 1 ? 's' : ''}</span>
+      <span>+${formatCurrency(refund.costBasisReturned)}</span>
+    </div>
+    ` : ''}
+  `;
+}
+
+function getRefundTarget() {
+  if (!refundTarget) return null;
+  const lot = getLots().find(l => l.id === refundTarget.lotId);
+  const sale = lot?.sales.find(s => s.id === refundTarget.saleId);
+  return sale ? { lot, sale } : null;
+}
+
+// Price the refund form's current values against the target sale
+function getRefundPreview(lot, sale) {
+  const units = parseInt(refundForm.unitsReturned) || 0;
+  return calculateRefund(sale, lot.unitCost, {
+    amount: Math.round((parseFloat(refundForm.amount) || 0) * 100),
+    unitsReturned: units,
+    restocked: refundForm.restocked && units > 0,
+    nonRefundableFees: Math.round((parseFloat(refundForm.nonRefundableFees) || 0) * 100),
+    returnShipping: Math.round((parseFloat(refundForm.returnShipping) || 0) * 100)
+  });
+}
+
+function renderRefundSummaryRows(lot, sale) {
+  const net = getNetSale(sale);
+  const refund = getRefundPreview(lot, sale);
+  const profitAfter = net.profit + refund.profitImpact;
+
+  return `
+    <div class="summary-row">
+      <span class="text-secondary">Current Profit</span>
+      <span>${formatCurrency(net.profit)}</span>
+    </div>
+    ${renderRefundRows(refund)}
+    <div class="summary-row ${profitAfter >= 0 ? 'profit' : 'loss'}">
+      <span>Profit After Refund</span>
+      <span class="summary-value">${formatCurrency(profitAfter)}</span>
+    </div>
+  `;
+}
+
+function isRefundValid(lot, sale) {
+  const net = getNetSale(sale);
+  const amount = Math.round((parseFloat(refundForm.amount) || 0) * 100);
+  const units = parseInt(refundForm.unitsReturned) || 0;
+  return amount >= 0 && amount <= net.totalPrice && units >= 0 && units <= getReturnableUnits(sale) && (amount > 0 || units > 0);
+}
+
+function renderRefundModal() {
+  const target = getRefundTarget();
+  if (!target) return '';
+  const { lot, sale } = target;
+  const net = getNetSale(sale);
+
   return `
-    <div class="modal-overlay" id="import-modal">
+    <div class="modal-overlay" id="refund-modal">
       <div class="modal-content">
         <div class="modal-header">
-          <h2 class="modal-title">Import from CSV</h2>
-          <button class="modal-close" id="close-import-modal">
+          <h2 class="modal-title">Refund / Return</h2>
+          <button class="modal-close" id="close-refund-modal">
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <line x1="18" y1="6" x2="6" y2="18"></line>
               <line x1="6" y1="6" x2="18" y2="18"></line>
             </svg>
           </button>
         </div>
-        
-        <div class="import-drop-zone" id="import-drop-zone">
-          <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" style="color: var(--text-muted); margin-bottom: var(--spacing-md);">
-            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-            <polyline points="17 8 12 3 7 8"></polyline>
-            <line x1="12" y1="3" x2="12" y2="15"></line>
-          </svg>
-          <p style="margin: 0; color: var(--text-secondary);">Drop CSV file here or click to browse</p>
-          <p style="margin: var(--spacing-sm) 0 0 0; font-size: var(--font-size-sm); color: var(--text-muted);">Columns: name, cost, quantity, purchase_date</p>
-          <input type="file" id="csv-file-input" accept=".csv" style="display: none;">
+
+        <p class="text-secondary" style="margin-bottom: var(--spacing-sm);">${lot.name}</p>
+        <p class="text-muted" style="margin-bottom: var(--spacing-lg);">
+          Sold ${sale.unitsSold} on ${getPlatformName(sale.platform)} for ${formatCurrency(sale.totalPrice)} • ${formatCurrency(net.totalPrice)} refundable
+        </p>
+
+        <div class="form-group">
+          <label class="form-label">Refund to Buyer ($)</label>
+          <input type="number" class="form-input refund-input" id="refund-amount" data-field="amount" placeholder="0.00" step="0.01" min="0" max="${net.totalPrice / 100}" value="${refundForm.amount}" inputmode="decimal" />
         </div>
-        
-        <div id="import-result" style="display: none; margin-top: var(--spacing-lg);"></div>
-        
-        <div style="margin-top: var(--spacing-lg); text-align: center;">
-          <button class="btn btn-secondary btn-sm" id="download-template">Download Template</button>
+
+        <div class="form-group">
+          <label class="form-label">Units Returned by Buyer (max ${getReturnableUnits(sale)})</label>
+          <input type="number" class="form-input refund-input" id="refund-units" data-field="unitsReturned" placeholder="0" min="0" max="${getReturnableUnits(sale)}" value="${refundForm.unitsReturned}" inputmode="numeric" />
         </div>
+
+        <label class="form-checkbox">
+          <input type="checkbox" id="refund-restocked" ${refundForm.restocked ? 'checked' : ''} />
+          <span>Returned units go back into inventory</span>
+        </label>
+
+        <div class="form-group">
+          <label class="form-label">Non-refundable Fees ($)</label>
+          <input type="number" class="form-input refund-input" id="refund-fees" data-field="nonRefundableFees" placeholder="0.00" step="0.01" min="0" value="${refundForm.nonRefundableFees}" inputmode="decimal" />
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Return Shipping ($)</label>
+          <input type="number" class="form-input refund-input" id="refund-shipping" data-field="returnShipping" placeholder="0.00" step="0.01" min="0" value="${refundForm.returnShipping}" inputmode="decimal" />
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Refund Date</label>
+          <input type="date" class="form-input" id="refund-date" value="${refundForm.date}" />
+        </div>
+
+        <div class="summary-box" id="refund-summary">
+          ${renderRefundSummaryRows(lot, sale)}
+        </div>
+
+        <button class="btn btn-danger btn-full" id="confirm-refund" ${!isRefundValid(lot, sale) ? 'disabled' : ''}>
+          Record Refund
+        </button>
       </div>
     </div>
   `;
 }
 
+// Update just the refund summary without re-rendering the entire page
+function updateRefundSummary() {
+  const target = getRefundTarget();
+  if (!target) return;
+
+  const summary = document.getElementById('refund-summary');
+  if (summary) {
+    summary.innerHTML = renderRefundSummaryRows(target.lot, target.sale);
+  }
+
+  const confirmBtn = document.getElementById('confirm-refund');
+  if (confirmBtn) {
+    confirmBtn.disabled = !isRefundValid(target.lot, target.sale);
+  }
+}
+
+function openRefundModal(lotId, saleId) {
+  const sale = getLots().find(l => l.id === lotId)?.sales.find(s => s.id === saleId);
+  if (!sale) return;
+
+  // Default to a full refund with every unit coming back into inventory
+  const net = getNetSale(sale);
+  refundTarget = { lotId, saleId };
+  refundForm = {
+    amount: (net.totalPrice / 100).toFixed(2),
+    unitsReturned: String(getReturnableUnits(sale)),
+    restocked: true,
+    nonRefundableFees: '',
+    returnShipping: '',
+    date: new Date().toISOString().split('T')[0]
+  };
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
+function closeRefundModal() {
+  refundTarget = null;
+  refundForm = {};
+  window.dispatchEvent(new CustomEvent('viewchange'));
+}
+
 function renderSaleModal() {
   const lot = getLots().find(l => l.id === selectedLotId);
   if (!lot) return '';
@@ -234,31 +448,33 @@ function renderSaleModal() {
   const shipping = parseFloat(shippingCost) || 0;
   const shippingCents = Math.round(shipping * 100);
 
-  const { costBasis, totalSalePrice, fees, shippingCost: shippingCalc, profit } = calculateSaleProfit(
-    lot.unitCost,
-    units,
-    priceInCents,
-    selectedPlatform,
-    selectedPlatform === 'ebay' ? shippingCents : 0
-  );
+  const breakdown = calculateSaleBreakdown(lot.unitCost, units, priceInCents, selectedPlatform, shippingCents);
 
-  const isEbay = selectedPlatform === 'ebay';
-  const shippingFieldHtml = isEbay ? `
+  const hasShipping = platformHasShipping(selectedPlatform);
+  const shippingFieldHtml = hasShipping ? `
     <div class="form-group shipping-field">
       <label class="form-label">Shipping Cost ($)</label>
       <input type="number" class="form-input" id="shipping-cost" placeholder="0.00" step="0.01" min="0" value="${shippingCost}" inputmode="decimal" />
     </div>
   ` : '';
 
-  const shippingRowHtml = isEbay ? `
-    <div class="summary-row">
-      <span class="text-secondary">Shipping Cost</span>
-      <span>-${formatCurrency(shippingCalc)}</span>
-    </div>
-  ` : '';
+  // Validation: shipping platforms require a non-negative shipping cost
+  const isValid = price > 0 && units > 0 && (!hasShipping || shipping >= 0);
+
+  // Order reference and the tax/shipping included in the cost basis
+  const orderInfo = [
+    lot.upc ? `UPC ${lot.upc}` : '',
+    lot.order?.number ? `Order #${lot.order.number}` : '',
+    lot.allocatedTax ? `incl. ${formatCurrency(lot.allocatedTax)} tax` : '',
+    lot.allocatedShipping ? `incl. ${formatCurrency(lot.allocatedShipping)} shipping` : ''
+  ].filter(Boolean).join(' • ');
+
+  // Past sales of the same product suggest a price
+  const product = lot.upc ? lookupProduct(lot.upc) : null;
+  const typicalPrice = product?.resalePrice ?? null;
 
-  // Validation: eBay requires shipping
-  const isValid = price > 0 && units > 0 && (!isEbay || shipping >= 0);
+  const policies = getReturnPolicies();
+  const returnDateStr = getReturnDeadline(lot).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 
   return `
     <div class="modal-overlay" id="sale-modal">
@@ -274,9 +490,10 @@ function renderSaleModal() {
         </div>
         
         <p class="text-secondary" style="margin-bottom: var(--spacing-sm);">${lot.name}</p>
-        <p class="text-muted" style="margin-bottom: var(--spacing-lg);">
+        <p class="text-muted" style="margin-bottom: ${orderInfo ? 'var(--spacing-xs)' : 'var(--spacing-lg)'};">
           ${lot.remaining} of ${lot.quantity} available • ${formatCurrency(lot.unitCost)}/unit cost
         </p>
+        ${orderInfo ? `<p class="text-muted" style="margin-bottom: var(--spacing-lg); font-size: var(--font-size-sm);">${orderInfo}</p>` : ''}
         
         <div class="form-group">
           <label class="form-label">Units to Sell (max ${lot.remaining})</label>
@@ -285,13 +502,14 @@ function renderSaleModal() {
         
         <div class="form-group">
           <label class="form-label">Price Per Unit ($)</label>
-          <input type="number" class="form-input" id="sale-price" placeholder="0.00" step="0.01" min="0" value="${salePrice}" inputmode="decimal" />
+          <input type="number" class="form-input" id="sale-price" placeholder="${typicalPrice !== null ? (typicalPrice / 100).toFixed(2) : '0.00'}" step="0.01" min="0" value="${salePrice}" inputmode="decimal" />
+          ${typicalPrice !== null ? `<div class="settings-hint">Typically sells for ${formatCurrency(typicalPrice)} (${product.salesCount} past sale${product.salesCount !== 1 ? 's' : ''})</div>` : ''}
         </div>
         
         <div class="form-group">
           <label class="form-label">Platform</label>
           <div class="platform-grid">
-            ${Object.entries(PLATFORM_FEES).map(([key, platform]) => `
+            ${Object.entries(PLATFORMS).map(([key, platform]) => `
               <div class="platform-option ${selectedPlatform === key ? 'selected' : ''}" data-platform="${key}">
                 <div class="platform-name">${platform.name}</div>
                 <div class="platform-fee">${platform.label}</div>
@@ -308,29 +526,35 @@ function renderSaleModal() {
         </div>
         
         <div class="summary-box">
-          <div class="summary-row">
-            <span class="text-secondary">Revenue (${units} × ${formatCurrency(priceInCents)})</span>
-            <span>${formatCurrency(totalSalePrice)}</span>
-          </div>
-          <div class="summary-row">
-            <span class="text-secondary">Platform Fees</span>
-            <span>-${formatCurrency(fees)}</span>
-          </div>
-          ${shippingRowHtml}
-          <div class="summary-row">
-            <span class="text-secondary">Cost Basis</span>
-            <span>-${formatCurrency(costBasis)}</span>
-          </div>
-          <div class="summary-row ${profit >= 0 ? 'profit' : 'loss'}">
-            <span>Net Profit</span>
-            <span class="summary-value">${formatCurrency(profit)}</span>
-          </div>
+          ${renderSaleSummaryRows(breakdown)}
         </div>
         
         <button class="btn btn-success btn-full" id="confirm-sale" ${!isValid ? 'disabled' : ''}>
           Confirm Sale
         </button>
         
+        <details class="sale-breakdown" style="margin-top: var(--spacing-md);">
+          <summary id="return-policy-summary">Return Policy (by ${returnDateStr})</summary>
+          <div class="form-group" style="margin-top: var(--spacing-md);">
+            <label class="form-label">Retailer</label>
+            <select class="form-input" id="lot-retailer">
+              <option value="">Unknown</option>
+              ${Object.entries(policies).map(([key, policy]) => `
+                <option value="${key}" ${lot.retailer === key ? 'selected' : ''}>${policy.name} (${policy.days} days)</option>
+              `).join('')}
+              ${lot.retailer && !policies[lot.retailer] ? `<option value="${lot.retailer}" selected>${lot.retailer}</option>` : ''}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Return Window (days)</label>
+            <input type="number" class="form-input" id="lot-return-window" placeholder="${(policies[lot.retailer] || policies.other).days} (retailer default)" min="0" value="${lot.returnWindowDays ?? ''}" inputmode="numeric" />
+          </div>
+        </details>
+        
+        <button class="btn btn-secondary btn-full" id="return-lot" style="margin-top: var(--spacing-md);">
+          Return to Retailer
+        </button>
+        
         <button class="btn btn-danger btn-full" id="delete-lot" style="margin-top: var(--spacing-md);">
           Delete Lot
         </button>
@@ -403,7 +627,9 @@ function updatePlatformSelection(newPlatform) {
   const existingShippingField = document.querySelector('.shipping-field');
   const summaryBox = document.querySelector('.modal-content .summary-box');
 
-  if (newPlatform === 'ebay' && !existingShippingField && summaryBox) {
+  const hasShipping = platformHasShipping(newPlatform);
+
+  if (hasShipping && !existingShippingField && summaryBox) {
     // Add shipping field before summary box
     const shippingDiv = document.createElement('div');
     shippingDiv.className = 'form-group shipping-field';
@@ -418,7 +644,7 @@ function updatePlatformSelection(newPlatform) {
       shippingCost = e.target.value;
       updateSummaryBox();
     });
-  } else if (newPlatform !== 'ebay' && existingShippingField) {
+  } else if (!hasShipping && existingShippingField) {
     // Remove shipping field
     existingShippingField.remove();
     shippingCost = '';
@@ -438,45 +664,15 @@ function updateSummaryBox() {
   const priceInCents = Math.round(price * 100);
   const shipping = parseFloat(shippingCost) || 0;
   const shippingCents = Math.round(shipping * 100);
-  const isEbay = selectedPlatform === 'ebay';
-
-  const { costBasis, totalSalePrice, fees, shippingCost: shippingCalc, profit } = calculateSaleProfit(
-    lot.unitCost,
-    units,
-    priceInCents,
-    selectedPlatform,
-    isEbay ? shippingCents : 0
-  );
+  const hasShipping = platformHasShipping(selectedPlatform);
+  const breakdown = calculateSaleBreakdown(lot.unitCost, units, priceInCents, selectedPlatform, shippingCents);
 
-  const isValid = price > 0 && units > 0 && (!isEbay || shipping >= 0);
+  const isValid = price > 0 && units > 0 && (!hasShipping || shipping >= 0);
 
   // Update summary box
   const summaryBox = document.querySelector('.modal-content .summary-box');
   if (summaryBox) {
-    summaryBox.innerHTML = `
-      <div class="summary-row">
-        <span class="text-secondary">Revenue (${units} × ${formatCurrency(priceInCents)})</span>
-        <span>${formatCurrency(totalSalePrice)}</span>
-      </div>
-      <div class="summary-row">
-        <span class="text-secondary">Platform Fees</span>
-        <span>-${formatCurrency(fees)}</span>
-      </div>
-      ${isEbay ? `
-      <div class="summary-row">
-        <span class="text-secondary">Shipping Cost</span>
-        <span>-${formatCurrency(shippingCalc)}</span>
-      </div>
-      ` : ''}
-      <div class="summary-row">
-        <span class="text-secondary">Cost Basis</span>
-        <span>-${formatCurrency(costBasis)}</span>
-      </div>
-      <div class="summary-row ${profit >= 0 ? 'profit' : 'loss'}">
-        <span>Net Profit</span>
-        <span class="summary-value">${formatCurrency(profit)}</span>
-      </div>
-    `;
+    summaryBox.innerHTML = renderSaleSummaryRows(breakdown);
   }
 
   // Update confirm button state
@@ -486,6 +682,16 @@ function updateSummaryBox() {
   }
 }
 
+// Update the return policy heading and lot list without closing the policy section
+function updateReturnPolicySummary(lot) {
+  if (!lot) return;
+  const summary = document.getElementById('return-policy-summary');
+  if (summary) {
+    summary.textContent = `Return Policy (by ${getReturnDeadline(lot).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })})`;
+  }
+  updateLotList();
+}
+
 export function openSaleModal(lotId) {
   selectedLotId = lotId;
   salePrice = '';
@@ -536,19 +742,27 @@ function initLotCardEvents() {
       e.stopPropagation();
       const { lotId, saleId } = btn.dataset;
       if (confirm('Delete this sale record and restore units to inventory?')) {
-        deleteSale(lotId, saleId);
+        if (deleteSale(lotId, saleId)) showUndoToast(getLastChange());
         window.dispatchEvent(new CustomEvent('viewchange'));
       }
     });
   });
 
+  // Refund / return a sale
+  document.querySelectorAll('.refund-sale-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openRefundModal(btn.dataset.lotId, btn.dataset.saleId);
+    });
+  });
+
   // Delete lot shortcut
   document.querySelectorAll('.delete-lot-card-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
       const lotId = btn.dataset.lotId;
       if (confirm('Delete this lot and all its sales history?')) {
-        deleteLot(lotId);
+        if (deleteLot(lotId)) showUndoToast(getLastChange());
         window.dispatchEvent(new CustomEvent('viewchange'));
       }
     });
@@ -619,122 +833,93 @@ export function initInventoryEvents() {
   document.getElementById('confirm-sale')?.addEventListener('click', () => {
     const price = parseFloat(salePrice);
     const units = parseInt(unitsSold) || 1;
-    const shipping = selectedPlatform === 'ebay' ? (parseFloat(shippingCost) || 0) : 0;
+    const shipping = platformHasShipping(selectedPlatform) ? (parseFloat(shippingCost) || 0) : 0;
     if (price > 0 && units > 0 && selectedLotId) {
       recordSale(selectedLotId, price, units, selectedPlatform, shipping, saleDate);
       closeSaleModal();
     }
   });
 
+  // Return policy edits apply to the lot straight away
+  document.getElementById('lot-retailer')?.addEventListener('change', (e) => {
+    if (!selectedLotId) return;
+    const lot = updateLot(selectedLotId, { retailer: e.target.value || null });
+    const policies = getReturnPolicies();
+    const windowInput = document.getElementById('lot-return-window');
+    if (windowInput) windowInput.placeholder = `${(policies[lot?.retailer] || policies.other).days} (retailer default)`;
+    updateReturnPolicySummary(lot);
+  });
+
+  document.getElementById('lot-return-window')?.addEventListener('change', (e) => {
+    if (!selectedLotId) return;
+    const days = parseInt(e.target.value);
+    const lot = updateLot(selectedLotId, { returnWindowDays: Number.isInteger(days) && days >= 0 ? days : null });
+    updateReturnPolicySummary(lot);
+  });
+
+  // Return units to the retailer
+  document.getElementById('return-lot')?.addEventListener('click', () => {
+    const lotId = selectedLotId;
+    selectedLotId = null;
+    openReturnModal(lotId);
+  });
+
   // Delete lot
   document.getElementById('delete-lot')?.addEventListener('click', () => {
     if (selectedLotId && confirm('Are you sure you want to delete this ENTIRE lot and all its sales?')) {
-      deleteLot(selectedLotId);
+      if (deleteLot(selectedLotId)) showUndoToast(getLastChange());
       closeSaleModal();
     }
   });
 
-  // === CSV Import Events ===
+  // === Refund Modal Events ===
 
-  // Open import modal
-  document.getElementById('import-csv-btn')?.addEventListener('click', () => {
-    showImportModal = true;
-    window.dispatchEvent(new CustomEvent('viewchange'));
+  document.getElementById('close-refund-modal')?.addEventListener('click', closeRefundModal);
+  document.getElementById('refund-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'refund-modal') closeRefundModal();
   });
 
-  // Close import modal
-  document.getElementById('close-import-modal')?.addEventListener('click', closeImportModal);
-  document.getElementById('import-modal')?.addEventListener('click', (e) => {
-    if (e.target.id === 'import-modal') closeImportModal();
+  // Refund inputs - targeted update only
+  document.querySelectorAll('.refund-input').forEach(input => {
+    input.addEventListener('input', (e) => {
+      refundForm[e.target.dataset.field] = e.target.value;
+      updateRefundSummary();
+    });
   });
 
-  // Drop zone click to browse
-  document.getElementById('import-drop-zone')?.addEventListener('click', () => {
-    document.getElementById('csv-file-input')?.click();
+  document.getElementById('refund-restocked')?.addEventListener('change', (e) => {
+    refundForm.restocked = e.target.checked;
+    updateRefundSummary();
   });
 
-  // File input change
-  document.getElementById('csv-file-input')?.addEventListener('change', async (e) => {
-    const file = e.target.files?.[0];
-    if (file) await processCSVFile(file);
+  document.getElementById('refund-date')?.addEventListener('change', (e) => {
+    refundForm.date = e.target.value;
   });
 
-  // Drag and drop
-  const dropZone = document.getElementById('import-drop-zone');
-  if (dropZone) {
-    dropZone.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      dropZone.classList.add('drag-over');
-    });
-    dropZone.addEventListener('dragleave', () => {
-      dropZone.classList.remove('drag-over');
-    });
-    dropZone.addEventListener('drop', async (e) => {
-      e.preventDefault();
-      dropZone.classList.remove('drag-over');
-      const file = e.dataTransfer.files?.[0];
-      if (file && file.name.endsWith('.csv')) {
-        await processCSVFile(file);
-      }
+  document.getElementById('confirm-refund')?.addEventListener('click', () => {
+    if (!refundTarget) return;
+    const result = recordRefund(refundTarget.lotId, refundTarget.saleId, {
+      amount: parseFloat(refundForm.amount) || 0,
+      unitsReturned: parseInt(refundForm.unitsReturned) || 0,
+      restocked: refundForm.restocked,
+      nonRefundableFees: parseFloat(refundForm.nonRefundableFees) || 0,
+      returnShipping: parseFloat(refundForm.returnShipping) || 0,
+      dateStr: refundForm.date
     });
-  }
-
-  // Download template
-  document.getElementById('download-template')?.addEventListener('click', () => {
-    const template = generateCSVTemplate();
-    const blob = new Blob([template], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'inventory_template.csv';
-    a.click();
-    URL.revokeObjectURL(url);
-  });
-}
-
-function closeImportModal() {
-  showImportModal = false;
-  window.dispatchEvent(new CustomEvent('viewchange'));
-}
-
-async function processCSVFile(file) {
-  const resultEl = document.getElementById('import-result');
-  if (!resultEl) return;
-
-  resultEl.style.display = 'block';
-  resultEl.innerHTML = '<p class="text-muted">Importing...</p>';
-
-  try {
-    const { success, salesImported, errors } = await importLotsFromCSV(file);
-
-    let html = `<div class="import-success">✅ Imported ${success} lot${success !== 1 ? 's' : ''}`;
-    if (salesImported > 0) {
-      html += ` with ${salesImported} sale${salesImported !== 1 ? 's' : ''}`;
-    }
-    html += `</div>`;
-
-    if (errors.length > 0) {
-      html += `<div class="import-errors" style="margin-top: var(--spacing-md); color: var(--accent-warning);">
-        <strong>⚠️ ${errors.length} error${errors.length !== 1 ? 's' : ''}:</strong>
-        <ul style="margin: var(--spacing-sm) 0 0 var(--spacing-lg); padding: 0; font-size: var(--font-size-sm);">
-          ${errors.slice(0, 5).map(e => `<li>${e}</li>`).join('')}
-          ${errors.length > 5 ? `<li>...and ${errors.length - 5} more</li>` : ''}
-        </ul>
-      </div>`;
-    }
-
-    if (success > 0) {
-      html += `<button class="btn btn-success btn-full" style="margin-top: var(--spacing-lg);" onclick="window.dispatchEvent(new CustomEvent('viewchange'))">Done</button>`;
+    if (!result) {
+      alert('Refund could not be recorded. Check the amount and units returned.');
+      return;
     }
+    showUndoToast(getLastChange());
+    closeRefundModal();
+  });
 
-    resultEl.innerHTML = html;
+  // Change history
+  document.getElementById('history-btn')?.addEventListener('click', () => {
+    navigate('/history');
+  });
 
-    if (success > 0) {
-      setTimeout(() => {
-        closeImportModal();
-      }, 1500);
-    }
-  } catch (err) {
-    resultEl.innerHTML = `<div class="import-error text-danger">❌ Import failed: ${err.message}</div>`;
-  }
+  // === CSV Import Events ===
+  document.getElementById('import-csv-btn')?.addEventListener('click', openImportWizard);
+  initImportWizardEvents();
 }
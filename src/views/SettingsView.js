@@ -0,0 +1,152 @@
+// Settings View - App preferences such as per-retailer return windows
+
+import { DEFAULT_RETURN_POLICIES, getReturnPolicies, setReturnWindow } from '../services/returnPolicies.js';
+import { getSettings, updateSettings } from '../services/settings.js';
+import { getReminderStatus, enableReturnReminders, disableReturnReminders, scheduleReturnReminders } from '../services/notifications.js';
+import { OfflineOcrStatus, initOfflineOcrStatus } from '../components/OfflineOcrStatus.js';
+
+export function SettingsView() {
+  const policies = getReturnPolicies();
+  const { returnAlertDays, ocrRetry } = getSettings();
+
+  return `
+    <div class="page">
+      <div class="container">
+        <h1 class="page-title">Settings</h1>
+
+        <div class="card" style="margin-bottom: var(--spacing-lg);">
+          <h2 class="section-title">Return Alerts</h2>
+          <div class="settings-row">
+            <div class="settings-info">
+              <div class="settings-label">Alert lead time (days)</div>
+              <div class="settings-hint">Show lots on the dashboard this many days before their return deadline</div>
+            </div>
+            <input type="number" class="form-input settings-input" id="return-alert-days" value="${returnAlertDays}" min="0" inputmode="numeric" />
+          </div>
+          ${renderReminderRow()}
+        </div>
+
+        <div class="card" style="margin-bottom: var(--spacing-lg);">
+          <h2 class="section-title">Receipt Scanning</h2>
+          <div class="settings-row">
+            <div class="settings-info">
+              <div class="settings-label">Retry difficult images</div>
+              <div class="settings-hint">If no item name is found, scan again with different image clean-up (slower)</div>
+            </div>
+            <input type="checkbox" class="settings-checkbox" id="ocr-retry" ${ocrRetry ? 'checked' : ''} />
+          </div>
+          <div class="settings-row">
+            <div class="settings-info">
+              <div class="settings-label">Offline scanning</div>
+              <div class="settings-hint">The scanner and English language data are stored on this device after the first visit</div>
+            </div>
+            ${OfflineOcrStatus()}
+          </div>
+        </div>
+
+        <div class="card">
+          <h2 class="section-title">Return Windows</h2>
+          <p class="text-muted" style="margin-bottom: var(--spacing-md);">
+            Days after purchase each retailer accepts returns. Lots can override this individually.
+          </p>
+
+          <div class="settings-list">
+            ${Object.entries(policies).map(([key, policy]) => renderReturnWindowRow(key, policy)).join('')}
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderReminderRow() {
+  const status = getReminderStatus();
+  const hints = {
+    unsupported: 'Notifications are not supported in this browser',
+    denied: 'Notifications are blocked. Allow them in your browser settings to enable reminders',
+    enabled: 'You will be notified when a lot enters its alert window',
+    disabled: 'Get a notification when a lot enters its alert window, even with the app closed'
+  };
+
+  return `
+    <div class="settings-row">
+      <div class="settings-info">
+        <div class="settings-label">Deadline notifications</div>
+        <div class="settings-hint">${hints[status]}</div>
+      </div>
+      ${status === 'enabled' || status === 'disabled' ? `
+        <button class="btn ${status === 'enabled' ? 'btn-secondary' : 'btn-primary'} btn-sm" id="toggle-reminders">
+          ${status === 'enabled' ? 'Turn Off' : 'Turn On'}
+        </button>
+      ` : ''}
+    </div>
+  `;
+}
+
+function renderReturnWindowRow(key, policy) {
+  const defaultDays = DEFAULT_RETURN_POLICIES[key].days;
+  const isCustom = policy.days !== defaultDays;
+
+  return `
+    <div class="settings-row">
+      <div class="settings-info">
+        <div class="settings-label">${policy.name}</div>
+        <div class="settings-hint">
+          Default ${defaultDays} days${policy.holiday ? ' • extended for holiday purchases' : ''}
+        </div>
+      </div>
+      <input type="number" class="form-input settings-input return-window-input" data-retailer="${key}" value="${policy.days}" min="0" inputmode="numeric" />
+      ${isCustom ? `<button class="btn btn-secondary btn-sm reset-window-btn" data-retailer="${key}" title="Restore default">Reset</button>` : ''}
+    </div>
+  `;
+}
+
+export function initSettingsEvents() {
+  document.getElementById('return-alert-days')?.addEventListener('change', (e) => {
+    const days = parseInt(e.target.value);
+    if (!Number.isInteger(days) || days < 0) {
+      alert('Please enter a valid number of days');
+      window.dispatchEvent(new CustomEvent('viewchange'));
+      return;
+    }
+    updateSettings({ returnAlertDays: days });
+    scheduleReturnReminders();
+  });
+
+  document.getElementById('ocr-retry')?.addEventListener('change', (e) => {
+    updateSettings({ ocrRetry: e.target.checked });
+  });
+
+  initOfflineOcrStatus();
+
+  document.getElementById('toggle-reminders')?.addEventListener('click', async () => {
+    if (getReminderStatus() === 'enabled') {
+      await disableReturnReminders();
+    } else if (!(await enableReturnReminders())) {
+      alert('Notification permission was not granted.');
+    }
+    window.dispatchEvent(new CustomEvent('viewchange'));
+  });
+
+  document.querySelectorAll('.return-window-input').forEach(input => {
+    input.addEventListener('change', () => {
+      const days = parseInt(input.value);
+      if (!Number.isInteger(days) || days < 0) {
+        alert('Please enter a valid number of days');
+        window.dispatchEvent(new CustomEvent('viewchange'));
+        return;
+      }
+      setReturnWindow(input.dataset.retailer, days === DEFAULT_RETURN_POLICIES[input.dataset.retailer].days ? null : days);
+      scheduleReturnReminders();
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+
+  document.querySelectorAll('.reset-window-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setReturnWindow(btn.dataset.retailer, null);
+      scheduleReturnReminders();
+      window.dispatchEvent(new CustomEvent('viewchange'));
+    });
+  });
+}
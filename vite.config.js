@@ -1,12 +1,50 @@
 import { defineConfig } from 'vite';
 import { VitePWA } from 'vite-plugin-pwa';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
 
 // Use VITE_BASE env var for deployment flexibility (Vercel uses '/', GitHub Pages uses '/ResellApp/')
 const base = process.env.VITE_BASE || '/';
 
+const require = createRequire(import.meta.url);
+const packageDir = (name) => dirname(require.resolve(`${name}/package.json`));
+
+// OCR worker, engine and English language data served from our own origin (see ocrAssets.js)
+// instead of the CDN, so scanning works offline. Only the LSTM engine builds are used (oem 1);
+// tesseract picks relaxed-SIMD, SIMD or plain at runtime depending on the browser.
+const TESSERACT_ASSETS = {
+  'worker.min.js': join(packageDir('tesseract.js'), 'dist/worker.min.js'),
+  'tesseract-core-relaxedsimd-lstm.wasm.js': join(packageDir('tesseract.js-core'), 'tesseract-core-relaxedsimd-lstm.wasm.js'),
+  'tesseract-core-simd-lstm.wasm.js': join(packageDir('tesseract.js-core'), 'tesseract-core-simd-lstm.wasm.js'),
+  'tesseract-core-lstm.wasm.js': join(packageDir('tesseract.js-core'), 'tesseract-core-lstm.wasm.js'),
+  'eng.traineddata.gz': join(packageDir('@tesseract.js-data/eng'), '4.0.0_best_int/eng.traineddata.gz')
+};
+
+function tesseractAssets() {
+  return {
+    name: 'tesseract-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const match = req.url?.match(/\/tesseract\/([^/?]+)/);
+        const file = match && TESSERACT_ASSETS[match[1]];
+        if (!file) return next();
+        res.setHeader('Content-Type', file.endsWith('.gz') ? 'application/gzip' : 'application/javascript');
+        res.end(readFileSync(file));
+      });
+    },
+    generateBundle() {
+      for (const [name, file] of Object.entries(TESSERACT_ASSETS)) {
+        this.emitFile({ type: 'asset', fileName: `tesseract/${name}`, source: readFileSync(file) });
+      }
+    }
+  };
+}
+
 export default defineConfig({
   base,
   plugins: [
+    tesseractAssets(),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.svg', 'apple-touch-icon.png'],
@@ -36,7 +74,16 @@ export default defineConfig({
       },
       workbox: {
         navigateFallback: `${base}index.html`,
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,woff2}'],
+        // Return reminder notifications (periodic check + notification actions)
+        importScripts: ['notifications-sw.js'],
+        // mjs covers the pdf.js worker, so PDF invoices also open offline
+        globPatterns: ['**/*.{js,mjs,css,html,ico,png,svg,woff2}', 'tesseract/*.gz'],
+        // The OCR engine builds are ~4 MB each and must be precached for offline scanning;
+        // 8 MB leaves room for engine updates and still keeps anything unexpectedly large out.
+        // First install downloads ~17 MB: the three engine builds (~11.7 MB, since which one
+        // the browser runs is only known at runtime), language data (~3 MB), the PDF worker
+        // (~1.2 MB) and the app. Updates only fetch files whose hashed name changed.
+        maximumFileSizeToCacheInBytes: 8 * 1024 * 1024,
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,